@@ -6,35 +6,65 @@ import { terser } from "rollup-plugin-terser";
 // import copy from "rollup-plugin-copy";
 // import del from "rollup-plugin-delete";
 
-export default {
-  input: "src/index.js",
-  output: {
-    format: "esm",
-    file: "dist/leaflet-gridded-glyph.min.js",
-    // dir: "dist",
-    name: "griddedglyphs",
-    // globals: { rbush: "rbush" },
+// The aggregation worker is its own bundle next to the main one, so the
+// plugin's default worker URL points at it instead of the source module
+const workerUrl = () => ({
+  name: "worker-url",
+  transform(code, id) {
+    if (!id.endsWith("src/index.js")) return null;
+    return code.replace('"./modules/aggregation-worker.js"', '"./aggregation-worker.min.js"');
   },
-  //   external: ["leaflet"],
-  plugins: [
-    commonjs({
-      include: /node_modules/,
-    }),
-    noderesolve(),
-    babel({ babelHelpers: "bundled" }), // transpilation
-    terser(),
-    // del({
-    //   targets: "/var/www/html/npm_test/griddedglyphs/index.min.js",
-    //   force: true,
-    // }),
-    // copy({
-    //   targets: [
-    //     { src: "dist/index.min.js", dest: "/var/www/html/npm_test/griddedglyphs" },
-    //   ],
-    // }),
-  ],
-  watch: {
-    include: "src/**",
-    exclude: "node_modules/**",
+});
+
+const plugins = () => [
+  commonjs({
+    include: /node_modules/,
+  }),
+  noderesolve(),
+  babel({ babelHelpers: "bundled" }), // transpilation
+  terser(),
+];
+
+export default [
+  {
+    input: "src/index.js",
+    output: {
+      format: "esm",
+      file: "dist/leaflet-gridded-glyph.min.js",
+      // dir: "dist",
+      name: "griddedglyphs",
+      // globals: { rbush: "rbush" },
+    },
+    //   external: ["leaflet"],
+    plugins: [
+      workerUrl(),
+      ...plugins(),
+      // del({
+      //   targets: "/var/www/html/npm_test/griddedglyphs/index.min.js",
+      //   force: true,
+      // }),
+      // copy({
+      //   targets: [
+      //     { src: "dist/index.min.js", dest: "/var/www/html/npm_test/griddedglyphs" },
+      //   ],
+      // }),
+    ],
+    watch: {
+      include: "src/**",
+      exclude: "node_modules/**",
+    },
+  },
+  {
+    // Module worker with its dependencies (rbush) bundled in
+    input: "src/modules/aggregation-worker.js",
+    output: {
+      format: "esm",
+      file: "dist/aggregation-worker.min.js",
+    },
+    plugins: plugins(),
+    watch: {
+      include: "src/**",
+      exclude: "node_modules/**",
+    },
   },
-};
+];
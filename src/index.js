@@ -1,9 +1,40 @@
 import rbush from "rbush";
 import { _getGridDiscretiser } from "./modules/griddiscretizer.js";
 import { _getHexDiscretiser } from "./modules/hexdiscretizer.js";
+import { _getH3Discretiser, getH3ResolutionForZoom } from "./modules/h3discretizer.js";
+import { _getS2Discretiser, getS2LevelForZoom, validateS2Level } from "./modules/s2discretizer.js";
+import { _getGeoSquareDiscretiser } from "./modules/geosquarediscretizer.js";
 import { createCoordinateTransformer } from "./modules/coordinate-transformer.js";
 import { createDataProcessor, DATA_TYPES, AGGREGATION_TYPES } from "./modules/data-processor.js";
 import { createVisualizationRenderer, CHART_TYPES } from "./modules/visualization-renderer.js";
+import { createGridPyramid } from "./modules/grid-pyramid.js";
+import { createColorScale, SCALE_TYPES } from "./modules/color-scale.js";
+import { GriddedGlyphLegend, createGriddedGlyphLegend } from "./modules/legend-control.js";
+import { GriddedGlyphTimeSlider, createGriddedGlyphTimeSlider } from "./modules/time-slider-control.js";
+import { createTimeIndex, toTimeValue } from "./modules/time-index.js";
+import { compileFilterExpression } from "./modules/filter-expression.js";
+import { getGlyphSpecFields, GLYPH_CHANNELS, GLYPH_FIELD_TYPES } from "./modules/glyph-spec.js";
+import { escapeHtml } from "./modules/html.js";
+
+// Geographic grid types: discretiser factory, zoom-based resolution and the option that fixes it
+const GEO_GRID_TYPES = {
+  h3: { create: _getH3Discretiser, resolutionForZoom: getH3ResolutionForZoom, resolutionOption: "h3Resolution" },
+  s2: { create: _getS2Discretiser, resolutionForZoom: getS2LevelForZoom, resolutionOption: "s2Level" }
+};
+
+// Cell fill when no cellColor configuration is set
+const DEFAULT_CELL_FILL = "rgba(255, 0, 0, 0.5)";
+
+// Aggregations whose values stay within the range of the raw values, so glyphs
+// of them can share the dataset-wide range of a 'global' scale
+const VALUE_RANGE_AGGREGATIONS = [
+  AGGREGATION_TYPES.MEAN,
+  AGGREGATION_TYPES.MEDIAN,
+  AGGREGATION_TYPES.MODE,
+  AGGREGATION_TYPES.MIN,
+  AGGREGATION_TYPES.MAX,
+  AGGREGATION_TYPES.PERCENTILE
+];
 
 L.GriddedGlyph = L.CanvasLayer.extend({
   initialize: function (options) {
@@ -17,9 +48,17 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     this.options = options || {}; // Ensure options object exists
     this.gridSize = options.gridSize || 20; // Default grid size
     this.padding = options.padding || 5; // Default padding
-    this.geojsonLayer = options.geojsonLayer;
+    this.geojsonLayer = options.geojsonLayer; // Optional when data is passed to loadData()
+    this.latField = options.latField || "lat"; // Latitude field of rows passed to loadData()
+    this.lngField = options.lngField || "lng"; // Longitude field of rows passed to loadData()
     this.customDrawFunction = options.customDrawFunction;
-    this.gridType = options.gridType || "square"; // Default to square grids, add 'hexagon', 'h3', 's2' later
+    this.gridType = options.gridType || "square"; // 'square', 'hexagon', 'h3' or 's2'
+    this.h3Resolution = options.h3Resolution; // Fixed H3 resolution (follows zoom when undefined)
+    this.s2Level = options.s2Level; // Fixed S2 level (follows zoom when undefined)
+    if (this.s2Level !== undefined && this.s2Level !== null) validateS2Level(this.s2Level);
+    this.gridUnits = options.gridUnits || "pixels"; // Square grid units: 'pixels', 'meters' or 'degrees'
+    this.gridOrigin = options.gridOrigin || [0, 0]; // Geographic anchor for 'meters'/'degrees' grids
+    this.gridCrs = options.gridCrs || L.CRS.EPSG3857; // Projected CRS for 'meters' grids
     this.debug = options.debug || false; // Enable debug logging
     
     // NEW: Dynamic mode options
@@ -27,13 +66,54 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     this.dynamicThrottle = options.dynamicThrottle || 16; // Throttle dynamic updates (ms)
     this.dynamicAggregationFn = options.dynamicAggregationFn; // Custom aggregation function
     
+    // Interaction: tooltip and popup templates
+    this.tooltip = options.tooltip; // true, template function or { template, ...L.Tooltip options }
+    this.popup = options.popup; // true, template function or { template, ...L.Popup options }
+    this._hoveredCell = null;
+    this._tooltipLayer = null;
+    
+    // Index of the current cells for hit-testing
+    this._cellIndex = null;
+    this._cellIndexGridData = null;
+    
+    // Hover highlighting and persistent selection
+    this.highlightOnHover = options.highlightOnHover !== undefined ? options.highlightOnHover : true;
+    this.selectable = options.selectable !== undefined ? options.selectable : true;
+    this.highlightStyle = { strokeStyle: "#333", lineWidth: 2, ...options.highlightStyle };
+    this.selectionStyle = { strokeStyle: "#1f78b4", lineWidth: 3, fillStyle: "rgba(31, 120, 180, 0.25)", ...options.selectionStyle };
+    this._selectedCellKeys = new Set();
+    
+    // Choropleth cell fill
+    this.cellColor = options.cellColor; // { field, category, scale, scheme, classification, classes, breaks }
+    this._cellColorScale = null;
+    this._globalColorScales = new Map(); // Scales fitted with breaks: 'global', by field and scale options
+    
+    // Web Worker aggregation
+    this.useWorker = options.useWorker || false; // Bin and aggregate in a Web Worker
+    this.workerUrl = options.workerUrl; // Worker script URL (defaults to the worker next to this module or bundle)
+    this._worker = null;
+    this._workerJobId = 0;
+    this._workerPending = false;
+    this._workerDataHash = null;
+    this._workerColumns = new Set(); // Fields whose columns the worker holds
+    this._workerAggregations = new Map(); // Custom aggregations the worker holds, by name
+    
     // NEW: Data processing options
     this.dataProcessor = options.dataProcessor || createDataProcessor(options.dataProcessorOptions);
     this.visualizationRenderer = options.visualizationRenderer || createVisualizationRenderer(options.visualizationOptions);
     this.aggregationConfig = options.aggregationConfig || {};
     this.visualizationConfig = options.visualizationConfig || {};
+    this.lodRules = options.lodRules || []; // [{ minSize, maxSize, visualizationConfig }] by glyph size in pixels
     this.selectedFields = options.selectedFields || [];
     
+    // Precomputed multi-resolution pyramid (static square grids)
+    this._pyramid = null;
+    this._pyramidDataHash = null;
+    this._pyramidWeights = null; // Weights the pyramid was built with
+    this._pyramidOptions = options.precompute
+      ? (typeof options.precompute === 'object' ? options.precompute : {})
+      : null;
+    
     // Initialize discretizers for dynamic mode
     this._discretizers = {
       square: _getGridDiscretiser(this.gridSize),
@@ -53,8 +133,7 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     this._cachedPadding = null;
     this._cachedGridType = null;
     this._dataHash = null; // Hash to detect if GeoJSON data changed
-    this._cachedGridOriginX = null;
-    this._cachedGridOriginY = null;
+    this._cachedGridAnchor = null; // Resolution and data bounds of geographic grids, grid origin of pixel grids
     
     // NEW: Dynamic mode cache
     this._cachedScreenData = null; // Cached screen coordinates
@@ -65,6 +144,396 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     this._processedData = null;
     this._dataSchema = null;
     this._globalStats = null;
+    this._categoryDomains = new Map(); // Category colors of pie/donut/treemap fields, by field and color options
+    
+    // Points of rows passed to loadData(); null while geojsonLayer is the data source
+    this._dataPoints = null;
+    this._dataBounds = null;
+    this._dataVersion = 0;
+    
+    // Columnar store of the current points
+    this._store = null;
+    this._storeDataHash = null;
+    
+    // Time window filter
+    this.timeField = options.timeField; // Temporal field of setTimeRange() (defaults to the first temporal field)
+    this._timeRange = null; // { start, end } as time values
+    this._timeIndex = null;
+    this._timeIndexKey = null;
+    this._timeMask = null; // 1 for points inside the time window
+    this._timeMaskIndex = null; // Time index the mask was built from
+    this._timeWindow = null; // [from, to) positions of the window in the time index
+    
+    // Attribute filter
+    this._filter = null; // Predicate or expression passed to setFilter()
+    this._filterTest = null; // (properties, index) => boolean
+    this._filterMask = null; // 1 for points that pass the filter
+    this._filterMaskKey = null; // Store data hash the mask was built for
+    this._pointMask = null; // Time and filter masks combined
+    this._pointMaskSources = null; // [timeMask, filterMask] the combined mask was built from
+    
+    // Point weights
+    this.weightField = options.weightField; // Field or (properties, index) => number weighting each point (default 1)
+    this._weights = null; // Float64Array of point weights
+    this._weightsKey = null; // Store data hash the weights were read for
+    this._weightsSource = null; // weightField the weights were read from
+    this._workerWeights = null; // Weights the worker holds
+    
+    // Cells of the last binning, including cells without points that pass the time window and filter
+    this._binnedCells = null;
+    this._binnedGridData = null;
+    this._pointCells = null;
+  },
+
+  /**
+   * Get the points to aggregate as { lat, lng, properties, layer }: the rows
+   * passed to loadData() when they have coordinates, otherwise the markers
+   * of geojsonLayer
+   * @private
+   */
+  _getPoints: function() {
+    if (this._dataPoints) return this._dataPoints;
+
+    const points = [];
+    if (this.geojsonLayer) {
+      this.geojsonLayer.eachLayer((layer) => {
+        const latLng = layer.getLatLng();
+        points.push({
+          lat: latLng.lat,
+          lng: latLng.lng,
+          properties: layer.feature ? layer.feature.properties : {},
+          layer: layer
+        });
+      });
+    }
+    return points;
+  },
+
+  /**
+   * Get the columnar store of the current points, rebuilding it when the data changed
+   * @private
+   */
+  _getStore: function() {
+    const dataHash = this._generateDataHash();
+    if (!this._store || this._storeDataHash !== dataHash) {
+      this._store = this.dataProcessor.createColumnarStore(this._getPoints());
+      this._storeDataHash = dataHash;
+    }
+    return this._store;
+  },
+
+  /**
+   * Attach point indices to a cell. The cell's attributes (the properties of
+   * its points) are only collected when first read.
+   * @private
+   */
+  _setCellPoints: function(cell, store, indices) {
+    cell.indices = indices;
+    const setAttributes = (attributes) => {
+      Object.defineProperty(cell, "attributes", { value: attributes, writable: true, configurable: true, enumerable: true });
+    };
+    Object.defineProperty(cell, "attributes", {
+      configurable: true,
+      enumerable: true,
+      get: () => {
+        const attributes = Array.from(indices, (index) => store.getRow(index));
+        setAttributes(attributes);
+        return attributes;
+      },
+      set: setAttributes
+    });
+  },
+
+  /**
+   * Get the weight of every point, rebuilding them when the data or the
+   * weightField changed. Missing, negative and non-numeric weights are 0.
+   * @private
+   * @returns {Float64Array|null} Weights by point index, or null when every point counts as 1
+   */
+  _getWeights: function() {
+    if (!this.weightField) return null;
+
+    const store = this._getStore();
+    if (!this._weights || this._weightsKey !== this._storeDataHash || this._weightsSource !== this.weightField) {
+      const weights = new Float64Array(store.length);
+      const weightField = this.weightField;
+      for (let i = 0; i < store.length; i++) {
+        const weight = Number(typeof weightField === 'function'
+          ? weightField(store.getRow(i), i)
+          : store.getValue(i, weightField));
+        weights[i] = weight > 0 && isFinite(weight) ? weight : 0;
+      }
+      this._weights = weights;
+      this._weightsKey = this._storeDataHash;
+      this._weightsSource = weightField;
+    }
+    return this._weights;
+  },
+
+  /**
+   * Count points by their weight
+   * @private
+   */
+  _countPoints: function(indices) {
+    const weights = this._getWeights();
+    if (!weights) return indices.length;
+
+    let count = 0;
+    for (let i = 0; i < indices.length; i++) {
+      count += weights[indices[i]];
+    }
+    return count;
+  },
+
+  /**
+   * Aggregate the points of a cell by index
+   * @private
+   */
+  _aggregateCellIndices: function(store, indices) {
+    if (!this.dataProcessor || !this.aggregationConfig || !this.aggregationConfig.fields || !this.aggregationConfig.fields.length) {
+      return { count: this._countPoints(indices) };
+    }
+
+    try {
+      return this.dataProcessor.aggregateIndices(store, indices, this.aggregationConfig, this._getWeights());
+    } catch (error) {
+      console.warn('Error in data aggregation:', error);
+      return { count: this._countPoints(indices) };
+    }
+  },
+
+  /**
+   * Count and aggregate the points of a cell that pass the point mask.
+   * cell.members holds all points binned into the cell, cell.indices the
+   * points that pass; cell.totalCount and cell.count are their numbers
+   * (summed weights with a weightField).
+   * @private
+   */
+  _filterCellPoints: function(cell, store, mask) {
+    const indices = mask ? cell.members.filter(index => mask[index] === 1) : cell.members;
+    cell.count = this._countPoints(indices);
+    cell.totalCount = this._countPoints(cell.members);
+    this._setCellPoints(cell, store, indices);
+
+    if (this.dataProcessor && this.aggregationConfig && this.aggregationConfig.fields && this.aggregationConfig.fields.length > 0) {
+      // Drop values of a previous filter that may be missing from this aggregation
+      Object.keys(this.aggregationConfig.aggregations || {}).forEach(field => {
+        delete cell[field];
+      });
+      Object.assign(cell, this._aggregateCellIndices(store, indices));
+    }
+  },
+
+  /**
+   * Keep the cells of a binning and show those with points
+   * @private
+   */
+  _setBinnedCells: function(cells) {
+    this._binnedCells = cells;
+    this._pointCells = null;
+    this.gridData = cells.filter(cell => cell.count > 0);
+    this._binnedGridData = this.gridData;
+  },
+
+  /**
+   * Map each point to the binned cells it belongs to. Hexagon and geographic
+   * cells bin each point into exactly one cell; static square cells query
+   * their own bounds, so a point on a shared edge belongs to both cells.
+   * @private
+   * @returns {Object} { first: Int32Array of cell positions (-1 for none), extra: Map of further positions }
+   */
+  _getPointCells: function() {
+    if (!this._pointCells) {
+      const first = new Int32Array(this._getStore().length).fill(-1);
+      const extra = new Map();
+
+      this._binnedCells.forEach((cell, position) => {
+        for (const index of cell.members) {
+          if (first[index] === -1) {
+            first[index] = position;
+          } else if (extra.has(index)) {
+            extra.get(index).push(position);
+          } else {
+            extra.set(index, [position]);
+          }
+        }
+      });
+      this._pointCells = { first, extra };
+    }
+    return this._pointCells;
+  },
+
+  /**
+   * Re-aggregate only the cells that contain points whose mask bit changed.
+   * Not possible when the grid came from the pyramid or the worker, or when
+   * the view changed since the last binning.
+   * @private
+   * @param {Array} changed - Indices of the points whose mask bit changed
+   * @returns {boolean} Whether gridData was updated
+   */
+  _refilterCells: function(changed) {
+    if (!this._binnedCells || this.gridData !== this._binnedGridData) return false;
+    if (this.dynamicMode ? !this._cachedScreenData : this._needsRecalculation(this._getDataBounds())) return false;
+
+    const { first, extra } = this._getPointCells();
+    const touched = new Set();
+    for (const index of changed) {
+      if (first[index] === -1) continue;
+      touched.add(first[index]);
+      if (extra.has(index)) {
+        extra.get(index).forEach(position => touched.add(position));
+      }
+    }
+
+    const store = this._getStore();
+    const mask = this._getPointMask();
+    touched.forEach(position => this._filterCellPoints(this._binnedCells[position], store, mask));
+
+    this.gridData = this._binnedCells.filter(cell => cell.count > 0);
+    this._binnedGridData = this.gridData;
+
+    if (this.debug) {
+      console.log(`Time window moved: ${changed.length} points changed, ${touched.size} cells re-aggregated`);
+    }
+    return true;
+  },
+
+  /**
+   * Get the field filtered by setTimeRange()
+   * @private
+   */
+  _getTimeField: function() {
+    if (this.timeField) return this.timeField;
+    const temporalFields = this.dataProcessor.getFieldsByType(DATA_TYPES.TEMPORAL);
+    return temporalFields.length > 0 ? temporalFields[0] : null;
+  },
+
+  /**
+   * Get the time index of the time field, rebuilding it when the data changed
+   * @private
+   * @returns {TimeIndex|null} Time index, or null without a time field
+   */
+  _getTimeIndex: function() {
+    const field = this._getTimeField();
+    if (!field) return null;
+
+    const store = this._getStore();
+    const key = `${this._storeDataHash}_${field}`;
+    if (!this._timeIndex || this._timeIndexKey !== key) {
+      this._timeIndex = createTimeIndex(store, field);
+      this._timeIndexKey = key;
+    }
+    return this._timeIndex;
+  },
+
+  /**
+   * Get the mask of the points to aggregate: the time window and the
+   * attribute filter combined
+   * @private
+   * @returns {Uint8Array|null} 1 for points that pass the filters, or null when nothing is filtered
+   */
+  _getPointMask: function() {
+    const timeMask = this._getTimeMask();
+    const filterMask = this._getFilterMask();
+    if (!timeMask || !filterMask) return timeMask || filterMask;
+
+    const sources = this._pointMaskSources;
+    if (!this._pointMask || sources[0] !== timeMask || sources[1] !== filterMask) {
+      const mask = new Uint8Array(timeMask.length);
+      for (let i = 0; i < mask.length; i++) {
+        mask[i] = timeMask[i] & filterMask[i];
+      }
+      this._pointMask = mask;
+      this._pointMaskSources = [timeMask, filterMask];
+    }
+    return this._pointMask;
+  },
+
+  /**
+   * Get the mask of the attribute filter, rebuilding it when the data changed
+   * @private
+   * @returns {Uint8Array|null} 1 for points that pass the filter, or null without a filter
+   */
+  _getFilterMask: function() {
+    if (!this._filterTest) return null;
+
+    const store = this._getStore();
+    if (!this._filterMask || this._filterMaskKey !== this._storeDataHash) {
+      const mask = new Uint8Array(store.length);
+      for (let i = 0; i < store.length; i++) {
+        mask[i] = this._filterTest(store.getRow(i), i) ? 1 : 0;
+      }
+      this._filterMask = mask;
+      this._filterMaskKey = this._storeDataHash;
+    }
+    return this._filterMask;
+  },
+
+  /**
+   * Get the mask of the time window
+   * @private
+   * @returns {Uint8Array|null} 1 for points inside the window, or null without a time window
+   */
+  _getTimeMask: function() {
+    if (!this._timeRange) return null;
+
+    const timeIndex = this._getTimeIndex();
+    if (!timeIndex) return null;
+
+    if (this._timeMaskIndex !== timeIndex) {
+      this._timeWindow = timeIndex.getWindow(this._timeRange.start, this._timeRange.end);
+      this._timeMask = timeIndex.createMask(this._timeWindow);
+      this._timeMaskIndex = timeIndex;
+    }
+    return this._timeMask;
+  },
+
+  /**
+   * Get the bounds of the data source
+   * @private
+   * @returns {L.LatLngBounds|null} Data bounds, or null without data
+   */
+  _getDataBounds: function() {
+    if (this._dataPoints) return this._dataBounds;
+    if (this.geojsonLayer && this.geojsonLayer.getLayers().length > 0) {
+      return this.geojsonLayer.getBounds();
+    }
+    return null;
+  },
+
+  /**
+   * Index loaded rows that have numeric coordinates as points
+   * @private
+   */
+  _setDataPoints: function(rows, latField, lngField) {
+    const points = [];
+    let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+
+    for (const row of rows) {
+      const lat = Number(row[latField]);
+      const lng = Number(row[lngField]);
+      if (row[latField] === null || row[lngField] === null || !isFinite(lat) || !isFinite(lng)) continue;
+
+      points.push({ lat, lng, properties: row });
+      south = Math.min(south, lat);
+      north = Math.max(north, lat);
+      west = Math.min(west, lng);
+      east = Math.max(east, lng);
+    }
+
+    if (points.length === 0) {
+      // No coordinates: the rows only describe the data, geojsonLayer stays the source
+      this._dataPoints = null;
+      this._dataBounds = null;
+      if (this.debug) {
+        console.log(`No rows with '${latField}'/'${lngField}' coordinates, drawing geojsonLayer`);
+      }
+      return;
+    }
+
+    this._dataPoints = points;
+    this._dataBounds = L.latLngBounds([south, west], [north, east]);
+    this._dataVersion++;
   },
 
   /**
@@ -72,6 +541,7 @@ L.GriddedGlyph = L.CanvasLayer.extend({
    * @private
    */
   _generateDataHash: function() {
+    if (this._dataPoints) return `data_${this._dataVersion}_${this._dataPoints.length}`;
     if (!this.geojsonLayer) return null;
     
     let hash = 0;
@@ -93,15 +563,7 @@ L.GriddedGlyph = L.CanvasLayer.extend({
   _needsRecalculation: function(bounds) {
     const currentZoom = this._map.getZoom();
     const currentDataHash = this._generateDataHash();
-    
-    // Calculate grid origin in container points
-    const northWest = this._map.latLngToContainerPoint(bounds.getNorthWest());
-    const gridOriginX = Math.floor(northWest.x / this.gridSize) * this.gridSize;
-    const gridOriginY = Math.floor(northWest.y / this.gridSize) * this.gridSize;
-    const gridOriginChanged = (
-      this._cachedGridOriginX !== gridOriginX ||
-      this._cachedGridOriginY !== gridOriginY
-    );
+    const gridAnchorChanged = this._cachedGridAnchor !== this._getGridAnchor(bounds);
     
     // Check if any relevant properties have changed
     const zoomChanged = this._cachedZoom !== currentZoom;
@@ -110,7 +572,26 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     const gridTypeChanged = this._cachedGridType !== this.gridType;
     const dataChanged = this._dataHash !== currentDataHash;
     
-    return gridOriginChanged || zoomChanged || gridSizeChanged || paddingChanged || gridTypeChanged || dataChanged;
+    return gridAnchorChanged || zoomChanged || gridSizeChanged || paddingChanged || gridTypeChanged || dataChanged;
+  },
+
+  /**
+   * Get what places the static grid. Geographic grids (H3, S2, metre/degree
+   * squares) stay on the ground, so only their resolution and the data
+   * bounds count; pixel grids move with their origin in container points.
+   * @private
+   * @returns {string} Grid anchor
+   */
+  _getGridAnchor: function(bounds) {
+    const geoDiscretiser = this._getGeoDiscretiser();
+    if (geoDiscretiser) {
+      return `${this.gridUnits}/${geoDiscretiser.getResolution()}/${bounds.toBBoxString()}`;
+    }
+
+    const northWest = this._map.latLngToContainerPoint(bounds.getNorthWest());
+    const gridOriginX = Math.floor(northWest.x / this.gridSize) * this.gridSize;
+    const gridOriginY = Math.floor(northWest.y / this.gridSize) * this.gridSize;
+    return `${gridOriginX},${gridOriginY}`;
   },
 
   /**
@@ -118,9 +599,7 @@ L.GriddedGlyph = L.CanvasLayer.extend({
    * @private
    */
   _updateCache: function(bounds) {
-    const northWest = this._map.latLngToContainerPoint(bounds.getNorthWest());
-    this._cachedGridOriginX = Math.floor(northWest.x / this.gridSize) * this.gridSize;
-    this._cachedGridOriginY = Math.floor(northWest.y / this.gridSize) * this.gridSize;
+    this._cachedGridAnchor = this._getGridAnchor(bounds);
     this._cachedBounds = bounds;
     this._cachedZoom = this._map.getZoom();
     this._cachedGridSize = this.gridSize;
@@ -140,8 +619,7 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     this._cachedPadding = null;
     this._cachedGridType = null;
     this._dataHash = null;
-    this._cachedGridOriginX = null;
-    this._cachedGridOriginY = null;
+    this._cachedGridAnchor = null;
     
     // Also invalidate dynamic cache
     this._cachedScreenData = null;
@@ -194,13 +672,13 @@ L.GriddedGlyph = L.CanvasLayer.extend({
    * @private
    */
   _processScreenData: function() {
-    if (!this.geojsonLayer || !this._coordTransformer) return [];
+    if (!this._coordTransformer) return [];
     
     const screenData = [];
     const viewport = this._coordTransformer.getViewport();
     
-    this.geojsonLayer.eachLayer((layer) => {
-      const latLng = layer.getLatLng();
+    this._getPoints().forEach((point, index) => {
+      const latLng = L.latLng(point.lat, point.lng);
       const screenPoint = this._coordToScreenFn(latLng);
       
       // Only include points within the viewport
@@ -208,8 +686,9 @@ L.GriddedGlyph = L.CanvasLayer.extend({
         screenData.push({
           screenPoint: screenPoint,
           latLng: latLng,
-          data: layer,
-          properties: layer.feature ? layer.feature.properties : {}
+          index: index,
+          data: point.layer || point,
+          properties: point.properties
         });
       }
     });
@@ -224,7 +703,14 @@ L.GriddedGlyph = L.CanvasLayer.extend({
   _calculateDynamicGridData: function(mousePos) {
     if (!this._map) return;
     
-    const discretiser = this._discretizers[this.gridType];
+    if (this._canUseWorker()) {
+      this._requestWorkerGrid("dynamic");
+      return;
+    }
+    
+    // Geographic grids (H3, S2, metre/degree squares) bin by lat/lng instead of screen position
+    const geoDiscretiser = this._getGeoDiscretiser();
+    const discretiser = geoDiscretiser || this._discretizers[this.gridType];
     if (!discretiser) {
       console.warn(`Discretiser not found for grid type: ${this.gridType}`);
       return;
@@ -239,6 +725,12 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     
     // Clear existing grid data
     this.gridData = [];
+    const store = this._getStore();
+    const mask = this._getPointMask();
+    const weights = this._getWeights();
+    
+    // Screen grids are laid out in world pixels so cells stay on the ground while panning
+    const pixelOrigin = geoDiscretiser ? null : this._getPixelOrigin();
     
     // Create spatial units lookup
     const spatialUnitsLookup = {};
@@ -247,55 +739,184 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     for (let datum of screenData) {
       const screenPoint = datum.screenPoint;
       
-      // Get grid cell coordinates
-      const [col, row] = discretiser.getColRow(screenPoint[0], screenPoint[1]);
-      const key = `${col},${row}`;
+      // Get grid cell key (geographic cell id or screen column/row)
+      let key, col, row;
+      if (geoDiscretiser) {
+        key = geoDiscretiser.getCellId(datum.latLng.lat, datum.latLng.lng);
+      } else {
+        [col, row] = discretiser.getColRow(screenPoint[0] + pixelOrigin[0], screenPoint[1] + pixelOrigin[1]);
+        key = `${col},${row}`;
+      }
       
       // Get or create spatial unit
       let spatialUnit = spatialUnitsLookup[key];
       if (!spatialUnit) {
-        const center = discretiser.getXYCentre(col, row);
-        spatialUnit = {
-          col: col,
-          row: row,
-          x: center[0],
-          y: center[1],
-          count: 0,
-          attributes: [],
-          getBoundary: (padding) => discretiser.getBoundary(col, row, padding),
-          getXCentre: () => center[0],
-          getYCentre: () => center[1],
-          getCellSize: () => this.gridSize
-        };
+        spatialUnit = geoDiscretiser
+          ? this._createGeoCell(geoDiscretiser, key)
+          : this._createScreenCell(discretiser, col, row, pixelOrigin);
+        spatialUnit.members = [];
         spatialUnitsLookup[key] = spatialUnit;
       }
       
       // Aggregate data
-      spatialUnit.count++;
-      spatialUnit.attributes.push(datum.properties);
+      spatialUnit.members.push(datum.index);
       
-      // Apply custom aggregation function if provided
+      // Custom aggregation functions only see the points that pass the filters
+      if (mask && this.dynamicAggregationFn && mask[datum.index] !== 1) continue;
+      const weight = weights ? weights[datum.index] : 1;
+      spatialUnit.count += weight;
+      
+      // Apply custom aggregation function if provided (it may read the attributes collected so far)
       if (this.dynamicAggregationFn) {
-        this.dynamicAggregationFn(spatialUnit, datum, 1, {}, {});
+        spatialUnit.attributes.push(datum.properties);
+        this.dynamicAggregationFn(spatialUnit, datum, weight, {}, {});
       }
     }
     
     // NEW: Apply enhanced aggregation if data processor is available
-    Object.values(spatialUnitsLookup).forEach(spatialUnit => {
-      if (this.dataProcessor && this.aggregationConfig.fields.length > 0) {
-        const aggregatedData = this._aggregateCellData(spatialUnit.attributes);
-        Object.assign(spatialUnit, aggregatedData);
-      }
-    });
-    
-    // Convert to grid data format
-    this.gridData = Object.values(spatialUnitsLookup);
+    const spatialUnits = Object.values(spatialUnitsLookup);
+    if (this.dynamicAggregationFn) {
+      // Attributes were collected eagerly for the custom function
+      spatialUnits.forEach(spatialUnit => {
+        spatialUnit.indices = mask ? spatialUnit.members.filter(index => mask[index] === 1) : spatialUnit.members;
+        spatialUnit.totalCount = this._countPoints(spatialUnit.members);
+        if (this.dataProcessor && this.aggregationConfig && this.aggregationConfig.fields && this.aggregationConfig.fields.length > 0) {
+          Object.assign(spatialUnit, this._aggregateCellIndices(store, spatialUnit.indices));
+        }
+      });
+      this.gridData = spatialUnits.filter(spatialUnit => spatialUnit.count > 0);
+      this._binnedCells = null;
+    } else {
+      spatialUnits.forEach(spatialUnit => this._filterCellPoints(spatialUnit, store, mask));
+      this._setBinnedCells(spatialUnits);
+    }
     
     if (this.debug) {
       console.log(`Dynamic grid calculated: ${this.gridData.length} cells, ${screenData.length} data points`);
     }
   },
 
+  /**
+   * Create an empty cell for a screen-space discretiser (square or hexagon).
+   * Columns and rows count from world pixel 0 at the current zoom; the cell
+   * is positioned in container points from the given pixel origin.
+   * @private
+   * @param {Array} pixelOrigin - World pixel [x, y] of the container's top-left corner
+   */
+  _createScreenCell: function(discretiser, col, row, pixelOrigin) {
+    const [originX, originY] = pixelOrigin;
+    const centre = discretiser.getXYCentre(col, row);
+    const center = [centre[0] - originX, centre[1] - originY];
+    return {
+      col: col,
+      row: row,
+      zoom: this._map.getZoom(),
+      x: center[0],
+      y: center[1],
+      count: 0,
+      attributes: [],
+      getBoundary: (padding) => discretiser.getBoundary(col, row, padding).map(([x, y]) => [x - originX, y - originY]),
+      getXCentre: () => center[0],
+      getYCentre: () => center[1],
+      getCellSize: () => this.gridSize
+    };
+  },
+
+  /**
+   * Get the world pixel position of the container's top-left corner at the
+   * current zoom, the offset between screen and world pixel grids
+   * @private
+   * @returns {Array} [x, y] world pixel coordinates
+   */
+  _getPixelOrigin: function() {
+    const origin = this._map.getPixelBounds().min;
+    return [origin.x, origin.y];
+  },
+
+  /**
+   * Get the geographic discretiser for the current grid type and zoom level
+   * @private
+   * @returns {Object|null} Discretiser, or null for screen-space grid types
+   */
+  _getGeoDiscretiser: function() {
+    // Square grids in metres or degrees are anchored to a geographic origin
+    if (this.gridType === "square" && this.gridUnits !== "pixels") {
+      const discretiser = this._discretizers.geoSquare;
+      if (!discretiser || discretiser.getCellSize() !== this.gridSize || discretiser.getUnits() !== this.gridUnits) {
+        this._discretizers.geoSquare = _getGeoSquareDiscretiser(this.gridSize, {
+          units: this.gridUnits,
+          origin: this.gridOrigin,
+          crs: this.gridCrs
+        });
+      }
+      return this._discretizers.geoSquare;
+    }
+
+    const geoGridType = GEO_GRID_TYPES[this.gridType];
+    if (!geoGridType || !this._map) return null;
+
+    const fixedResolution = this[geoGridType.resolutionOption];
+    const resolution = fixedResolution !== undefined && fixedResolution !== null
+      ? fixedResolution
+      : geoGridType.resolutionForZoom(this._map.getZoom(), this._map.getCenter().lat, this.gridSize);
+
+    const discretiser = this._discretizers[this.gridType];
+    if (!discretiser || discretiser.getResolution() !== resolution) {
+      this._discretizers[this.gridType] = geoGridType.create(resolution);
+    }
+    return this._discretizers[this.gridType];
+  },
+
+  /**
+   * Create an empty cell for a geographic discretiser.
+   * Boundary and centre are projected to screen coordinates on request so the
+   * cell follows the map while it is panned.
+   * @private
+   */
+  _createGeoCell: function(discretiser, cellId) {
+    const centre = discretiser.getCentre(cellId);
+    const boundary = discretiser.getBoundary(cellId);
+    const cellBounds = L.latLngBounds(boundary);
+    const toScreen = (latLng) => this._coordTransformer.latLngToScreen(latLng);
+
+    const cellData = {
+      id: cellId,
+      count: 0,
+      get x() { return toScreen(centre)[0]; },
+      get y() { return toScreen(centre)[1]; },
+      latLng: centre,
+      bounds: cellBounds,
+      attributes: [],
+      getBoundary: (padding) => this._insetPolygon(boundary.map(toScreen), toScreen(centre), padding),
+      getXCentre: () => toScreen(centre)[0],
+      getYCentre: () => toScreen(centre)[1],
+      getCellSize: () => {
+        const northWest = toScreen(cellBounds.getNorthWest());
+        const southEast = toScreen(cellBounds.getSouthEast());
+        return Math.max(southEast[0] - northWest[0], southEast[1] - northWest[1]);
+      }
+    };
+    cellData[discretiser.idProperty] = cellId;
+
+    return cellData;
+  },
+
+  /**
+   * Shrink a screen polygon towards its centre by padding pixels
+   * @private
+   */
+  _insetPolygon: function(points, centre, padding) {
+    if (!padding) return points;
+
+    return points.map(([x, y]) => {
+      const dx = x - centre[0];
+      const dy = y - centre[1];
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const scale = distance > 0 ? Math.max(0, 1 - padding / distance) : 0;
+      return [centre[0] + dx * scale, centre[1] + dy * scale];
+    });
+  },
+
   onAdd: function (map) {
     // Call the parent class's onAdd method
     L.CanvasLayer.prototype.onAdd.call(this, map);
@@ -313,8 +934,10 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       map.on("zoomend moveend", this._redraw, this);
     }
 
-    // Add an event listener for the mousemove event to the map
+    // Add listeners for cell interaction
     map.on("mousemove", this._onMouseMove, this);
+    map.on("mouseout", this._onMouseOut, this);
+    map.on("click", this._onClick, this);
   },
 
   onRemove: function (map) {
@@ -333,6 +956,15 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       this._dynamicUpdateTimer = null;
     }
 
+    // Stop the aggregation worker
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+      this._workerPending = false;
+      this._workerDataHash = null;
+      this._workerAggregations = new Map();
+    }
+
     // Remove event listeners from the map
     if (this.dynamicMode) {
       map.off("zoom move mousemove", this._onDynamicEvent, this);
@@ -341,6 +973,17 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       map.off("zoomend moveend", this._redraw, this);
     }
     map.off("mousemove", this._onMouseMove, this);
+    map.off("mouseout", this._onMouseOut, this);
+    map.off("click", this._onClick, this);
+
+    // Close tooltip left open by cell interaction
+    if (this._tooltipLayer) {
+      map.closeTooltip(this._tooltipLayer);
+      this._tooltipLayer = null;
+    }
+    this._hoveredCell = null;
+    this._cellIndex = null;
+    this._cellIndexGridData = null;
   },
 
   /**
@@ -401,67 +1044,300 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     // Find the cell that the mouse is over
     var highlightedCell = this._findCellByCoords(mousePos);
 
-    if (highlightedCell) {
-        // Get cell attributes
-        // console.log("Cell attributes:", highlightedCell.attributes);
+    var previousKey = this._hoveredCell ? this._getCellKey(this._hoveredCell) : null;
+    var currentKey = highlightedCell ? this._getCellKey(highlightedCell) : null;
 
-        // You can do other things with the highlighted cell here,
-        // such as displaying a tooltip or changing the cell's style
+    if (previousKey !== currentKey) {
+      if (this._hoveredCell) {
+        this._onMouseOut(e);
+      }
+      if (highlightedCell) {
+        this._hoveredCell = highlightedCell;
+        const payload = this._getCellPayload(highlightedCell, e);
+        this.fire("cellmouseover", payload);
+        this._openCellTooltip(payload);
+      }
+      this._redrawHighlight();
+    } else if (highlightedCell) {
+      // Same cell (possibly re-created by a redraw): keep the tooltip on the cursor
+      this._hoveredCell = highlightedCell;
+      if (this._tooltipLayer) {
+        this._tooltipLayer.setLatLng(e.latlng);
+      }
     }
   },
 
-  _findCellByCoords: function (coords) {
-    for (let cell of this.gridData) {
-      if (this.dynamicMode) {
-        // Dynamic mode: use boundary check
-        const boundary = cell.getBoundary();
-        if (boundary && this._pointInPolygon(coords, boundary)) {
-          return cell;
-        }
-      } else {
-        // Static mode: use rectangular bounds
-        if (
-          coords.x >= cell.x &&
-          coords.x <= cell.x + this.gridSize &&
-          coords.y >= cell.y &&
-          coords.y <= cell.y + this.gridSize
-        ) {
-          return cell;
-        }
-      }
+  /**
+   * Handle the cursor leaving the hovered cell or the map
+   * @private
+   */
+  _onMouseOut: function (e) {
+    if (!this._hoveredCell) return;
+
+    const payload = this._getCellPayload(this._hoveredCell, e);
+    this._hoveredCell = null;
+
+    if (this._tooltipLayer && this._map) {
+      this._map.closeTooltip(this._tooltipLayer);
+    }
+    this.fire("cellmouseout", payload);
+
+    if (e && e.type === "mouseout") {
+      this._redrawHighlight();
     }
-    return null; // No cell found at these coordinates
   },
 
   /**
-   * NEW: Check if point is inside polygon (for hexagon cells)
+   * Repaint after the hovered cell changed (dynamic mode repaints on its own)
    * @private
    */
-  _pointInPolygon: function(point, polygon) {
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      if (((polygon[i][1] > point.y) !== (polygon[j][1] > point.y)) &&
-          (point.x < (polygon[j][0] - polygon[i][0]) * (point.y - polygon[i][1]) / (polygon[j][1] - polygon[i][1]) + polygon[i][0])) {
-        inside = !inside;
-      }
+  _redrawHighlight: function () {
+    if (this.highlightOnHover && !this.dynamicMode && this._map && this._canvas) {
+      this._drawCurrentGrid(this._getDataBounds());
     }
-    return inside;
   },
 
-  _recalculateTree: function () {
-    this._tree.clear();
-
-    this.geojsonLayer.eachLayer((layer) => {
-      const latLng = layer.getLatLng();
+  /**
+   * Handle clicks on cells: fire cellclick and open the popup
+   * @private
+   */
+  _onClick: function (e) {
+    const cell = this._findCellByCoords(e.containerPoint);
+    if (!cell) return;
+
+    const payload = this._getCellPayload(cell, e);
+    this.fire("cellclick", payload);
+
+    if (this.selectable) {
+      const key = this._getCellKey(cell);
+      const shiftKey = e.originalEvent && e.originalEvent.shiftKey;
+
+      if (shiftKey) {
+        // Shift-click toggles the cell in a multi-selection
+        if (this._selectedCellKeys.has(key)) {
+          this._selectedCellKeys.delete(key);
+        } else {
+          this._selectedCellKeys.add(key);
+        }
+      } else if (this._selectedCellKeys.size === 1 && this._selectedCellKeys.has(key)) {
+        this._selectedCellKeys.clear();
+      } else {
+        this._selectedCellKeys = new Set([key]);
+      }
+      this._onSelectionChange();
+    }
+
+    const popup = this._getTemplateOption(this.popup);
+    if (popup) {
+      L.popup(popup.options)
+        .setLatLng(e.latlng)
+        .setContent(popup.template(payload))
+        .openOn(this._map);
+    }
+  },
+
+  /**
+   * Open (or move) the hover tooltip for a cell
+   * @private
+   */
+  _openCellTooltip: function (payload) {
+    const tooltip = this._getTemplateOption(this.tooltip);
+    if (!tooltip || !payload.latlng) return;
+
+    if (!this._tooltipLayer) {
+      this._tooltipLayer = L.tooltip({ direction: "top", offset: [0, -10], ...tooltip.options });
+    }
+    this._tooltipLayer.setLatLng(payload.latlng).setContent(tooltip.template(payload));
+    this._map.openTooltip(this._tooltipLayer);
+  },
+
+  /**
+   * Normalise a tooltip/popup option into a template function and Leaflet options
+   * @private
+   * @returns {Object|null} { template, options }, or null when disabled
+   */
+  _getTemplateOption: function (option) {
+    if (!option) return null;
+    if (typeof option === "function") {
+      return { template: option, options: {} };
+    }
+    if (option === true) {
+      return { template: this._defaultCellTemplate, options: {} };
+    }
+
+    const { template, ...options } = option;
+    return { template: template || this._defaultCellTemplate, options };
+  },
+
+  /**
+   * Default tooltip/popup content: count and aggregated values.
+   * Field names, categories and values come from the data and are escaped.
+   * @private
+   */
+  _defaultCellTemplate: function (payload) {
+    const count = payload.totalCount !== payload.count
+      ? `${payload.count} of ${payload.totalCount}`
+      : payload.count;
+    const lines = [`<strong>Count:</strong> ${escapeHtml(count)}`];
+    Object.keys(payload.values).forEach(field => {
+      let value = payload.values[field];
+      if (Array.isArray(value)) {
+        // Time series: one value per bin
+        value = value.map(v => typeof v === "number" && !Number.isInteger(v) ? v.toFixed(1) : v).join(", ");
+      } else if (value && typeof value === "object") {
+        value = Object.entries(value).map(([key, count]) => `${key}: ${count}`).join(", ");
+      } else if (typeof value === "number" && !Number.isInteger(value)) {
+        value = value.toFixed(2);
+      }
+      lines.push(`<strong>${escapeHtml(field)}:</strong> ${escapeHtml(value)}`);
+    });
+    return lines.join("<br>");
+  },
+
+  /**
+   * Get a stable key for a cell: the geographic id, or "zoom/col/row" for
+   * pixel grids, whose columns and rows are anchored to the ground at a zoom
+   * @private
+   */
+  _getCellKey: function (cell) {
+    return cell.id !== undefined ? String(cell.id) : `${cell.zoom}/${cell.col}/${cell.row}`;
+  },
+
+  /**
+   * Build the payload passed to templates and cell events
+   * @private
+   */
+  _getCellPayload: function (cell, e) {
+    const values = {};
+    const aggregations = (this.aggregationConfig && this.aggregationConfig.aggregations) || {};
+    Object.keys(aggregations).forEach(field => {
+      if (cell[field] !== undefined) {
+        values[field] = cell[field];
+      }
+    });
+
+    return {
+      cell: cell,
+      count: cell.count,
+      totalCount: cell.totalCount !== undefined ? cell.totalCount : cell.count,
+      values: values,
+      attributes: cell.attributes || [],
+      latlng: e && e.latlng,
+      containerPoint: e && e.containerPoint,
+      originalEvent: e && e.originalEvent
+    };
+  },
+
+  _findCellByCoords: function (coords) {
+    if (!this.gridData.length) return null;
 
-      this._tree.insert({
+    const index = this._getCellIndex();
+    if (index.tree) {
+      // Geographic cells: only the few whose bounds contain the point are tested exactly
+      const latLng = this._map.containerPointToLatLng(coords);
+      const candidates = index.tree.search({
         minX: latLng.lng,
         minY: latLng.lat,
         maxX: latLng.lng,
-        maxY: latLng.lat,
-        data: layer,
+        maxY: latLng.lat
       });
-    });
+      for (const item of candidates) {
+        if (this._pointInPolygon(coords, item.cell.getBoundary())) {
+          return item.cell;
+        }
+      }
+      return null;
+    }
+
+    // Pixel cells: invert the grid to the column and row under the point
+    const [col, row] = this._getColRowAt(coords);
+    return index.cells.get(`${col},${row}`) || null;
+  },
+
+  /**
+   * Get the column and row of the pixel grid cell under a container point
+   * @private
+   */
+  _getColRowAt: function (coords) {
+    if (!this.dynamicMode && this.gridType === "square") {
+      // Static squares are counted from the north-west corner of the data
+      const origin = this._coordTransformer.latLngToScreen(this._getDataBounds().getNorthWest());
+      const step = this.gridSize + this.padding;
+      return [Math.floor((coords.x - origin[0]) / step), Math.floor((coords.y - origin[1]) / step)];
+    }
+
+    const pixelOrigin = this._getPixelOrigin();
+    return this._discretizers[this.gridType].getColRow(coords.x + pixelOrigin[0], coords.y + pixelOrigin[1]);
+  },
+
+  /**
+   * Get the index of the current cells for hit-testing, built once per grid:
+   * pixel cells by column and row, geographic cells in an R-tree of their
+   * lat/lng bounds
+   * @private
+   * @returns {Object} { cells: Map of "col,row" to cell } or { tree }
+   */
+  _getCellIndex: function () {
+    if (this._cellIndex && this._cellIndexGridData === this.gridData) {
+      return this._cellIndex;
+    }
+
+    if (this._getGeoDiscretiser()) {
+      const tree = new rbush();
+      tree.load(this.gridData.map(cell => ({
+        minX: cell.bounds.getWest(),
+        minY: cell.bounds.getSouth(),
+        maxX: cell.bounds.getEast(),
+        maxY: cell.bounds.getNorth(),
+        cell: cell
+      })));
+      this._cellIndex = { tree };
+    } else {
+      this._cellIndex = { cells: new Map(this.gridData.map(cell => [`${cell.col},${cell.row}`, cell])) };
+    }
+    this._cellIndexGridData = this.gridData;
+
+    return this._cellIndex;
+  },
+
+  /**
+   * Check whether a cell is a static pixel square, positioned by its top-left corner
+   * @private
+   */
+  _isRectCell: function (cell) {
+    return !this.dynamicMode && !cell.latLng && this.gridType === "square";
+  },
+
+  /**
+   * NEW: Check if point is inside polygon (for hexagon cells)
+   * @private
+   */
+  _pointInPolygon: function(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      if (((polygon[i][1] > point.y) !== (polygon[j][1] > point.y)) &&
+          (point.x < (polygon[j][0] - polygon[i][0]) * (point.y - polygon[i][1]) / (polygon[j][1] - polygon[i][1]) + polygon[i][0])) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  _recalculateTree: function () {
+    this._tree.clear();
+
+    const store = this._getStore();
+    const items = new Array(store.length);
+    for (let i = 0; i < store.length; i++) {
+      items[i] = {
+        minX: store.lngs[i],
+        minY: store.lats[i],
+        maxX: store.lngs[i],
+        maxY: store.lats[i],
+        index: i,
+      };
+    }
+    this._tree.load(items);
   },
 
   calculateGridData: function (bounds) {
@@ -484,14 +1360,12 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       console.log('Grid data cache miss - recalculating');
     }
     
-    if (this.gridType === "square") {
+    if (this._getGeoDiscretiser()) {
+      this._calculateGeoGridData(bounds);
+    } else if (this.gridType === "square") {
       this._calculateSquareGridData(bounds);
     } else if (this.gridType === "hexagon") {
       this._calculateHexagonGridData(bounds);
-    } else if (this.gridType === "h3") {
-      // this._calculateH3GridData(bounds); // Implement later
-    } else if (this.gridType === "s2") {
-      // this._calculateS2GridData(bounds); // Implement later
     }
     
     // Update cache after recalculation
@@ -504,6 +1378,18 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     const screenBounds = this._coordTransformer.boundsToScreen(bounds);
     if (!screenBounds) return;
     
+    // Look cells up in the precomputed pyramid when this zoom level is available
+    const pyramid = this._getPyramid();
+    if (pyramid && pyramid.hasLevel(this._map.getZoom())) {
+      this._calculatePyramidGridData(screenBounds, pyramid);
+      return;
+    }
+    
+    if (this._canUseWorker()) {
+      this._requestWorkerGrid("static");
+      return;
+    }
+    
     const { northWest, southEast } = screenBounds;
     
     // Calculate size of rectangles in pixels
@@ -525,6 +1411,9 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     if (!this._tree.all || this._tree.all().length === 0 || this._dataHash !== this._generateDataHash()) {
       this._recalculateTree();
     }
+    const store = this._getStore();
+    const mask = this._getPointMask();
+    const cells = [];
 
     // Count number of features in each cell using the RBush index
     for (var i = 0; i < rows; i++) {
@@ -562,57 +1451,166 @@ L.GriddedGlyph = L.CanvasLayer.extend({
           results = [];
         }
         
-        // Create cell data
-        const cellData = {
-          count: results.length,
-          x: cellX,
-          y: cellY,
-          bounds: cellBounds,
-          attributes: [],
-          getBoundary: (padding) => {
-            const adjCellSize = padding ? rectSize - padding * 2 : rectSize;
-            return [
-              [cellX + adjCellSize/2, cellY + adjCellSize/2],
-              [cellX + adjCellSize/2, cellY - adjCellSize/2],
-              [cellX - adjCellSize/2, cellY - adjCellSize/2],
-              [cellX - adjCellSize/2, cellY + adjCellSize/2],
-            ];
-          },
-          getXCentre: () => cellX + rectSize/2,
-          getYCentre: () => cellY + rectSize/2,
-          getCellSize: () => this.gridSize
-        };
+        // Only keep cells with data
+        if (results.length === 0) continue;
+
+        // Create cell data; attributes are collected on demand
+        const cellData = this._createSquareCell(j, i, cellX, cellY, cellBounds);
+        cellData.members = results.map(feature => feature.index);
+        this._filterCellPoints(cellData, store, mask);
+        cells.push(cellData);
+      }
+    }
 
-        // Store selected attributes with safety checks
-        for (const feature of results) {
-          if (feature && feature.data && feature.data.feature && feature.data.feature.properties) {
-            cellData.attributes.push(feature.data.feature.properties);
-          }
-        }
-        
-        // NEW: Apply enhanced aggregation if data processor is available
-        if (this.dataProcessor && this.aggregationConfig && this.aggregationConfig.fields && this.aggregationConfig.fields.length > 0) {
-          const aggregatedData = this._aggregateCellData(cellData.attributes);
-          Object.assign(cellData, aggregatedData);
-        }
-        
-        // Only add cells with data
-        if (cellData.count > 0) {
-          this.gridData.push(cellData);
-        }
+    this._setBinnedCells(cells);
+  },
+
+  /**
+   * Create an empty static square cell
+   * @private
+   */
+  _createSquareCell: function (col, row, cellX, cellY, cellBounds) {
+    const rectSize = this.gridSize;
+
+    return {
+      col: col,
+      row: row,
+      zoom: this._map.getZoom(),
+      count: 0,
+      x: cellX,
+      y: cellY,
+      bounds: cellBounds,
+      attributes: [],
+      getBoundary: (padding) => {
+        const adjCellSize = padding ? rectSize - padding * 2 : rectSize;
+        return [
+          [cellX + adjCellSize/2, cellY + adjCellSize/2],
+          [cellX + adjCellSize/2, cellY - adjCellSize/2],
+          [cellX - adjCellSize/2, cellY - adjCellSize/2],
+          [cellX - adjCellSize/2, cellY + adjCellSize/2],
+        ];
+      },
+      getXCentre: () => cellX + rectSize/2,
+      getYCentre: () => cellY + rectSize/2,
+      getCellSize: () => this.gridSize
+    };
+  },
+
+  /**
+   * Calculate static square grid data from the precomputed pyramid.
+   * Only the cells in the current viewport are looked up.
+   * @private
+   */
+  _calculatePyramidGridData: function (screenBounds, pyramid) {
+    const { northWest } = screenBounds;
+    const step = this.gridSize + this.padding;
+    const zoom = this._map.getZoom();
+    const size = this._map.getSize();
+
+    // Visible range of columns and rows, counted from the grid origin
+    const startCol = Math.max(0, Math.floor(-northWest[0] / step));
+    const startRow = Math.max(0, Math.floor(-northWest[1] / step));
+    const endCol = Math.floor((size.x - northWest[0]) / step);
+    const endRow = Math.floor((size.y - northWest[1]) / step);
+
+    this.gridData = [];
+
+    for (let row = startRow; row <= endRow; row++) {
+      for (let col = startCol; col <= endCol; col++) {
+        const aggregatedData = pyramid.getCell(zoom, col, row);
+        if (!aggregatedData || aggregatedData.count === 0) continue;
+
+        const cellX = northWest[0] + col * step;
+        const cellY = northWest[1] + row * step;
+        const cellBounds = L.latLngBounds(
+          this._coordTransformer.screenToLatLng([cellX, cellY]),
+          this._coordTransformer.screenToLatLng([cellX + step, cellY + step])
+        );
+
+        const cellData = this._createSquareCell(col, row, cellX, cellY, cellBounds);
+        Object.assign(cellData, aggregatedData);
+        cellData.totalCount = cellData.count; // The pyramid is only used without filters
+        this.gridData.push(cellData);
       }
     }
   },
 
+  /**
+   * Get the precomputed pyramid, rebuilding it when the data or grid changed
+   * @private
+   * @returns {GridPyramid|null} Pyramid, or null if precomputation is off
+   *   or a time window or filter is set (the pyramid holds all points)
+   */
+  _getPyramid: function () {
+    if (!this._pyramidOptions || this.gridType !== "square" || this.gridUnits !== "pixels" || this._timeRange || this._filterTest) {
+      return null;
+    }
+
+    const stale = !this._pyramid ||
+      this._pyramid.options.cellSize !== this.gridSize + this.padding ||
+      this._pyramidDataHash !== this._generateDataHash() ||
+      this._pyramidWeights !== this._getWeights();
+
+    if (stale) {
+      this.buildPyramid(this._pyramidOptions);
+    }
+    return this._pyramid;
+  },
+
+  /**
+   * Precompute aggregated square cells for a range of zoom levels.
+   * Static square grids then look cells up on pan and zoom instead of
+   * re-aggregating raw points. Only mergeable aggregations (count, sum, mean,
+   * min, max, std_dev, variance, frequency, mode, unique_count) are stored;
+   * cells built from the pyramid have an empty attributes array.
+   * @param {Object} options - { minZoom, maxZoom } (default: map zoom range)
+   * @returns {GridPyramid|null} The built pyramid
+   */
+  buildPyramid: function (options = {}) {
+    this._pyramidOptions = options;
+    const dataBounds = this._getDataBounds();
+    if (!this._map || !dataBounds) return null;
+
+    const aggregations = (this.aggregationConfig && this.aggregationConfig.aggregations) || {};
+    Object.keys(aggregations).forEach(field => {
+      const aggregationType = this.dataProcessor.getAggregationType(aggregations[field]);
+      if (!this.dataProcessor.isMergeableAggregation(aggregationType)) {
+        console.warn(`Aggregation '${aggregationType}' for field '${field}' cannot be precomputed and is skipped`);
+      }
+    });
+
+    const minZoom = this._map.getMinZoom();
+    const maxZoom = this._map.getMaxZoom();
+
+    this._pyramid = createGridPyramid({
+      minZoom: options.minZoom !== undefined ? options.minZoom : (isFinite(minZoom) ? minZoom : 0),
+      maxZoom: options.maxZoom !== undefined ? options.maxZoom : (isFinite(maxZoom) ? maxZoom : 18),
+      cellSize: this.gridSize + this.padding,
+      dataProcessor: this.dataProcessor,
+      aggregationConfig: this.aggregationConfig
+    }).build(
+      this._getStore(),
+      dataBounds.getNorthWest(),
+      (latLng, zoom) => this._map.project(latLng, zoom),
+      this._getWeights()
+    );
+    this._pyramidDataHash = this._generateDataHash();
+    this._pyramidWeights = this._getWeights();
+
+    if (this.debug) {
+      console.log('Grid pyramid built:', this._pyramid.getStats());
+    }
+
+    this.invalidateCache();
+    return this._pyramid;
+  },
+
   /**
    * NEW: Calculate hexagon grid data for static mode
    * @private
    */
   _calculateHexagonGridData: function (bounds) {
-    if (!this._coordTransformer) return;
-    
-    const screenBounds = this._coordTransformer.boundsToScreen(bounds);
-    if (!screenBounds) return;
+    if (!this._coordTransformer || !bounds) return;
     
     const discretiser = this._discretizers.hexagon;
     if (!discretiser) {
@@ -620,11 +1618,10 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       return;
     }
     
-    const { northWest, southEast } = screenBounds;
-    
-    // Calculate grid coverage
-    const [startCol, startRow] = discretiser.getColRow(northWest[0], northWest[1]);
-    const [endCol, endRow] = discretiser.getColRow(southEast[0], southEast[1]);
+    if (this._canUseWorker()) {
+      this._requestWorkerGrid("static");
+      return;
+    }
     
     // Initialize grid data array
     this.gridData = [];
@@ -638,172 +1635,664 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     if (!this._tree.all || this._tree.all().length === 0 || this._dataHash !== this._generateDataHash()) {
       this._recalculateTree();
     }
+    const store = this._getStore();
+    const mask = this._getPointMask();
+    const pixelOrigin = this._getPixelOrigin();
+    const results = this._tree.search({
+      minX: bounds.getWest(),
+      minY: bounds.getSouth(),
+      maxX: bounds.getEast(),
+      maxY: bounds.getNorth(),
+    });
+    
+    // Bin each point into the hexagon that contains it, as dynamic mode and the worker do
+    const cellsLookup = {};
+    for (const feature of results) {
+      const screenPoint = this._coordTransformer.latLngToScreen([feature.minY, feature.minX]);
+      const [col, row] = discretiser.getColRow(screenPoint[0] + pixelOrigin[0], screenPoint[1] + pixelOrigin[1]);
+      const key = `${col},${row}`;
+      let cellData = cellsLookup[key];
+      if (!cellData) {
+        cellData = this._createScreenCell(discretiser, col, row, pixelOrigin);
+        cellData.members = [];
+        cellsLookup[key] = cellData;
+      }
+      cellData.members.push(feature.index);
+    }
     
-    // Process each cell in the grid
-    for (let col = startCol - 1; col <= endCol + 1; col++) {
-      for (let row = startRow - 1; row <= endRow + 1; row++) {
-        const center = discretiser.getXYCentre(col, row);
-        const boundary = discretiser.getBoundary(col, row, this.padding);
-        
-        if (!center || !boundary) {
-          continue;
-        }
-        
-        // Convert boundary to lat/lng for spatial query
-        const boundaryLatLng = boundary.map(point => 
-          this._coordTransformer.screenToLatLng(point)
+    // Count and aggregate the points of each cell that pass the filters
+    const cells = Object.values(cellsLookup);
+    for (const cellData of cells) {
+      this._filterCellPoints(cellData, store, mask);
+    }
+    
+    this._setBinnedCells(cells);
+  },
+
+  /**
+   * Calculate grid data for geographic grids (H3, S2, metre/degree squares) in static mode.
+   * Points are binned by lat/lng so cells keep their identity across pans.
+   * @private
+   */
+  _calculateGeoGridData: function (bounds) {
+    if (!this._coordTransformer) return;
+
+    const discretiser = this._getGeoDiscretiser();
+    if (!discretiser) {
+      console.warn(`Discretiser not found for grid type: ${this.gridType}`);
+      return;
+    }
+
+    // Initialize grid data array
+    this.gridData = [];
+
+    // Ensure tree is properly initialized
+    if (!this._tree) {
+      this._tree = new rbush();
+    }
+
+    // Create a new RBush index (if not already created or if data changed)
+    if (!this._tree.all || this._tree.all().length === 0 || this._dataHash !== this._generateDataHash()) {
+      this._recalculateTree();
+    }
+
+    const store = this._getStore();
+    const results = this._tree.search({
+      minX: bounds.getWest(),
+      minY: bounds.getSouth(),
+      maxX: bounds.getEast(),
+      maxY: bounds.getNorth(),
+    });
+
+    // Bin each feature into its cell
+    const cellsLookup = {};
+    for (const feature of results) {
+      const cellId = discretiser.getCellId(feature.minY, feature.minX);
+      let cellData = cellsLookup[cellId];
+      if (!cellData) {
+        cellData = this._createGeoCell(discretiser, cellId);
+        cellData.members = [];
+        cellsLookup[cellId] = cellData;
+      }
+
+      cellData.members.push(feature.index);
+    }
+
+    // Count and aggregate the points of each cell that pass the filters
+    const cells = Object.values(cellsLookup);
+    const mask = this._getPointMask();
+    for (const cellData of cells) {
+      this._filterCellPoints(cellData, store, mask);
+    }
+    this._setBinnedCells(cells);
+  },
+
+  /**
+   * Check whether the current grid can be aggregated in the Web Worker.
+   * Geographic grids, custom dynamicAggregationFn functions and custom
+   * aggregations that cannot be rebuilt from their source stay on the main
+   * thread.
+   * @private
+   */
+  _canUseWorker: function () {
+    return this.useWorker &&
+      typeof Worker !== 'undefined' &&
+      (this.gridType === "square" || this.gridType === "hexagon") &&
+      !this._getGeoDiscretiser() &&
+      !(this.dynamicMode && this.dynamicAggregationFn) &&
+      !this._hasMainThreadAggregation();
+  },
+
+  /**
+   * Check whether the aggregation config uses a custom aggregation the worker
+   * cannot rebuild from its source
+   * @private
+   */
+  _hasMainThreadAggregation: function () {
+    const aggregations = (this.aggregationConfig && this.aggregationConfig.aggregations) || {};
+    const customAggregations = this.dataProcessor.getCustomAggregations();
+    return Object.values(aggregations).some(aggregation => {
+      const type = this.dataProcessor.getAggregationType(aggregation);
+      return customAggregations.has(type) && this.dataProcessor.getCustomAggregationSource(type) === null;
+    });
+  },
+
+  /**
+   * Get the aggregation worker, starting it on first use
+   * @private
+   */
+  _getWorker: function () {
+    if (!this._worker) {
+      const url = this.workerUrl || new URL("./modules/aggregation-worker.js", import.meta.url);
+      this._worker = new Worker(url, { type: "module" });
+      this._worker.onmessage = (event) => this._onWorkerMessage(event.data);
+      this._worker.onerror = (error) => {
+        console.warn('Aggregation worker failed, falling back to the main thread:', error.message);
+        this._stopWorker();
+      };
+    }
+    return this._worker;
+  },
+
+  /**
+   * Stop using the worker and aggregate the view on the main thread: the
+   * pending job will not answer
+   * @private
+   */
+  _stopWorker: function () {
+    this.useWorker = false;
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    this._workerPending = false;
+    this._workerDataHash = null;
+    this._workerAggregations = new Map();
+    this.invalidateCache();
+
+    if (this._map && this._canvas) {
+      if (this.dynamicMode) {
+        this._updateDynamicGrid();
+      } else {
+        this._redraw();
+      }
+    }
+  },
+
+  /**
+   * Send points and custom aggregations to the worker when they changed
+   * @private
+   */
+  _syncWorkerData: function (worker) {
+    const store = this._getStore();
+    if (this._workerDataHash !== this._storeDataHash) {
+      const lats = store.lats.slice();
+      const lngs = store.lngs.slice();
+      worker.postMessage({ type: "setData", length: store.length, lats, lngs }, [lats.buffer, lngs.buffer]);
+      this._workerColumns = new Set();
+      this._workerWeights = null;
+      this._workerDataHash = this._storeDataHash;
+    }
+
+    const weights = this._getWeights();
+    if (this._workerWeights !== weights) {
+      const copy = weights ? weights.slice() : null;
+      worker.postMessage({ type: "setWeights", weights: copy }, copy ? [copy.buffer] : []);
+      this._workerWeights = weights;
+    }
+
+    // Send the columns of newly aggregated fields (and the value fields of time series)
+    const aggregations = (this.aggregationConfig && this.aggregationConfig.aggregations) || {};
+    const aggregatedFields = new Set(Object.keys(aggregations));
+    Object.keys(aggregations).forEach(field => {
+      if (aggregations[field] && aggregations[field].valueField) aggregatedFields.add(aggregations[field].valueField);
+    });
+    const fields = [...aggregatedFields].filter(field => !this._workerColumns.has(field));
+    if (fields.length > 0) {
+      const { columns, transfer } = store.exportColumns(fields);
+      worker.postMessage({ type: "setColumns", columns }, transfer);
+      fields.forEach(field => this._workerColumns.add(field));
+    }
+
+    // Custom aggregations travel by name; send the source of new or replaced ones
+    const sources = {};
+    let changed = false;
+    this.dataProcessor.getCustomAggregations().forEach((fn, name) => {
+      const source = this.dataProcessor.getCustomAggregationSource(name);
+      if (source === null || this._workerAggregations.get(name) === fn) return;
+      sources[name] = source;
+      this._workerAggregations.set(name, fn);
+      changed = true;
+    });
+    if (changed) {
+      worker.postMessage({ type: "registerAggregations", aggregations: sources });
+    }
+  },
+
+  /**
+   * Post an aggregation job for the current view, cancelling the previous one
+   * @private
+   * @param {string} mode - 'static' or 'dynamic'
+   */
+  _requestWorkerGrid: function (mode) {
+    const worker = this._getWorker();
+    this._syncWorkerData(worker);
+
+    if (this._workerPending) {
+      worker.postMessage({ type: "cancel", jobId: this._workerJobId });
+    }
+
+    // Pad the query in static mode so cells on the edge of the view get all their points
+    const size = this._map.getSize();
+    const margin = mode === "static" ? (this.gridSize + this.padding) * 2 : 0;
+    const queryNorthWest = this._coordTransformer.screenToLatLng([-margin, -margin]);
+    const querySouthEast = this._coordTransformer.screenToLatLng([size.x + margin, size.y + margin]);
+    const topLeft = this._getPixelOrigin();
+    const origin = this._coordTransformer.latLngToScreen(this._getDataBounds().getNorthWest());
+    const pointMask = this._getPointMask();
+    const mask = pointMask ? pointMask.slice() : null;
+
+    this._workerJobId++;
+    this._workerPending = true;
+    worker.postMessage({
+      type: "aggregate",
+      jobId: this._workerJobId,
+      job: {
+        mode: mode,
+        gridType: this.gridType,
+        gridSize: this.gridSize,
+        padding: this.padding,
+        zoom: this._map.getZoom(),
+        topLeft: topLeft,
+        origin: origin,
+        size: [size.x, size.y],
+        queryBounds: {
+          minX: Math.min(queryNorthWest[1], querySouthEast[1]),
+          minY: Math.min(queryNorthWest[0], querySouthEast[0]),
+          maxX: Math.max(queryNorthWest[1], querySouthEast[1]),
+          maxY: Math.max(queryNorthWest[0], querySouthEast[0])
+        },
+        aggregationConfig: this.aggregationConfig,
+        mask: mask
+      }
+    }, mask ? [mask.buffer] : []);
+  },
+
+  /**
+   * Turn worker results into grid cells and draw them.
+   * Results of outdated jobs are ignored.
+   * @private
+   */
+  _onWorkerMessage: function (message) {
+    if (message.jobId !== this._workerJobId || !this._map) return;
+    this._workerPending = false;
+
+    if (message.type === "error") {
+      console.warn('Error in worker aggregation, falling back to the main thread:', message.message);
+      this._stopWorker();
+      return;
+    }
+
+    const bounds = this._getDataBounds();
+    if (!bounds) return;
+    const step = this.gridSize + this.padding;
+    const origin = this._coordTransformer.latLngToScreen(bounds.getNorthWest());
+    const staticSquare = !this.dynamicMode && this.gridType === "square";
+    const discretiser = this._discretizers[this.gridType];
+    const pixelOrigin = this._getPixelOrigin();
+    const store = this._getStore();
+
+    this.gridData = [];
+    for (const result of message.cells) {
+      const { col, row, indices, ...aggregatedData } = result;
+      let cellData;
+
+      if (staticSquare) {
+        const cellX = origin[0] + col * step;
+        const cellY = origin[1] + row * step;
+        const cellBounds = L.latLngBounds(
+          this._coordTransformer.screenToLatLng([cellX, cellY]),
+          this._coordTransformer.screenToLatLng([cellX + step, cellY + step])
         );
-        
-        // Create bounds from boundary points
-        const cellBounds = L.latLngBounds(boundaryLatLng);
-        
-        // Query features in this cell with safety checks
-        var results = [];
-        try {
-          if (this._tree && this._tree.search && typeof this._tree.search === 'function') {
-            results = this._tree.search({
-              minX: cellBounds.getWest(),
-              minY: cellBounds.getSouth(),
-              maxX: cellBounds.getEast(),
-              maxY: cellBounds.getNorth(),
-            });
-          }
-        } catch (error) {
-          console.warn('Error searching tree:', error);
-          results = [];
-        }
-        
-        // Safety check for results
-        if (!results || !Array.isArray(results)) {
-          results = [];
-        }
-        
-        // Create cell data
-        const cellData = {
-          count: results.length,
-          col: col,
-          row: row,
-          x: center[0],
-          y: center[1],
-          bounds: cellBounds,
-          attributes: [],
-          getBoundary: () => boundary,
-          getXCentre: () => center[0],
-          getYCentre: () => center[1],
-          getCellSize: () => this.gridSize
-        };
-        
-        // Store attributes with safety checks
-        for (const feature of results) {
-          if (feature && feature.data && feature.data.feature && feature.data.feature.properties) {
-            cellData.attributes.push(feature.data.feature.properties);
-          }
-        }
-        
-        // NEW: Apply enhanced aggregation if data processor is available
-        if (this.dataProcessor && this.aggregationConfig && this.aggregationConfig.fields && this.aggregationConfig.fields.length > 0) {
-          const aggregatedData = this._aggregateCellData(cellData.attributes);
-          Object.assign(cellData, aggregatedData);
-        }
-        
-        // Only add cells with data
-        if (cellData.count > 0) {
-          this.gridData.push(cellData);
-        }
+        cellData = this._createSquareCell(col, row, cellX, cellY, cellBounds);
+      } else {
+        cellData = this._createScreenCell(discretiser, col, row, pixelOrigin);
       }
+
+      this._setCellPoints(cellData, store, indices);
+      Object.assign(cellData, aggregatedData);
+      this.gridData.push(cellData);
     }
+
+    if (this.debug) {
+      console.log(`Worker grid received: ${this.gridData.length} cells`);
+    }
+
+    this._drawCurrentGrid(bounds);
   },
 
   drawGrid: function (ctx, bounds) {
+    this._updateCellColorScale();
+    this.fire("legendchange");
+
     if (this.dynamicMode) {
       this._drawDynamicGrid(ctx, bounds);
     } else {
-      if (this.gridType === "square") {
+      if (this.gridType === "hexagon" || this._getGeoDiscretiser()) {
+        this._drawPolygonGrid(ctx, bounds);
+      } else if (this.gridType === "square") {
         this._drawSquareGrid(ctx, bounds);
-      } else if (this.gridType === "hexagon") {
-        this._drawHexagonGrid(ctx, bounds);
       } // ... (other grid types)
     }
   },
 
-  _drawSquareGrid: function (ctx, bounds) {
-    // Set the fill style with transparency
-    ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
+  _drawSquareGrid: function (ctx, bounds) {
+    // Draw grid of rectangles with padding
+    for (let cell of this.gridData) {
+      if (cell.count > 0) {
+        ctx.fillStyle = this._getCellFill(cell);
+        ctx.fillRect(
+          cell.x,
+          cell.y,
+          this.gridSize - this.padding,
+          this.gridSize - this.padding
+        );
+      }
+    }
+  },
+
+  /**
+   * NEW: Draw hexagon grid and geographic cell polygons for static mode
+   * @private
+   */
+  _drawPolygonGrid: function (ctx, bounds) {
+    // Draw each cell polygon
+    for (let cell of this.gridData) {
+      if (cell.count > 0) {
+        ctx.fillStyle = this._getCellFill(cell);
+        const boundary = cell.getBoundary(this.padding);
+        if (boundary && boundary.length >= 3) {
+          ctx.beginPath();
+          ctx.moveTo(boundary[0][0], boundary[0][1]);
+          for (let i = 1; i < boundary.length; i++) {
+            ctx.lineTo(boundary[i][0], boundary[i][1]);
+          }
+          ctx.closePath();
+          ctx.fill();
+        }
+      }
+    }
+  },
+
+  /**
+   * NEW: Draw dynamic grid
+   * @private
+   */
+  _drawDynamicGrid: function (ctx, bounds) {
+    // Draw each cell in the dynamic grid
+    for (let cell of this.gridData) {
+      if (cell.count > 0) {
+        ctx.fillStyle = this._getCellFill(cell);
+        const boundary = cell.getBoundary(this.padding);
+        if (boundary && boundary.length >= 3) {
+          // Draw polygon for hexagons or complex shapes
+          ctx.beginPath();
+          ctx.moveTo(boundary[0][0], boundary[0][1]);
+          for (let i = 1; i < boundary.length; i++) {
+            ctx.lineTo(boundary[i][0], boundary[i][1]);
+          }
+          ctx.closePath();
+          ctx.fill();
+        } else {
+          // Draw rectangle for square grids
+          const size = this.gridSize - this.padding;
+          ctx.fillRect(cell.x - size/2, cell.y - size/2, size, size);
+        }
+      }
+    }
+  },
+
+  /**
+   * Get the value that drives a cell's fill color (cellColor, or the color
+   * of a fill glyph): a numeric aggregate, the share of the category in a
+   * frequency aggregate, or the most frequent category for categorical scales
+   * @private
+   */
+  _getCellColorValue: function (cell, colorConfig = this.cellColor) {
+    const { field = "count", category } = colorConfig;
+    const value = cell[field];
+
+    if (value && typeof value === "object") {
+      if (category !== undefined) {
+        const total = Object.values(value).reduce((sum, n) => sum + n, 0);
+        return total > 0 ? (value[category] || 0) / total : null;
+      }
+      const categories = Object.keys(value);
+      return categories.length > 0
+        ? categories.reduce((a, b) => (value[a] >= value[b] ? a : b))
+        : null;
+    }
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * Fit the cell color scale to the current grid data, or to the global
+   * statistics of the field when cellColor.breaks is 'global'
+   * @private
+   */
+  _updateCellColorScale: function () {
+    this._cellColorScale = this.cellColor ? this._fitColorScale(this.cellColor) : null;
+  },
+
+  /**
+   * Create a color scale from a cellColor-like configuration, fitted to the
+   * current grid data or to the global statistics of its field
+   * @private
+   */
+  _fitColorScale: function (colorConfig) {
+    const { field = "count", category, scale, breaks = "grid", ...scaleOptions } = colorConfig;
+    const colorScale = createColorScale({ type: scale || SCALE_TYPES.SEQUENTIAL, ...scaleOptions });
+
+    // Raw values share the scale of mean/median/min/max aggregates only;
+    // counts, sums and other aggregates are fitted to the aggregated cells
+    const domain = breaks === "global" && category === undefined && colorScale.options.type !== SCALE_TYPES.CATEGORICAL
+      ? this._getGlobalDomain(field)
+      : null;
+    if (domain) {
+      // Global breaks only depend on the field, the scale options and the data,
+      // so they are fitted once instead of sorting the raw values on every draw
+      const key = JSON.stringify([field, scale, scaleOptions, domain]);
+      if (!this._globalColorScales.has(key)) {
+        this._globalColorScales.set(key, colorScale.fit(this._processedData.map(row => row[field]), domain));
+      }
+      return this._globalColorScales.get(key);
+    }
+
+    return colorScale.fit(
+      this.gridData.filter(cell => cell.count > 0).map(cell => this._getCellColorValue(cell, colorConfig))
+    );
+  },
+
+  /**
+   * Get the fill color of a cell
+   * @private
+   */
+  _getCellFill: function (cell) {
+    return this._cellColorScale
+      ? this._cellColorScale.getColor(this._getCellColorValue(cell))
+      : DEFAULT_CELL_FILL;
+  },
+
+  /**
+   * Set the choropleth cell fill configuration
+   * @param {Object|null} config - Cell color configuration (null restores the default fill)
+   */
+  setCellColor: function (config) {
+    this.cellColor = config;
+    if (this._map && this._canvas) {
+      this._drawCurrentGrid(this._getDataBounds());
+    } else {
+      this.fire("legendchange");
+    }
+  },
+
+  /**
+   * Get the color scale fitted for the last draw
+   * @returns {ColorScale|null} Cell color scale
+   */
+  getCellColorScale: function () {
+    return this._cellColorScale;
+  },
+
+  /**
+   * Get the legend entries for the current glyphs and cell colors
+   * (used by L.Control.GriddedGlyphLegend)
+   * @returns {Object} { glyph, cellColor }, each null when there is nothing to show
+   */
+  getLegendData: function () {
+    const scale = this._cellColorScale;
+    return {
+      glyph: this._getLodGlyphLegend(),
+      cellColor: scale
+        ? {
+            field: this.cellColor.field || "count",
+            category: this.cellColor.category,
+            type: scale.options.type,
+            classified: !!scale.breaks,
+            entries: scale.getLegend()
+          }
+        : null
+    };
+  },
+
+  /**
+   * Glyph legend for the visualization config drawn at the current cell size
+   * @private
+   */
+  _getLodGlyphLegend: function () {
+    const cellSize = this.gridData.length > 0 ? this.gridData[0].getCellSize() : this.gridSize;
+    const visualizationConfig = this._getLodConfig(cellSize - this.padding);
+    return visualizationConfig ? this._getGlyphLegend(this._getGlyphConfig(visualizationConfig)) : null;
+  },
+
+  /**
+   * Legend of the glyphs: category swatches or a size key. Composed glyphs
+   * show the legend of their first layer that has one.
+   * @private
+   * @param {Object} config - Glyph config from _getGlyphConfig()
+   */
+  _getGlyphLegend: function (config) {
+    if (Array.isArray(config.layers)) {
+      for (const layer of config.layers) {
+        const legend = this._getGlyphLegend(layer);
+        if (legend) return legend;
+      }
+      return null;
+    }
+
+    const colors = this.visualizationRenderer.options.defaultColors;
+    const cellSize = this.gridData.length > 0 ? this.gridData[0].getCellSize() : this.gridSize;
+    const size = (cellSize - this.padding) * (config.size !== undefined ? config.size : 1);
+
+    switch (config.type) {
+      case CHART_TYPES.PIE:
+      case CHART_TYPES.DONUT:
+      case CHART_TYPES.TREEMAP: {
+        const domain = config.categoryDomain;
+        const categories = domain.categories.map(category => ({
+          category,
+          color: domain.colors.get(category)
+        }));
+        if (domain.hasOther) {
+          categories.push({ category: domain.otherLabel, color: domain.otherColor });
+        }
+        return { type: config.type, field: config.field, categories };
+      }
+
+      case CHART_TYPES.CIRCLE:
+      case CHART_TYPES.BAR: {
+        // Glyphs on a local scale have no common size key
+        const domain = config.scales.value;
+        if (!domain) return null;
+        const maxValue = domain[1];
+        const isBar = config.type === CHART_TYPES.BAR;
+        return {
+          type: config.type,
+          field: config.field || "count",
+          shape: isBar ? "bar" : "circle",
+          sizes: [1, 0.5, 0.25].map(fraction => ({
+            value: maxValue * fraction,
+            size: fraction * size * 0.8, // Bar height, or circle diameter
+            width: size * 0.6,
+            color: config.color || colors[0]
+          }))
+        };
+      }
 
-    // Draw grid of rectangles with padding
-    for (let cell of this.gridData) {
-      if (cell.count > 0) {
-        ctx.fillRect(
-          cell.x,
-          cell.y,
-          this.gridSize - this.padding,
-          this.gridSize - this.padding
-        );
+      case undefined: {
+        if (this.customDrawFunction) return null;
+        // Default glyph: radius of 5px per point, capped by the cell size
+        const maxCount = Math.floor((cellSize / 2 - this.padding) / 5);
+        if (maxCount < 1) return null;
+        const counts = Array.from(new Set([maxCount, Math.ceil(maxCount / 2), 1]));
+        return {
+          type: "circle",
+          field: "count",
+          shape: "circle",
+          sizes: counts.map(count => ({
+            value: count,
+            size: count * 10,
+            orMore: count === maxCount
+          }))
+        };
       }
+
+      default:
+        return null;
     }
   },
 
   /**
-   * NEW: Draw hexagon grid for static mode
+   * Get the category domain of a field: categories of the whole dataset (most
+   * frequent first) or the config's categoryColors, so each category keeps
+   * one color in every cell and in the legend
    * @private
    */
-  _drawHexagonGrid: function (ctx, bounds) {
-    // Set the fill style with transparency
-    ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
-
-    // Draw each hexagon cell
-    for (let cell of this.gridData) {
-      if (cell.count > 0) {
-        const boundary = cell.getBoundary(this.padding);
-        if (boundary && boundary.length >= 3) {
-          ctx.beginPath();
-          ctx.moveTo(boundary[0][0], boundary[0][1]);
-          for (let i = 1; i < boundary.length; i++) {
-            ctx.lineTo(boundary[i][0], boundary[i][1]);
-          }
-          ctx.closePath();
-          ctx.fill();
-        }
-      }
+  _getCategoryDomain: function (field, config = this.visualizationConfig) {
+    // Glyphs of the same field may color it differently (LOD rules, layers)
+    const { categoryColors, maxCategories, otherLabel, otherColor } = config;
+    const key = JSON.stringify([field, categoryColors, maxCategories, otherLabel, otherColor]);
+    if (!this._categoryDomains.has(key)) {
+      this._categoryDomains.set(
+        key,
+        this.visualizationRenderer.createCategoryDomain(this._getDatasetCategories(field), {
+          colors: categoryColors,
+          maxCategories,
+          otherLabel,
+          otherColor
+        })
+      );
     }
+    return this._categoryDomains.get(key);
   },
 
   /**
-   * NEW: Draw dynamic grid
+   * Categories of a field in the loaded data, or in the points of
+   * geojsonLayer when loadData() has not been called
    * @private
    */
-  _drawDynamicGrid: function (ctx, bounds) {
-    // Set the fill style with transparency
-    ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
+  _getDatasetCategories: function (field) {
+    if (this._processedData && this._processedData.length > 0) {
+      return this.dataProcessor.getCategories(field);
+    }
 
-    // Draw each cell in the dynamic grid
-    for (let cell of this.gridData) {
-      if (cell.count > 0) {
-        const boundary = cell.getBoundary(this.padding);
-        if (boundary && boundary.length >= 3) {
-          // Draw polygon for hexagons or complex shapes
-          ctx.beginPath();
-          ctx.moveTo(boundary[0][0], boundary[0][1]);
-          for (let i = 1; i < boundary.length; i++) {
-            ctx.lineTo(boundary[i][0], boundary[i][1]);
-          }
-          ctx.closePath();
-          ctx.fill();
-        } else {
-          // Draw rectangle for square grids
-          const size = this.gridSize - this.padding;
-          ctx.fillRect(cell.x - size/2, cell.y - size/2, size, size);
-        }
+    const frequency = {};
+    for (const point of this._getPoints()) {
+      const value = point.properties[field];
+      if (value !== null && value !== undefined) {
+        frequency[value] = (frequency[value] || 0) + 1;
       }
     }
+    return Object.keys(frequency).sort((a, b) => frequency[b] - frequency[a]);
   },
 
   drawGlyphs: function (ctx, bounds) {
+    // Resolved config of each level of detail drawn
+    const glyphConfigs = new Map();
+
     for (let cellData of this.gridData) {
+      const size = cellData.getCellSize() - this.padding;
+      const lodConfig = this._getLodConfig(size);
+      if (!lodConfig) continue;
+      if (!glyphConfigs.has(lodConfig)) {
+        glyphConfigs.set(lodConfig, this._getGlyphConfig(lodConfig));
+      }
+      const visualizationConfig = glyphConfigs.get(lodConfig);
+
       let centerX, centerY;
       
-      if (this.dynamicMode) {
-        // Dynamic mode: use stored center coordinates
+      if (this.dynamicMode || cellData.latLng) {
+        // Dynamic mode and geographic cells: use stored center coordinates
         centerX = cellData.getXCentre();
         centerY = cellData.getYCentre();
       } else {
@@ -825,9 +2314,8 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       }
 
       // NEW: Use visualization renderer if available and configured
-      if (this.visualizationRenderer && this.visualizationConfig.type) {
-        const size = this.gridSize - this.padding;
-        this.visualizationRenderer.drawChart(ctx, cellData, this.visualizationConfig, centerX, centerY, size);
+      if (this.visualizationRenderer && (visualizationConfig.type || visualizationConfig.layers)) {
+        this.visualizationRenderer.drawChart(ctx, cellData, visualizationConfig, centerX, centerY, size);
       } else if (this.customDrawFunction) {
         // Call custom draw function
         this.customDrawFunction(ctx, cellData, centerX, centerY);
@@ -838,12 +2326,96 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     }
   },
 
+  /**
+   * Visualization config for this draw, with each glyph layer resolved like
+   * a single glyph (see _resolveGlyphConfig())
+   * @private
+   * @param {Object} visualizationConfig - Config to resolve (defaults to visualizationConfig)
+   */
+  _getGlyphConfig: function (visualizationConfig = this.visualizationConfig) {
+    const config = this._resolveGlyphConfig(visualizationConfig);
+    if (Array.isArray(config.layers)) {
+      config.layers = config.layers.map(layer => this._resolveGlyphConfig(layer));
+    }
+    return config;
+  },
+
+  /**
+   * Resolve a glyph config for drawing: the category domain of categorical
+   * glyphs, the percentiles of box plots and violins, the fill color of
+   * choropleth fills and the scales the glyphs of all cells share
+   * @private
+   */
+  _resolveGlyphConfig: function (visualizationConfig) {
+    const config = { ...visualizationConfig };
+    switch (config.type) {
+      case CHART_TYPES.PIE:
+      case CHART_TYPES.DONUT:
+      case CHART_TYPES.TREEMAP:
+        config.categoryDomain = this._getCategoryDomain(config.field, config);
+        break;
+      case CHART_TYPES.BOXPLOT:
+      case CHART_TYPES.VIOLIN: {
+        const aggregation = this.aggregationConfig.aggregations && this.aggregationConfig.aggregations[config.field];
+        if (!config.percentiles && this.dataProcessor.getAggregationType(aggregation) === AGGREGATION_TYPES.PERCENTILE) {
+          config.percentiles = this.dataProcessor.getPercentileSpec(aggregation).p;
+        }
+        break;
+      }
+      case CHART_TYPES.FILL:
+        // A cellColor-like color: one color scale fitted across the cells
+        if (config.color && typeof config.color === "object") {
+          const colorConfig = config.color;
+          const colorScale = this._fitColorScale(colorConfig);
+          config.getFill = cell => colorScale.getColor(this._getCellColorValue(cell, colorConfig));
+        }
+        break;
+      case CHART_TYPES.SPEC: {
+        // Category colors of nominal color channels
+        const fields = config.spec
+          ? getGlyphSpecFields(config.spec, (def, channel) => channel === GLYPH_CHANNELS.COLOR && def.type === GLYPH_FIELD_TYPES.NOMINAL)
+          : [];
+        config.categoryDomains = {};
+        fields.forEach(field => {
+          config.categoryDomains[field] = this._getCategoryDomain(field, config);
+        });
+        break;
+      }
+    }
+    config.scales = this.visualizationRenderer.resolveScales(
+      this.gridData,
+      config,
+      (field, rawValues) => this._getGlobalDomain(field, rawValues)
+    );
+    return config;
+  },
+
+  /**
+   * Range of a field in the whole dataset, for glyphs with a 'global' scale
+   * and cell colors with global breaks.
+   * Aggregates only share the range of the raw values when they stay within
+   * it (mean, median, percentiles...), so counts, sums and spreads have none.
+   * @private
+   * @returns {Array|null} [min, max], or null to scale to the current cells
+   */
+  _getGlobalDomain: function (field, rawValues) {
+    const stats = this._globalStats && this._globalStats[field];
+    const aggregation = this.aggregationConfig.aggregations && this.aggregationConfig.aggregations[field];
+    if (!stats || (!rawValues && !VALUE_RANGE_AGGREGATIONS.includes(this.dataProcessor.getAggregationType(aggregation)))) {
+      if (this.debug) {
+        console.log(`No global range for field "${field}", using grid data`);
+      }
+      return null;
+    }
+    return [stats.min, stats.max];
+  },
+
   _drawCircleGlyph: function (ctx, cellData, centerX, centerY) {
     // Set the stroke style
     ctx.strokeStyle = "black";
 
     // Calculate the maximum radius based on the size of the cell and the padding between cells
-    var maxRadius = this.gridSize / 2 - this.padding;
+    var maxRadius = cellData.getCellSize() / 2 - this.padding;
 
     // Calculate the radius based on the count of data in the cell
     var radius = Math.min(cellData.count * 5, maxRadius);
@@ -857,12 +2429,18 @@ L.GriddedGlyph = L.CanvasLayer.extend({
   onDrawLayer: function (info) {
     var canvas = info.canvas;
     var ctx = canvas.getContext("2d");
-    // Get the bounds of the GeoJSON layer
-    var bounds = this.geojsonLayer.getBounds();
+    // Get the bounds of the data source
+    var bounds = this._getDataBounds();
+    if (!bounds) {
+      this.gridData = [];
+      return;
+    }
 
     // Initialize dynamic mode if needed
     if (this.dynamicMode && !this._cachedScreenData) {
-      this._cachedScreenData = this._processScreenData();
+      if (!this._canUseWorker()) {
+        this._cachedScreenData = this._processScreenData();
+      }
       this._calculateDynamicGridData(null);
     } else if (!this.dynamicMode) {
       // Recalculate grid data (static mode)
@@ -874,18 +2452,34 @@ L.GriddedGlyph = L.CanvasLayer.extend({
 
     // Draw the glyphs
     this.drawGlyphs(ctx, bounds);
+
+    // Outline hovered and selected cells
+    this._drawCellStates(ctx);
   },
 
   _redraw: function() {
+    // Recalculate grid data
+    const bounds = this._getDataBounds();
+    if (!bounds) {
+      this.gridData = [];
+      this._drawCurrentGrid(bounds);
+      return;
+    }
+    this.calculateGridData(bounds);
+
+    this._drawCurrentGrid(bounds);
+  },
+
+  /**
+   * Draw the current grid data without recalculating it
+   * @private
+   */
+  _drawCurrentGrid: function(bounds) {
     // Clear existing canvas
     const canvas = this._canvas;
     const ctx = canvas.getContext("2d");
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Recalculate grid data
-    const bounds = this.geojsonLayer.getBounds();
-    this.calculateGridData(bounds);
-
     // Redraw grid
     ctx.save();
     this.drawGrid(ctx, bounds);
@@ -895,6 +2489,105 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     ctx.save();
     this.drawGlyphs(ctx, bounds);
     ctx.restore();
+
+    // Outline hovered and selected cells
+    ctx.save();
+    this._drawCellStates(ctx);
+    ctx.restore();
+  },
+
+  /**
+   * Outline the selected cells and the hovered cell
+   * @private
+   */
+  _drawCellStates: function(ctx) {
+    if (this._selectedCellKeys.size > 0) {
+      for (const cell of this.getSelectedCells()) {
+        this._traceCellPath(ctx, cell);
+        if (this.selectionStyle.fillStyle) {
+          ctx.fillStyle = this.selectionStyle.fillStyle;
+          ctx.fill();
+        }
+        ctx.strokeStyle = this.selectionStyle.strokeStyle;
+        ctx.lineWidth = this.selectionStyle.lineWidth;
+        ctx.stroke();
+      }
+    }
+
+    if (this.highlightOnHover && this._hoveredCell) {
+      this._traceCellPath(ctx, this._hoveredCell);
+      ctx.strokeStyle = this.highlightStyle.strokeStyle;
+      ctx.lineWidth = this.highlightStyle.lineWidth;
+      ctx.stroke();
+    }
+  },
+
+  /**
+   * Start a canvas path around a cell, matching how drawGrid paints it
+   * @private
+   */
+  _traceCellPath: function(ctx, cell) {
+    ctx.beginPath();
+
+    // Static pixel squares are painted as rectangles from their top-left corner
+    if (this._isRectCell(cell)) {
+      ctx.rect(cell.x, cell.y, this.gridSize - this.padding, this.gridSize - this.padding);
+      return;
+    }
+
+    const boundary = cell.getBoundary(this.padding);
+    if (boundary && boundary.length >= 3) {
+      ctx.moveTo(boundary[0][0], boundary[0][1]);
+      for (let i = 1; i < boundary.length; i++) {
+        ctx.lineTo(boundary[i][0], boundary[i][1]);
+      }
+      ctx.closePath();
+    } else {
+      const size = this.gridSize - this.padding;
+      ctx.rect(cell.x - size/2, cell.y - size/2, size, size);
+    }
+  },
+
+  /**
+   * Get the selected cells of the current grid
+   * @returns {Array} Selected cell objects
+   */
+  getSelectedCells: function() {
+    return this.gridData.filter(cell => this._selectedCellKeys.has(this._getCellKey(cell)));
+  },
+
+  /**
+   * Replace the selection.
+   * Cells are remembered by key (geographic id, or zoom/column/row for pixel
+   * grids), so the selection survives redraws and pans.
+   * @param {Array} cells - Cell objects or cell keys
+   */
+  setSelectedCells: function(cells) {
+    this._selectedCellKeys = new Set(
+      (cells || []).map(cell => typeof cell === "object" ? this._getCellKey(cell) : String(cell))
+    );
+    this._onSelectionChange();
+  },
+
+  /**
+   * Clear the selection
+   */
+  clearSelection: function() {
+    this.setSelectedCells([]);
+  },
+
+  /**
+   * Redraw and notify listeners after the selection changed
+   * @private
+   */
+  _onSelectionChange: function() {
+    if (this._map && this._canvas) {
+      this._drawCurrentGrid(this._getDataBounds());
+    }
+    this.fire("selectionchange", {
+      cells: this.getSelectedCells(),
+      keys: Array.from(this._selectedCellKeys)
+    });
   },
 
   /**
@@ -905,9 +2598,14 @@ L.GriddedGlyph = L.CanvasLayer.extend({
    */
   loadData: async function(data, options = {}) {
     try {
-      this._processedData = await this.dataProcessor.loadData(data, options);
+      const loadOptions = { latField: this.latField, lngField: this.lngField, ...options };
+      this._processedData = await this.dataProcessor.loadData(data, loadOptions);
       this._dataSchema = this.dataProcessor.getSchema();
+      this._validateVisualizationFields();
+      this._setDataPoints(this._processedData, loadOptions.latField, loadOptions.lngField);
       this._globalStats = this._calculateGlobalStats();
+      this._categoryDomains.clear();
+      this._globalColorScales.clear();
       
       if (this.debug) {
         console.log('Data loaded:', this._processedData.length, 'records');
@@ -916,6 +2614,13 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       
       // Invalidate cache to force recalculation
       this.invalidateCache();
+      if (this._map && this._canvas) {
+        if (this.dynamicMode) {
+          this._updateDynamicGrid();
+        } else {
+          this._redraw();
+        }
+      }
       
       return this._processedData;
     } catch (error) {
@@ -948,16 +2653,280 @@ L.GriddedGlyph = L.CanvasLayer.extend({
   setSelectedFields: function(fields) {
     this.selectedFields = fields;
     this.aggregationConfig = this.dataProcessor.createAggregationConfig(fields);
+    this._pyramid = null; // Rebuilt with the new aggregation config on next draw
+    this._categoryDomains.clear();
     this.invalidateCache();
+    this.fire("legendchange");
   },
 
   /**
    * NEW: Set visualization configuration
    * @param {Object} config - Visualization configuration
+   * @throws {Error} When the config is invalid, e.g. a glyph spec uses fields not in the loaded data
    */
   setVisualizationConfig: function(config) {
+    this.visualizationRenderer.validateConfig(config, this._dataSchema);
     this.visualizationConfig = config;
+    this._categoryDomains.clear();
+    this.invalidateCache();
+    this.fire("legendchange");
+  },
+
+  /**
+   * Check the glyph specs of the visualization config and of the LOD rules
+   * against the schema of newly loaded data
+   * @private
+   */
+  _validateVisualizationFields: function () {
+    try {
+      this.visualizationRenderer.validateConfig(this.visualizationConfig, this._dataSchema);
+      this._validateLodRules(this.lodRules);
+    } catch (error) {
+      console.warn(error.message);
+    }
+  },
+
+  /**
+   * Switch glyphs by their size in pixels (the cell size less the padding).
+   * Each cell draws the visualization config of the first rule whose
+   * [minSize, maxSize) range holds its size, or visualizationConfig when no
+   * rule does; a rule with a null config draws no glyph, only the cell.
+   * @param {Array} rules - [{ minSize, maxSize, visualizationConfig }], [] to
+   *   always draw visualizationConfig
+   * @returns {L.GriddedGlyph} this
+   */
+  setLodRules: function(rules) {
+    this._validateLodRules(rules || []);
+    this.lodRules = rules || [];
+    this.invalidateCache();
+    this.fire("legendchange");
+    return this;
+  },
+
+  /**
+   * Check LOD rules and their visualization configs
+   * @private
+   */
+  _validateLodRules: function (rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('LOD rules must be an array');
+    }
+    rules.forEach((rule, index) => {
+      if (!rule || typeof rule !== 'object' || !('visualizationConfig' in rule)) {
+        throw new Error(`LOD rule ${index} must be an object with a visualizationConfig (null for no glyph)`);
+      }
+      const { minSize = 0, maxSize = Infinity } = rule;
+      if (typeof minSize !== 'number' || typeof maxSize !== 'number' || isNaN(minSize) || isNaN(maxSize) || minSize >= maxSize) {
+        throw new Error(`LOD rule ${index} needs numbers minSize < maxSize`);
+      }
+      if (rule.visualizationConfig) {
+        this.visualizationRenderer.validateConfig(rule.visualizationConfig, this._dataSchema);
+      }
+    });
+  },
+
+  /**
+   * Get the visualization config of glyphs of a size (see setLodRules())
+   * @private
+   * @returns {Object|null} Visualization config, or null to draw no glyph
+   */
+  _getLodConfig: function (size) {
+    const rule = this.lodRules.find(rule =>
+      size >= (rule.minSize !== undefined ? rule.minSize : 0) &&
+      (rule.maxSize === undefined || size < rule.maxSize)
+    );
+    return rule ? rule.visualizationConfig : this.visualizationConfig;
+  },
+
+  /**
+   * Only aggregate points whose time field falls in [start, end).
+   * Moving the window re-aggregates only the cells whose points enter or
+   * leave it; the spatial index and the binning of the view are kept.
+   * @param {Date|number|string|null} start - Window start (inclusive), null for no lower bound
+   * @param {Date|number|string|null} end - Window end (exclusive), null for no upper bound
+   * @returns {L.GriddedGlyph} this
+   */
+  setTimeRange: function(start, end) {
+    const range = {
+      start: start === null || start === undefined ? -Infinity : toTimeValue(start),
+      end: end === null || end === undefined ? Infinity : toTimeValue(end)
+    };
+    if (isNaN(range.start) || isNaN(range.end)) {
+      throw new Error(`Invalid time range: ${start} - ${end}`);
+    }
+
+    const hadRange = !!this._timeRange;
+    this._timeRange = range;
+    this.fire("timerangechange", { start: range.start, end: range.end });
+
+    const timeIndex = this._getTimeIndex();
+    if (!timeIndex) {
+      // Applied once data with a time field is loaded
+      if (this._getDataBounds()) {
+        console.warn('No temporal field to filter: set the timeField option');
+      }
+      return this;
+    }
+
+    // Flip the mask bits of the points that enter or leave the window
+    if (hadRange && this._timeMask && this._timeMaskIndex === timeIndex) {
+      const window = timeIndex.getWindow(range.start, range.end);
+      const changed = timeIndex.getChangedIndices(this._timeWindow, window);
+      for (const index of changed) {
+        this._timeMask[index] ^= 1;
+      }
+      this._timeWindow = window;
+
+      // Keep the combined mask in step
+      if (this._pointMask && this._pointMaskSources[0] === this._timeMask) {
+        const filterMask = this._pointMaskSources[1];
+        for (const index of changed) {
+          this._pointMask[index] = this._timeMask[index] & filterMask[index];
+        }
+      }
+
+      if (this._map && this._canvas && this._refilterCells(changed)) {
+        this._drawCurrentGrid(this._getDataBounds());
+        return this;
+      }
+    } else {
+      this._timeMaskIndex = null; // Rebuilt from the new range on next use
+    }
+
+    this._recalculateFilteredGrid();
+    return this;
+  },
+
+  /**
+   * Remove the time window and aggregate all points again
+   * @returns {L.GriddedGlyph} this
+   */
+  clearTimeRange: function() {
+    if (!this._timeRange) return this;
+
+    this._timeRange = null;
+    this._timeMask = null;
+    this._timeMaskIndex = null;
+    this._timeWindow = null;
+    this.fire("timerangechange", { start: null, end: null });
+
+    this._recalculateFilteredGrid();
+    return this;
+  },
+
+  /**
+   * Get the current time window
+   * @returns {Object|null} { start, end } as time values (milliseconds for dates), or null
+   */
+  getTimeRange: function() {
+    return this._timeRange ? { ...this._timeRange } : null;
+  },
+
+  /**
+   * Get the first and last time of the time field
+   * @returns {Object|null} { start, end, dates }, or null without a time field;
+   *   dates is true when the values are timestamps in milliseconds
+   */
+  getTimeExtent: function() {
+    const timeIndex = this._getTimeIndex();
+    return timeIndex ? timeIndex.getExtent() : null;
+  },
+
+  /**
+   * Only aggregate points that pass a filter. Cells keep the number of all
+   * their points in totalCount; count and the aggregates cover the points
+   * that pass. Combines with the time window of setTimeRange().
+   * @param {Function|string|null} filter - (properties, index) => boolean, an
+   *   expression such as 'Usia >= 18 and Hari in ["Sabtu", "Minggu"]', or null
+   *   to remove the filter
+   * @returns {L.GriddedGlyph} this
+   */
+  setFilter: function(filter) {
+    if (filter === null || filter === undefined) {
+      return this.clearFilter();
+    }
+
+    let test;
+    if (typeof filter === 'function') {
+      test = filter;
+    } else if (typeof filter === 'string') {
+      // Compile first: an invalid expression throws and keeps the current filter
+      const expression = compileFilterExpression(filter);
+      const unknown = this._dataSchema
+        ? expression.fields.filter(field => !this._dataSchema[field])
+        : [];
+      if (unknown.length > 0) {
+        console.warn(`Filter uses fields not in the data: ${unknown.join(', ')}`);
+      }
+      test = expression.test;
+    } else {
+      throw new Error('Filter must be a function, an expression string or null');
+    }
+
+    this._filter = filter;
+    this._filterTest = test;
+    this._filterMask = null;
+    this._globalColorScales.clear();
+    this.fire("filterchange", { filter });
+
+    this._recalculateFilteredGrid();
+    return this;
+  },
+
+  /**
+   * Remove the filter and aggregate all points again
+   * @returns {L.GriddedGlyph} this
+   */
+  clearFilter: function() {
+    if (!this._filterTest) return this;
+
+    this._filter = null;
+    this._filterTest = null;
+    this._filterMask = null;
+    this._pointMask = null;
+    this._pointMaskSources = null;
+    this._globalColorScales.clear();
+    this.fire("filterchange", { filter: null });
+
+    this._recalculateFilteredGrid();
+    return this;
+  },
+
+  /**
+   * Get the current filter
+   * @returns {Function|string|null} Predicate or expression passed to setFilter(), or null
+   */
+  getFilter: function() {
+    return this._filter;
+  },
+
+  /**
+   * Weight points by a field or function instead of counting each as 1.
+   * Counts, sums, means, medians, variances and frequencies of every cell
+   * use the weights.
+   * @param {string|Function|null} weightField - Numeric field, (properties, index) => number,
+   *   or null to count every point as 1
+   * @returns {L.GriddedGlyph} this
+   */
+  setWeightField: function(weightField) {
+    this.weightField = weightField || undefined;
+    this._recalculateFilteredGrid();
+    return this;
+  },
+
+  /**
+   * Re-bin and redraw the current view after the point filters or weights changed
+   * @private
+   */
+  _recalculateFilteredGrid: function() {
     this.invalidateCache();
+    if (this._map && this._canvas) {
+      if (this.dynamicMode) {
+        this._updateDynamicGrid();
+      } else {
+        this._redraw();
+      }
+    }
   },
 
   /**
@@ -975,8 +2944,9 @@ L.GriddedGlyph = L.CanvasLayer.extend({
       
       if (fieldType === DATA_TYPES.NUMERIC && values.length > 0) {
         stats[field] = {
-          min: Math.min(...values),
-          max: Math.max(...values),
+          // Reduce rather than spread: large datasets exceed the argument limit
+          min: values.reduce((min, val) => Math.min(min, val), Infinity),
+          max: values.reduce((max, val) => Math.max(max, val), -Infinity),
           mean: values.reduce((sum, val) => sum + val, 0) / values.length,
           count: values.length
         };
@@ -1003,37 +2973,17 @@ L.GriddedGlyph = L.CanvasLayer.extend({
     return this.dataProcessor.getVisualizationSuggestions(fields);
   },
 
-  /**
-   * NEW: Enhanced aggregation with data processing
-   * @private
-   */
-  _aggregateCellData: function(cellData) {
-    if (!this.dataProcessor || !this.aggregationConfig || !this.aggregationConfig.fields || !this.aggregationConfig.fields.length) {
-      // Fallback to basic aggregation
-      return {
-        count: cellData ? cellData.length : 0,
-        attributes: cellData || []
-      };
-    }
-
-    // Use data processor for advanced aggregation
-    try {
-      return this.dataProcessor.aggregateCellData(cellData, this.aggregationConfig);
-    } catch (error) {
-      console.warn('Error in data aggregation:', error);
-      // Fallback to basic aggregation
-      return {
-        count: cellData ? cellData.length : 0,
-        attributes: cellData || []
-      };
-    }
-  },
 });
 
 L.griddedGlyph = function (options) {
   return new L.GriddedGlyph(options);
 };
 
+L.Control.GriddedGlyphLegend = GriddedGlyphLegend;
+L.control.griddedGlyphLegend = createGriddedGlyphLegend;
+L.Control.GriddedGlyphTimeSlider = GriddedGlyphTimeSlider;
+L.control.griddedGlyphTimeSlider = createGriddedGlyphTimeSlider;
+
 // Export for browser environment
 if (typeof window !== 'undefined') {
   window.L = window.L || {};
@@ -0,0 +1,224 @@
+/**
+ * Aggregation Worker for GriddedGlyphMap
+ * Runs spatial indexing, binning and cell aggregation off the main thread.
+ *
+ * Messages from the main thread:
+ * - { type: 'setData', length, lats: Float64Array, lngs: Float64Array }
+ * - { type: 'setColumns', columns } - field columns exported by ColumnarStore
+ * - { type: 'setWeights', weights: Float64Array|null } - weight of each point
+ * - { type: 'registerAggregations', aggregations: { name: functionSource } }
+ * - { type: 'aggregate', jobId, job } - see _getJobBinner() for the job fields
+ * - { type: 'cancel', jobId }
+ *
+ * Messages to the main thread:
+ * - { type: 'result', jobId, cells: [{ col, row, count, totalCount, indices, ...aggregates }] }
+ * - { type: 'error', jobId, message }
+ */
+
+import rbush from "rbush";
+import { _getGridDiscretiser } from "./griddiscretizer.js";
+import { _getHexDiscretiser } from "./hexdiscretizer.js";
+import { createDataProcessor } from "./data-processor.js";
+import { ColumnarStore } from "./columnar-store.js";
+
+// Number of points binned between checks for cancelled jobs
+const CHUNK_SIZE = 20000;
+
+const tree = new rbush();
+const dataProcessor = createDataProcessor();
+let store = new ColumnarStore();
+let weights = null;
+let latestJobId = 0;
+const cancelledJobs = new Set();
+
+/**
+ * Project lat/lng to Web Mercator pixel coordinates at a zoom level
+ * (the same projection as Leaflet's L.CRS.EPSG3857)
+ * @private
+ */
+function _project(lat, lng, zoom) {
+  const scale = 256 * Math.pow(2, zoom);
+  const maxLat = 85.0511287798;
+  const clampedLat = Math.max(Math.min(maxLat, lat), -maxLat);
+  const sin = Math.sin((clampedLat * Math.PI) / 180);
+  return [
+    scale * (lng / 360 + 0.5),
+    scale * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)),
+  ];
+}
+
+/**
+ * Index the points in the R-tree
+ * @private
+ */
+function _setData(message) {
+  store = new ColumnarStore({ length: message.length, lats: message.lats, lngs: message.lngs });
+  weights = null;
+
+  const items = [];
+  for (let i = 0; i < store.length; i++) {
+    const lng = store.lngs[i];
+    const lat = store.lats[i];
+    items.push({ minX: lng, minY: lat, maxX: lng, maxY: lat, index: i });
+  }
+  tree.clear();
+  tree.load(items);
+}
+
+/**
+ * Sum of the weights of a set of points
+ * @private
+ */
+function _sumWeights(indices) {
+  let total = 0;
+  for (let i = 0; i < indices.length; i++) total += weights[indices[i]];
+  return total;
+}
+
+/**
+ * Rebuild named custom aggregations from their source
+ * @private
+ */
+function _registerAggregations(aggregations) {
+  Object.keys(aggregations).forEach((name) => {
+    const fn = new Function(`return (${aggregations[name]});`)();
+    dataProcessor.registerAggregation(name, fn);
+  });
+}
+
+/**
+ * Create the function that maps a world pixel to its [col, row]
+ * @private
+ */
+function _getJobBinner(job) {
+  if (job.mode === "static" && job.gridType === "square") {
+    // Static square cells are counted from the north-west corner of the data
+    // and bounded in lat/lng on the main thread, so points are not rounded
+    const step = job.gridSize + job.padding;
+    return (px, py) => [
+      Math.floor((px - job.topLeft[0] - job.origin[0]) / step),
+      Math.floor((py - job.topLeft[1] - job.origin[1]) / step),
+    ];
+  }
+
+  // Other cells are laid out from world pixel 0, as on the main thread.
+  // Leaflet rounds projected points to whole pixels: bin them the same way.
+  const discretiser =
+    job.gridType === "hexagon"
+      ? _getHexDiscretiser(job.gridSize)
+      : _getGridDiscretiser(job.gridSize);
+  return (px, py) => discretiser.getColRow(Math.round(px), Math.round(py));
+}
+
+function _isStale(jobId) {
+  return cancelledJobs.has(jobId) || jobId < latestJobId;
+}
+
+/**
+ * Bin the points of the queried bounds and aggregate each cell
+ * @private
+ */
+async function _aggregate(jobId, job) {
+  const candidates = tree.search(job.queryBounds);
+  const binner = _getJobBinner(job);
+  const cells = new Map();
+
+  for (let i = 0; i < candidates.length; i++) {
+    // Give queued cancel/aggregate messages a chance to run
+    if (i > 0 && i % CHUNK_SIZE === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (_isStale(jobId)) return null;
+    }
+
+    const index = candidates[i].index;
+    const [px, py] = _project(store.lats[index], store.lngs[index], job.zoom);
+
+    // Dynamic mode only aggregates points inside the viewport
+    if (job.mode === "dynamic") {
+      const x = Math.round(px) - job.topLeft[0];
+      const y = Math.round(py) - job.topLeft[1];
+      if (x < 0 || y < 0 || x > job.size[0] || y > job.size[1]) continue;
+    }
+
+    const [col, row] = binner(px, py);
+    const key = `${col},${row}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { col, row, indices: [], totalCount: 0 };
+      cells.set(key, cell);
+    }
+    cell.totalCount += weights ? weights[index] : 1;
+
+    // Only aggregate points that pass the layer's filters (time window, setFilter)
+    if (job.mask && job.mask[index] !== 1) continue;
+    cell.indices.push(index);
+  }
+
+  if (_isStale(jobId)) return null;
+
+  const aggregationConfig = job.aggregationConfig || {};
+  const aggregate = aggregationConfig.fields && aggregationConfig.fields.length > 0;
+
+  const results = [];
+  for (const cell of cells.values()) {
+    // Cells without points that pass the filters or with weight are not drawn
+    const count = weights ? _sumWeights(cell.indices) : cell.indices.length;
+    if (count === 0) continue;
+
+    const result = aggregate
+      ? dataProcessor.aggregateIndices(store, cell.indices, aggregationConfig, weights)
+      : {};
+    result.col = cell.col;
+    result.row = cell.row;
+    result.count = count;
+    result.totalCount = cell.totalCount;
+    result.indices = Int32Array.from(cell.indices);
+    results.push(result);
+  }
+  return results;
+}
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case "setData":
+      _setData(message);
+      break;
+
+    case "setColumns":
+      store.setColumns(message.columns);
+      break;
+
+    case "setWeights":
+      weights = message.weights;
+      break;
+
+    case "registerAggregations":
+      _registerAggregations(message.aggregations);
+      break;
+
+    case "cancel":
+      cancelledJobs.add(message.jobId);
+      break;
+
+    case "aggregate": {
+      const jobId = message.jobId;
+      latestJobId = Math.max(latestJobId, jobId);
+      try {
+        const cells = await _aggregate(jobId, message.job);
+        if (cells) {
+          self.postMessage(
+            { type: "result", jobId, cells },
+            cells.map((cell) => cell.indices.buffer)
+          );
+        }
+      } catch (error) {
+        self.postMessage({ type: "error", jobId, message: error.message });
+      } finally {
+        cancelledJobs.delete(jobId);
+      }
+      break;
+    }
+  }
+};
@@ -0,0 +1,376 @@
+/**
+ * Color Scale Module for GriddedGlyphMap
+ * Maps aggregated cell values to colors, with optional classification
+ */
+
+// Scale type constants
+export const SCALE_TYPES = {
+  SEQUENTIAL: 'sequential',
+  DIVERGING: 'diverging',
+  CATEGORICAL: 'categorical'
+};
+
+// Classification method constants
+export const CLASSIFICATION_METHODS = {
+  LINEAR: 'linear',
+  QUANTILE: 'quantile',
+  EQUAL_INTERVAL: 'equal-interval',
+  JENKS: 'jenks'
+};
+
+// Color schemes (ColorBrewer and viridis)
+export const COLOR_SCHEMES = {
+  sequential: {
+    blues: ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c'],
+    reds: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'],
+    greens: ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'],
+    ylorrd: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+  },
+  diverging: {
+    rdbu: ['#ca0020', '#f4a582', '#f7f7f7', '#92c5de', '#0571b0'],
+    brbg: ['#a6611a', '#dfc27d', '#f5f5f5', '#80cdc1', '#018571'],
+    piyg: ['#d01c8b', '#f1b6da', '#f7f7f7', '#b8e186', '#4dac26']
+  },
+  categorical: {
+    set2: ['#66c2a5', '#fc8d62', '#8da0cb', '#e78ac3', '#a6d854', '#ffd92f', '#e5c494', '#b3b3b3'],
+    tableau10: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+      '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac']
+  }
+};
+
+const DEFAULT_SCHEMES = {
+  sequential: 'ylorrd',
+  diverging: 'rdbu',
+  categorical: 'set2'
+};
+
+// Jenks is quadratic in the number of values, so larger inputs are sampled
+const JENKS_MAX_VALUES = 1000;
+
+/**
+ * Parse a '#rrggbb' color into [r, g, b]
+ * @private
+ */
+function _parseHex(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+/**
+ * Interpolate along a list of '#rrggbb' color stops
+ * @param {Array} colors - Color stops
+ * @param {number} t - Position between 0 and 1
+ * @returns {Array} [r, g, b]
+ */
+export function interpolateColors(colors, t) {
+  const clamped = Math.max(0, Math.min(1, t));
+  if (colors.length === 1) return _parseHex(colors[0]);
+
+  const position = clamped * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  const fraction = position - index;
+  const from = _parseHex(colors[index]);
+  const to = _parseHex(colors[index + 1]);
+
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * fraction));
+}
+
+/**
+ * Compute class breaks for numeric values
+ * @param {Array} values - Numeric values
+ * @param {string} method - Classification method
+ * @param {number} classes - Number of classes
+ * @returns {Array} Class boundaries [min, ..., max] (classes + 1 entries)
+ */
+export function computeBreaks(values, method, classes) {
+  const sorted = values.filter(v => typeof v === 'number' && isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+
+  switch (method) {
+    case CLASSIFICATION_METHODS.QUANTILE: {
+      const breaks = [min];
+      for (let i = 1; i < classes; i++) {
+        breaks.push(sorted[Math.floor((i / classes) * (sorted.length - 1))]);
+      }
+      breaks.push(max);
+      return breaks;
+    }
+
+    case CLASSIFICATION_METHODS.JENKS:
+      return jenksBreaks(sorted, classes);
+
+    case CLASSIFICATION_METHODS.EQUAL_INTERVAL:
+    default: {
+      const breaks = [];
+      for (let i = 0; i <= classes; i++) {
+        breaks.push(min + ((max - min) * i) / classes);
+      }
+      return breaks;
+    }
+  }
+}
+
+/**
+ * Jenks natural breaks (Fisher-Jenks optimisation)
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} classes - Number of classes
+ * @returns {Array} Class boundaries [min, ..., max]
+ */
+export function jenksBreaks(sorted, classes) {
+  let data = sorted;
+  if (data.length > JENKS_MAX_VALUES) {
+    const step = data.length / JENKS_MAX_VALUES;
+    data = Array.from({ length: JENKS_MAX_VALUES }, (_, i) => sorted[Math.floor(i * step)]);
+    data[data.length - 1] = sorted[sorted.length - 1];
+  }
+
+  const n = data.length;
+  const k = Math.min(classes, n);
+  if (k <= 1) return [data[0], data[n - 1]];
+
+  // lowerClassLimits[i][j]: first index of the last class when splitting data[0..i-1] into j classes
+  const lowerClassLimits = [];
+  const varianceCombinations = [];
+  for (let i = 0; i <= n; i++) {
+    lowerClassLimits.push(new Array(k + 1).fill(0));
+    varianceCombinations.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+  }
+  for (let j = 1; j <= k; j++) {
+    lowerClassLimits[1][j] = 1;
+    varianceCombinations[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lowerLimit = l - m + 1;
+      const value = data[lowerLimit - 1];
+      count++;
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / count;
+
+      if (lowerLimit !== 1) {
+        for (let j = 2; j <= k; j++) {
+          const candidate = variance + varianceCombinations[lowerLimit - 1][j - 1];
+          if (varianceCombinations[l][j] >= candidate) {
+            lowerClassLimits[l][j] = lowerLimit;
+            varianceCombinations[l][j] = candidate;
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    varianceCombinations[l][1] = variance;
+  }
+
+  const breaks = new Array(k + 1);
+  breaks[k] = data[n - 1];
+  breaks[0] = data[0];
+  let limit = n;
+  for (let j = k; j >= 2; j--) {
+    const index = lowerClassLimits[limit][j] - 1;
+    breaks[j - 1] = data[index];
+    limit = lowerClassLimits[limit][j] - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Color Scale Class
+ * Fit to a set of values, then map each value to a color
+ */
+export class ColorScale {
+  constructor(options = {}) {
+    this.options = {
+      type: SCALE_TYPES.SEQUENTIAL,
+      classification: CLASSIFICATION_METHODS.LINEAR,
+      classes: 5,
+      opacity: 0.7,
+      nullColor: 'rgba(200, 200, 200, 0.5)',
+      ...options
+    };
+
+    const type = this.options.type;
+    const schemes = COLOR_SCHEMES[type] || COLOR_SCHEMES.sequential;
+    this.colors = this.options.colors ||
+      schemes[this.options.scheme] ||
+      schemes[DEFAULT_SCHEMES[type]] ||
+      COLOR_SCHEMES.sequential.ylorrd;
+
+    this.domain = null;
+    this.breaks = null;
+    this.categories = this.options.categories || null;
+  }
+
+  /**
+   * Fit the scale to a set of values
+   * @param {Array} values - Values to fit (numbers, or categories for categorical scales)
+   * @param {Array} domain - Optional fixed [min, max] for numeric scales
+   * @returns {ColorScale} This scale
+   */
+  fit(values, domain) {
+    const { type, classification, classes } = this.options;
+
+    if (type === SCALE_TYPES.CATEGORICAL) {
+      if (!this.options.categories) {
+        const counts = new Map();
+        values.forEach(value => {
+          if (value !== null && value !== undefined) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+          }
+        });
+        this.categories = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+      }
+      return this;
+    }
+
+    const numeric = values.filter(v => typeof v === 'number' && isFinite(v));
+    this.domain = domain || (numeric.length > 0
+      ? [Math.min(...numeric), Math.max(...numeric)]
+      : null);
+
+    if (classification === CLASSIFICATION_METHODS.LINEAR || !this.domain) {
+      this.breaks = null;
+    } else if (domain && classification === CLASSIFICATION_METHODS.EQUAL_INTERVAL) {
+      this.breaks = computeBreaks(domain, classification, classes);
+    } else {
+      this.breaks = computeBreaks(numeric, classification, classes);
+    }
+    return this;
+  }
+
+  /**
+   * Get the color for a value
+   * @param {*} value - Value to color
+   * @returns {string} CSS color
+   */
+  getColor(value) {
+    if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) {
+      return this.options.nullColor;
+    }
+
+    if (this.options.type === SCALE_TYPES.CATEGORICAL) {
+      const index = this.categories ? this.categories.indexOf(value) : -1;
+      if (index === -1) return this.options.nullColor;
+      return this._toCss(_parseHex(this.colors[index % this.colors.length]));
+    }
+
+    if (!this.domain) return this.options.nullColor;
+
+    if (this.breaks) {
+      const classIndex = this._getClassIndex(value);
+      const classCount = this.breaks.length - 1;
+      return this._toCss(interpolateColors(this.colors, classCount > 1 ? classIndex / (classCount - 1) : 0.5));
+    }
+
+    return this._toCss(interpolateColors(this.colors, this._getPosition(value)));
+  }
+
+  /**
+   * Get legend entries for the fitted scale
+   * @returns {Array} [{ color, from, to }] for numeric scales, [{ color, category }] for categorical
+   */
+  getLegend() {
+    if (this.options.type === SCALE_TYPES.CATEGORICAL) {
+      return (this.categories || []).map(category => ({ category, color: this.getColor(category) }));
+    }
+    if (!this.domain) return [];
+
+    if (this.breaks) {
+      return this.breaks.slice(0, -1).map((from, i) => ({
+        from,
+        to: this.breaks[i + 1],
+        color: this.getColor(from)
+      }));
+    }
+
+    // Unclassed scales: one entry per color stop
+    const [min, max] = this.domain;
+    return this.colors.map((_, i) => {
+      const t = this.colors.length > 1 ? i / (this.colors.length - 1) : 0;
+      const value = this._getValueAt(t);
+      return { from: value, to: value, color: this.getColor(value) };
+    }).filter((entry, i) => i === 0 || min !== max);
+  }
+
+  /**
+   * Position of a value along the color ramp (0-1).
+   * Diverging scales put the midpoint in the middle of the ramp.
+   * @private
+   */
+  _getPosition(value) {
+    const [min, max] = this.domain;
+    if (this.options.type === SCALE_TYPES.DIVERGING) {
+      const mid = this._getMidpoint();
+      if (value < mid) return mid === min ? 0.5 : 0.5 * (value - min) / (mid - min);
+      return max === mid ? 0.5 : 0.5 + 0.5 * (value - mid) / (max - mid);
+    }
+    return max === min ? 0.5 : (value - min) / (max - min);
+  }
+
+  /**
+   * Inverse of _getPosition()
+   * @private
+   */
+  _getValueAt(t) {
+    const [min, max] = this.domain;
+    if (this.options.type === SCALE_TYPES.DIVERGING) {
+      const mid = this._getMidpoint();
+      return t < 0.5 ? min + (mid - min) * (t / 0.5) : mid + (max - mid) * ((t - 0.5) / 0.5);
+    }
+    return min + (max - min) * t;
+  }
+
+  /**
+   * @private
+   */
+  _getMidpoint() {
+    const [min, max] = this.domain;
+    const midpoint = this.options.midpoint !== undefined ? this.options.midpoint : (min + max) / 2;
+    return Math.max(min, Math.min(max, midpoint));
+  }
+
+  /**
+   * @private
+   */
+  _getClassIndex(value) {
+    const breaks = this.breaks;
+    for (let i = 1; i < breaks.length - 1; i++) {
+      if (value < breaks[i]) return i - 1;
+    }
+    return breaks.length - 2;
+  }
+
+  /**
+   * @private
+   */
+  _toCss(rgb) {
+    return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${this.options.opacity})`;
+  }
+}
+
+/**
+ * Create a color scale instance
+ * @param {Object} options - Scale options
+ * @returns {ColorScale} Color scale instance
+ */
+export function createColorScale(options = {}) {
+  return new ColorScale(options);
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.ColorScale = ColorScale;
+  window.createColorScale = createColorScale;
+  window.SCALE_TYPES = SCALE_TYPES;
+  window.CLASSIFICATION_METHODS = CLASSIFICATION_METHODS;
+}
@@ -0,0 +1,220 @@
+/**
+ * Columnar Store Module for GriddedGlyphMap
+ * Keeps point coordinates in Float64Arrays and field values in typed
+ * columns, so aggregation can read values by point index instead of walking
+ * property objects.
+ */
+
+// Column kinds
+export const COLUMN_KINDS = {
+  NUMERIC: 'numeric',   // Float64Array, NaN for missing values
+  CATEGORY: 'category', // Int32Array of dictionary codes, -1 for missing values
+  VALUE: 'value'        // Plain array (dates, booleans, mixed values)
+};
+
+/**
+ * Columnar Store Class
+ * Columns are built on first use from the source rows, so only the fields
+ * that are actually aggregated take memory. A store created from transferred
+ * columns (in a Web Worker) has no source rows.
+ */
+export class ColumnarStore {
+  constructor(options = {}) {
+    this.length = options.length || 0;
+    this.lats = options.lats || new Float64Array(this.length);
+    this.lngs = options.lngs || new Float64Array(this.length);
+    this.rows = options.rows || null;
+    this.columns = new Map(Object.entries(options.columns || {}));
+  }
+
+  /**
+   * Create a store from points
+   * @param {Array} points - Points as { lat, lng, properties }
+   * @returns {ColumnarStore} Columnar store
+   */
+  static fromPoints(points) {
+    const length = points.length;
+    const lats = new Float64Array(length);
+    const lngs = new Float64Array(length);
+    const rows = new Array(length);
+
+    for (let i = 0; i < length; i++) {
+      lats[i] = points[i].lat;
+      lngs[i] = points[i].lng;
+      rows[i] = points[i].properties || {};
+    }
+
+    return new ColumnarStore({ length, lats, lngs, rows });
+  }
+
+  /**
+   * Get the column of a field, building it from the source rows if needed
+   * @param {string} field - Field name
+   * @returns {Object} Column ({ kind, values } or { kind, codes, dictionary })
+   */
+  getColumn(field) {
+    let column = this.columns.get(field);
+    if (!column) {
+      column = this._buildColumn(field);
+      this.columns.set(field, column);
+    }
+    return column;
+  }
+
+  /**
+   * Get a field value by point index
+   * @param {number} index - Point index
+   * @param {string} field - Field name
+   * @returns {*} Value, or null when missing
+   */
+  getValue(index, field) {
+    const column = this.getColumn(field);
+
+    switch (column.kind) {
+      case COLUMN_KINDS.NUMERIC: {
+        const value = column.values[index];
+        return isNaN(value) ? null : value;
+      }
+      case COLUMN_KINDS.CATEGORY: {
+        const code = column.codes[index];
+        return code === -1 ? null : column.dictionary[code];
+      }
+      default: {
+        const value = column.values[index];
+        return value === undefined ? null : value;
+      }
+    }
+  }
+
+  /**
+   * Get the non-missing values of a field for a set of points
+   * @param {ArrayLike} indices - Point indices
+   * @param {string} field - Field name
+   * @returns {Array} Values
+   */
+  getValues(indices, field) {
+    const values = [];
+    for (let i = 0; i < indices.length; i++) {
+      const value = this.getValue(indices[i], field);
+      if (value !== null) values.push(value);
+    }
+    return values;
+  }
+
+  /**
+   * Get the properties of a point: the source row, or an object rebuilt
+   * from the columns when the store has no rows
+   * @param {number} index - Point index
+   * @returns {Object} Point properties
+   */
+  getRow(index) {
+    if (this.rows) return this.rows[index];
+
+    const row = {};
+    this.columns.forEach((column, field) => {
+      row[field] = this.getValue(index, field);
+    });
+    return row;
+  }
+
+  /**
+   * Export columns for transfer to a Web Worker
+   * @param {Array} fields - Fields to export
+   * @returns {Object} { columns, transfer } with the buffers that can be transferred
+   */
+  exportColumns(fields) {
+    const columns = {};
+    const transfer = [];
+
+    fields.forEach(field => {
+      const column = this.getColumn(field);
+      if (column.kind === COLUMN_KINDS.NUMERIC) {
+        const values = column.values.slice();
+        columns[field] = { kind: column.kind, values };
+        transfer.push(values.buffer);
+      } else if (column.kind === COLUMN_KINDS.CATEGORY) {
+        const codes = column.codes.slice();
+        columns[field] = { kind: column.kind, codes, dictionary: column.dictionary };
+        transfer.push(codes.buffer);
+      } else {
+        columns[field] = { kind: column.kind, values: column.values };
+      }
+    });
+
+    return { columns, transfer };
+  }
+
+  /**
+   * Add columns received from another store
+   * @param {Object} columns - Columns by field, as returned by exportColumns()
+   */
+  setColumns(columns) {
+    Object.keys(columns).forEach(field => {
+      this.columns.set(field, columns[field]);
+    });
+  }
+
+  /**
+   * Build a column from the source rows.
+   * All-number fields become numeric columns, all-string fields become
+   * dictionary-encoded categories, anything else is kept as is.
+   * @private
+   */
+  _buildColumn(field) {
+    const length = this.length;
+    let allNumbers = true;
+    let allStrings = true;
+
+    for (let i = 0; i < length && (allNumbers || allStrings); i++) {
+      const value = this.rows ? this.rows[i][field] : undefined;
+      if (value === null || value === undefined) continue;
+      if (typeof value !== 'number') allNumbers = false;
+      if (typeof value !== 'string') allStrings = false;
+    }
+
+    if (allNumbers) {
+      const values = new Float64Array(length);
+      for (let i = 0; i < length; i++) {
+        const value = this.rows ? this.rows[i][field] : undefined;
+        values[i] = value === null || value === undefined ? NaN : value;
+      }
+      return { kind: COLUMN_KINDS.NUMERIC, values };
+    }
+
+    if (allStrings) {
+      const codes = new Int32Array(length);
+      const dictionary = [];
+      const lookup = new Map();
+      for (let i = 0; i < length; i++) {
+        const value = this.rows[i][field];
+        if (value === null || value === undefined) {
+          codes[i] = -1;
+          continue;
+        }
+        let code = lookup.get(value);
+        if (code === undefined) {
+          code = dictionary.length;
+          dictionary.push(value);
+          lookup.set(value, code);
+        }
+        codes[i] = code;
+      }
+      return { kind: COLUMN_KINDS.CATEGORY, codes, dictionary };
+    }
+
+    const values = new Array(length);
+    for (let i = 0; i < length; i++) {
+      values[i] = this.rows[i][field];
+    }
+    return { kind: COLUMN_KINDS.VALUE, values };
+  }
+}
+
+/**
+ * Create a columnar store from points
+ * @param {Array} points - Points as { lat, lng, properties }
+ * @returns {ColumnarStore} Columnar store
+ */
+export function createColumnarStore(points = []) {
+  return ColumnarStore.fromPoints(points);
+}
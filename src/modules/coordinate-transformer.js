@@ -163,6 +163,16 @@ export class CoordinateTransformer {
   }
 }
 
+/**
+ * Web Mercator ground resolution (metres per pixel) for 256px tiles
+ * @param {number} zoom - Map zoom level
+ * @param {number} latitude - Latitude in degrees
+ * @returns {number} Metres per pixel
+ */
+export function getMetersPerPixel(zoom, latitude) {
+  return 156543.03392804097 * Math.cos((latitude * Math.PI) / 180) / Math.pow(2, zoom);
+}
+
 /**
  * Factory function to create coordinate transformer
  * @param {L.Map} map - Leaflet map instance
@@ -0,0 +1,346 @@
+/**
+ * CSV Parser Module for GriddedGlyphMap
+ * RFC 4180 parsing (quoted fields with delimiters, quotes and line breaks,
+ * CRLF/LF/CR line endings, byte order marks) that works incrementally, so
+ * strings, Files/Blobs and ReadableStreams can be parsed chunk by chunk.
+ */
+
+// Column type hints
+export const COLUMN_TYPES = {
+  STRING: 'string',
+  NUMBER: 'number',
+  DATE: 'date',
+  BOOLEAN: 'boolean'
+};
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+
+/**
+ * CSV Parser Class
+ * Feed text with parseChunk() and finish with flush(), or let parse() read a
+ * whole source.
+ */
+export class CSVParser {
+  constructor(options = {}) {
+    this.options = {
+      delimiter: ',',
+      quote: '"',
+      header: true,         // First record holds the column names
+      columns: null,        // Column names when header is false
+      types: {},            // Column name -> COLUMN_TYPES value or (value) => parsed value
+      parseValue: null,     // Conversion for columns without a type hint (strings are kept otherwise)
+      trim: false,          // Trim unquoted values
+      skipEmptyLines: true,
+      chunkSize: 1024 * 1024, // Characters per chunk when parsing strings
+      onProgress: null,     // ({ loaded, total, rows }) => void
+      ...options
+    };
+
+    if (this.options.delimiter.length !== 1 || this.options.quote.length !== 1) {
+      throw new Error('CSV delimiter and quote must be single characters');
+    }
+
+    this.reset();
+  }
+
+  /**
+   * Reset the parser state to parse a new source
+   */
+  reset() {
+    this._field = '';
+    this._fieldQuoted = false;
+    this._record = [];
+    this._inQuotes = false;
+    this._quotePending = false;
+    this._lastWasCR = false;
+    this._started = false;
+    this._line = 1;
+    this._quoteLine = 0;
+    this._columns = this.options.header ? null : this.options.columns;
+    this._rows = [];
+    this.rowCount = 0;
+  }
+
+  /**
+   * Parse a chunk of text. Records may span chunks.
+   * @param {string} text - Next chunk of CSV text
+   * @returns {Array} Rows completed by this chunk
+   */
+  parseChunk(text) {
+    const { delimiter, quote } = this.options;
+    const length = text.length;
+    let i = 0;
+
+    if (!this._started) {
+      this._started = true;
+      if (text.charCodeAt(0) === 0xfeff) i = 1; // Byte order mark
+    }
+
+    while (i < length) {
+      if (this._inQuotes) {
+        if (this._quotePending) {
+          this._quotePending = false;
+          if (text[i] === quote) {
+            // Escaped quote ("")
+            this._field += quote;
+            i++;
+            continue;
+          }
+          // Closing quote: handle this character as unquoted
+          this._inQuotes = false;
+          continue;
+        }
+
+        const end = text.indexOf(quote, i);
+        const segment = end === -1 ? text.slice(i) : text.slice(i, end);
+        this._field += segment;
+        this._line += this._countLineBreaks(segment);
+        if (end === -1) break;
+        this._quotePending = true;
+        i = end + 1;
+        continue;
+      }
+
+      const char = text[i];
+
+      if (this._lastWasCR) {
+        this._lastWasCR = false;
+        if (char === '\n') {
+          // Second half of a CRLF line ending
+          i++;
+          continue;
+        }
+      }
+
+      if (char === delimiter) {
+        this._endField();
+        i++;
+      } else if (char === '\n' || char === '\r') {
+        this._endField();
+        this._endRecord();
+        this._lastWasCR = char === '\r';
+        this._line++;
+        i++;
+      } else if (char === quote && this._field === '' && !this._fieldQuoted) {
+        this._inQuotes = true;
+        this._fieldQuoted = true;
+        this._quoteLine = this._line;
+        i++;
+      } else {
+        // Unquoted run up to the next delimiter or line break
+        let j = i + 1;
+        while (j < length) {
+          const next = text[j];
+          if (next === delimiter || next === '\n' || next === '\r') break;
+          j++;
+        }
+        this._field += text.slice(i, j);
+        i = j;
+      }
+    }
+
+    return this._takeRows();
+  }
+
+  /**
+   * Finish parsing: complete the last record if the input did not end with a line break
+   * @returns {Array} Remaining rows
+   */
+  flush() {
+    if (this._inQuotes && !this._quotePending) {
+      throw new Error(`Unterminated quoted field starting on line ${this._quoteLine}`);
+    }
+    this._inQuotes = false;
+    this._quotePending = false;
+
+    if (this._field !== '' || this._fieldQuoted || this._record.length > 0) {
+      this._endField();
+      this._endRecord();
+    }
+    return this._takeRows();
+  }
+
+  /**
+   * Parse a whole source in chunks
+   * @param {string|Blob|File|ReadableStream} source - CSV source
+   * @returns {Promise<Array>} Parsed rows
+   */
+  async parse(source) {
+    this.reset();
+    const rows = [];
+    const collect = (chunkRows) => {
+      for (let i = 0; i < chunkRows.length; i++) rows.push(chunkRows[i]);
+    };
+
+    if (typeof source === 'string') {
+      const { chunkSize } = this.options;
+      for (let start = 0; start < source.length; start += chunkSize) {
+        collect(this.parseChunk(source.slice(start, start + chunkSize)));
+        this._reportProgress(Math.min(start + chunkSize, source.length), source.length);
+        // Let the page repaint between chunks
+        if (start + chunkSize < source.length) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    } else if (source && typeof source.getReader === 'function') {
+      await this._parseStream(source, undefined, collect);
+    } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      if (typeof source.stream === 'function') {
+        await this._parseStream(source.stream(), source.size, collect);
+      } else {
+        collect(this.parseChunk(await source.text()));
+        this._reportProgress(source.size, source.size);
+      }
+    } else {
+      throw new Error('Unsupported CSV source');
+    }
+
+    collect(this.flush());
+    return rows;
+  }
+
+  /**
+   * Read a ReadableStream of bytes or strings
+   * @private
+   */
+  async _parseStream(stream, total, collect) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let loaded = 0;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        if (typeof value === 'string') {
+          loaded += value.length;
+          collect(this.parseChunk(value));
+        } else {
+          loaded += value.byteLength;
+          collect(this.parseChunk(decoder.decode(value, { stream: true })));
+        }
+        this._reportProgress(loaded, total);
+      }
+      collect(this.parseChunk(decoder.decode()));
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _reportProgress(loaded, total) {
+    if (this.options.onProgress) {
+      this.options.onProgress({ loaded, total, rows: this.rowCount });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _countLineBreaks(text) {
+    let count = 0;
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  _endField() {
+    const value = this.options.trim && !this._fieldQuoted ? this._field.trim() : this._field;
+    this._record.push(value);
+    this._field = '';
+    this._fieldQuoted = false;
+  }
+
+  /**
+   * @private
+   */
+  _endRecord() {
+    const record = this._record;
+    this._record = [];
+
+    if (this.options.skipEmptyLines && record.length === 1 && record[0] === '') return;
+
+    if (!this._columns) {
+      if (this.options.header) {
+        this._columns = record.map(name => name.trim());
+        return;
+      }
+      this._columns = record.map((_, index) => String(index));
+    }
+
+    const row = {};
+    for (let i = 0; i < this._columns.length; i++) {
+      row[this._columns[i]] = this._convertValue(this._columns[i], record[i]);
+    }
+    this._rows.push(row);
+    this.rowCount++;
+  }
+
+  /**
+   * Convert a raw value using the column's type hint
+   * @private
+   */
+  _convertValue(column, value) {
+    if (value === undefined || value === '') return null;
+
+    const hint = this.options.types[column];
+    if (typeof hint === 'function') return hint(value);
+
+    switch (hint) {
+      case COLUMN_TYPES.STRING:
+        return value;
+      case COLUMN_TYPES.NUMBER: {
+        const num = Number(value);
+        return isNaN(num) ? null : num;
+      }
+      case COLUMN_TYPES.DATE: {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+      }
+      case COLUMN_TYPES.BOOLEAN:
+        return TRUE_VALUES.includes(value.trim().toLowerCase());
+      default:
+        return this.options.parseValue ? this.options.parseValue(value) : value;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _takeRows() {
+    const rows = this._rows;
+    this._rows = [];
+    return rows;
+  }
+}
+
+/**
+ * Create a CSV parser instance
+ * @param {Object} options - Parser options
+ * @returns {CSVParser} CSV parser instance
+ */
+export function createCSVParser(options = {}) {
+  return new CSVParser(options);
+}
+
+/**
+ * Parse a CSV source
+ * @param {string|Blob|File|ReadableStream} source - CSV source
+ * @param {Object} options - Parser options
+ * @returns {Promise<Array>} Parsed rows
+ */
+export function parseCSV(source, options = {}) {
+  return createCSVParser(options).parse(source);
+}
+
+// Export for browser environment
+if (typeof window !== 'undefined') {
+  window.CSVParser = CSVParser;
+  window.createCSVParser = createCSVParser;
+  window.parseCSV = parseCSV;
+}
@@ -3,6 +3,11 @@
  * Handles data loading, type detection, normalization, and aggregation
  */
 
+import { createCSVParser } from './csv-parser.js';
+import { createColumnarStore, COLUMN_KINDS } from './columnar-store.js';
+import { TIME_INTERVALS, getTimeBin, getTimeSeriesBins, getYearExtent } from './time-series.js';
+import { QUANTILE_INTERPOLATIONS, QUANTILE_METHODS, quantiles, createTDigest } from './quantile.js';
+
 // Data type constants
 export const DATA_TYPES = {
   NOMINAL: 'nominal',
@@ -25,9 +30,62 @@ export const AGGREGATION_TYPES = {
   VARIANCE: 'variance',
   PERCENTILE: 'percentile',
   UNIQUE_COUNT: 'unique_count',
-  FREQUENCY: 'frequency'
+  FREQUENCY: 'frequency',
+  TIME_SERIES: 'time_series'
 };
 
+// Aggregations that can be merged from count/sum/min/max/sumsq partials
+const MERGEABLE_NUMERIC_AGGREGATIONS = [
+  AGGREGATION_TYPES.COUNT,
+  AGGREGATION_TYPES.SUM,
+  AGGREGATION_TYPES.MEAN,
+  AGGREGATION_TYPES.MIN,
+  AGGREGATION_TYPES.MAX,
+  AGGREGATION_TYPES.STD_DEV,
+  AGGREGATION_TYPES.VARIANCE
+];
+
+// Aggregations that can be merged from per-category counts
+const MERGEABLE_CATEGORICAL_AGGREGATIONS = [
+  AGGREGATION_TYPES.MODE,
+  AGGREGATION_TYPES.UNIQUE_COUNT,
+  AGGREGATION_TYPES.FREQUENCY
+];
+
+/**
+ * Sum of an array of weights
+ * @private
+ */
+function _sum(weights) {
+  let total = 0;
+  for (let i = 0; i < weights.length; i++) total += weights[i];
+  return total;
+}
+
+/**
+ * Sum of the weights of a set of point indices
+ * @private
+ */
+function _sumIndexed(weights, indices) {
+  let total = 0;
+  for (let i = 0; i < indices.length; i++) total += weights[indices[i]];
+  return total;
+}
+
+/**
+ * Source of a function that new Function can rebuild on its own, or null
+ * for method shorthand, native and bound functions
+ * @private
+ */
+function _getFunctionSource(fn) {
+  const source = Function.prototype.toString.call(fn);
+  try {
+    return typeof new Function(`return (${source});`)() === 'function' ? source : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Data Processor Class
  * Handles all data processing operations
@@ -44,12 +102,54 @@ export class DataProcessor {
     this.dataSchema = null;
     this.processedData = [];
     this.aggregationCache = new Map();
+    this.customAggregations = new Map();
+    this._customAggregationSources = new Map(); // Name -> function source, or null
+    this._yearExtents = new WeakMap(); // Dataset (columnar store or loaded rows) -> year extent by field
+  }
+
+  /**
+   * Register a custom aggregation under a name.
+   * The name can then be used in aggregationConfig.aggregations like the
+   * built-in types. Because only the name travels with the config, custom
+   * aggregations also work when aggregation runs in a Web Worker, which
+   * rebuilds the function from its source: it must then be a self-contained
+   * function expression (no closures over outside variables). Functions whose
+   * source cannot be rebuilt (method shorthand, bound functions) are
+   * aggregated on the main thread.
+   * @param {string} name - Aggregation name
+   * @param {Function} fn - (values) => aggregated value
+   */
+  registerAggregation(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Aggregation '${name}' must be a function`);
+    }
+    this.customAggregations.set(name, fn);
+    this._customAggregationSources.set(name, _getFunctionSource(fn));
+  }
+
+  /**
+   * Get the source of a custom aggregation, for rebuilding it in a Web Worker
+   * @param {string} name - Aggregation name
+   * @returns {string|null} Function source, or null when it cannot be rebuilt from it
+   */
+  getCustomAggregationSource(name) {
+    return this._customAggregationSources.get(name) || null;
+  }
+
+  /**
+   * Get registered custom aggregations
+   * @returns {Map} Aggregation name to function
+   */
+  getCustomAggregations() {
+    return this.customAggregations;
   }
 
   /**
    * Load data from various sources
-   * @param {Object|Array|string} data - Data source (GeoJSON, CSV string, or array)
-   * @param {Object} options - Loading options
+   * @param {Object|Array|string|Blob|ReadableStream} data - Data source (GeoJSON, array, or CSV as a
+   *   string, File/Blob or ReadableStream)
+   * @param {Object} options - Loading options. CSV sources also accept the CSVParser options
+   *   (delimiter, quote, header, columns, types, trim, chunkSize, onProgress)
    * @returns {Promise<Array>} Processed data array
    */
   async loadData(data, options = {}) {
@@ -60,8 +160,8 @@ export class DataProcessor {
       ...options
     };
 
-    if (typeof data === 'string') {
-      // Try to parse as CSV
+    if (typeof data === 'string' || this._isCSVSource(data)) {
+      // Parse as CSV
       return this._loadCSV(data, loadOptions);
     } else if (data.type === 'FeatureCollection') {
       // GeoJSON FeatureCollection
@@ -78,25 +178,25 @@ export class DataProcessor {
    * Load CSV data
    * @private
    */
-  async _loadCSV(csvString, options) {
-    const lines = csvString.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    const data = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = this._parseValue(values[index]);
-      });
-      
-      data.push(row);
-    }
+  async _loadCSV(source, options) {
+    const parser = createCSVParser({
+      parseValue: value => this._parseValue(value),
+      ...options
+    });
+    const data = await parser.parse(source);
 
     return this._processRawData(data, options);
   }
 
+  /**
+   * Check whether data is a File/Blob or ReadableStream of CSV text
+   * @private
+   */
+  _isCSVSource(data) {
+    return (typeof Blob !== 'undefined' && data instanceof Blob) ||
+      (data !== null && typeof data === 'object' && typeof data.getReader === 'function');
+  }
+
   /**
    * Load GeoJSON data
    * @private
@@ -172,7 +272,12 @@ export class DataProcessor {
     if (values.length === 0) return DATA_TYPES.UNKNOWN;
 
     const sample = values[0];
-    
+
+    // Dates parsed from CSV are Date objects, which also convert to numbers
+    if (sample instanceof Date) {
+      return DATA_TYPES.TEMPORAL;
+    }
+
     // Check if it's a number
     if (typeof sample === 'number' || !isNaN(Number(sample))) {
       const nums = values.map(v => Number(v)).filter(n => !isNaN(n));
@@ -277,43 +382,458 @@ export class DataProcessor {
     );
   }
 
+  /**
+   * Get the categories of a field across the whole dataset
+   * @param {string} field - Field name
+   * @returns {Array} Categories as frequency keys (strings), most frequent first
+   */
+  getCategories(field) {
+    const frequency = {};
+    this.processedData.forEach(row => {
+      const value = row[field];
+      if (value !== null && value !== undefined) {
+        frequency[value] = (frequency[value] || 0) + 1;
+      }
+    });
+    return Object.keys(frequency).sort((a, b) => frequency[b] - frequency[a]);
+  }
+
   /**
    * Aggregate data within cells
    * @param {Array} cellData - Array of data points in a cell
    * @param {Object} aggregationConfig - Aggregation configuration
+   * @param {ArrayLike} weights - Weight of each data point (same order as
+   *   cellData), or null to count every point as 1. Points with weight 0 are skipped.
+   *   Yearly time series without a years option span the years of the loaded data.
    * @returns {Object} Aggregated results
    */
-  aggregateCellData(cellData, aggregationConfig = {}) {
+  aggregateCellData(cellData, aggregationConfig = {}, weights = null) {
     const config = {
       fields: [],
       aggregations: {},
       ...aggregationConfig
     };
 
+    if (weights) {
+      const rows = [];
+      const rowWeights = [];
+      cellData.forEach((row, i) => {
+        if (weights[i] > 0) {
+          rows.push(row);
+          rowWeights.push(weights[i]);
+        }
+      });
+      cellData = rows;
+      weights = rowWeights;
+    }
+
     if (cellData.length === 0) {
       return { count: 0 };
     }
 
-    const results = { count: cellData.length };
+    const results = { count: weights ? _sum(weights) : cellData.length };
 
     // Apply aggregations for each field
     Object.keys(config.aggregations).forEach(field => {
       const aggregationType = config.aggregations[field];
-      const values = cellData.map(row => row[field]).filter(v => v !== null && v !== undefined);
+
+      if (this.getAggregationType(aggregationType) === AGGREGATION_TYPES.TIME_SERIES) {
+        const spec = this.getTimeSeriesSpec(aggregationType);
+        const getTime = i => cellData[i][field];
+        let years = spec.years;
+        if (!years && spec.interval === TIME_INTERVALS.YEAR) {
+          // Cells share the year bins of the loaded data, not their own years
+          if (this.processedData.length === 0) {
+            throw new Error(`Yearly time series of '${field}' need a years option when no data is loaded`);
+          }
+          years = this._getDatasetYears(this.processedData, field, spec);
+        }
+        const getWeight = weights ? i => weights[i] : null;
+        const series = this._aggregateTimeSeries(getTime, i => cellData[i][spec.valueField], cellData.length, spec, years, getWeight);
+        if (series !== undefined) results[field] = series;
+        return;
+      }
+
+      const values = [];
+      const valueWeights = weights ? [] : null;
+      cellData.forEach((row, i) => {
+        const value = row[field];
+        if (value === null || value === undefined) return;
+        values.push(value);
+        if (valueWeights) valueWeights.push(weights[i]);
+      });
       
       if (values.length > 0) {
-        results[field] = this._applyAggregation(values, aggregationType);
+        const value = this._applyAggregation(values, aggregationType, valueWeights);
+        if (value !== undefined) results[field] = value;
       }
     });
 
     return results;
   }
 
+  /**
+   * Create a columnar store for points
+   * @param {Array} points - Points as { lat, lng, properties }
+   * @returns {ColumnarStore} Columnar store
+   */
+  createColumnarStore(points) {
+    return createColumnarStore(points);
+  }
+
+  /**
+   * Aggregate the points of a cell by index.
+   * Gives the same results as aggregateCellData() on the points' rows, but
+   * sums, means, extremes and frequencies read the typed columns directly.
+   * @param {ColumnarStore} store - Columnar store of all points
+   * @param {ArrayLike} indices - Indices of the cell's points
+   * @param {Object} aggregationConfig - Aggregation configuration
+   * @param {ArrayLike} weights - Weight of every point in the store (by point
+   *   index), or null to count every point as 1. Points with weight 0 are skipped.
+   * @returns {Object} Aggregated results
+   */
+  aggregateIndices(store, indices, aggregationConfig = {}, weights = null) {
+    const aggregations = aggregationConfig.aggregations || {};
+
+    if (weights) {
+      indices = indices.filter(index => weights[index] > 0);
+    }
+
+    if (indices.length === 0) {
+      return { count: 0 };
+    }
+
+    const results = { count: weights ? _sumIndexed(weights, indices) : indices.length };
+
+    Object.keys(aggregations).forEach(field => {
+      const value = this.getAggregationType(aggregations[field]) === AGGREGATION_TYPES.TIME_SERIES
+        ? this._aggregateIndexedTimeSeries(store, field, indices, this.getTimeSeriesSpec(aggregations[field]), weights)
+        : this._aggregateColumn(store, store.getColumn(field), field, indices, aggregations[field], weights);
+      if (value !== undefined) {
+        results[field] = value;
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * Get the type of an aggregation: the aggregation itself, or the type of
+   * an aggregation object such as { type: 'time_series', interval: 'month' }
+   * @param {string|Object} aggregation - Aggregation
+   * @returns {string} Aggregation type
+   */
+  getAggregationType(aggregation) {
+    return aggregation && typeof aggregation === 'object' ? aggregation.type : aggregation;
+  }
+
+  /**
+   * Get the options of a time_series aggregation with their defaults
+   * @param {string|Object} aggregation - 'time_series' or
+   *   { type: 'time_series', interval, valueField, valueAggregation, utc, years }
+   * @returns {Object} { interval, valueField, valueAggregation, utc, years }
+   */
+  getTimeSeriesSpec(aggregation) {
+    const options = aggregation && typeof aggregation === 'object' ? aggregation : {};
+    const spec = {
+      interval: options.interval || TIME_INTERVALS.MONTH,
+      valueField: options.valueField || null,  // Sum or average this field per bin instead of counting points
+      valueAggregation: options.valueAggregation || AGGREGATION_TYPES.SUM,
+      utc: options.utc || false,
+      years: options.years || null             // [first, last] year bins (default: the years of the whole dataset)
+    };
+
+    if (!Object.values(TIME_INTERVALS).includes(spec.interval)) {
+      throw new Error(`Unknown time series interval: ${spec.interval}`);
+    }
+    if (spec.valueAggregation !== AGGREGATION_TYPES.SUM && spec.valueAggregation !== AGGREGATION_TYPES.MEAN) {
+      throw new Error(`Time series values can only be summed or averaged, not '${spec.valueAggregation}'`);
+    }
+    return spec;
+  }
+
+  /**
+   * Get the labels of the bins of a time_series aggregation
+   * @param {string|Object} aggregation - Time series aggregation
+   * @param {Array} years - [first, last] year when the aggregation has no years option
+   * @returns {Array} Bin labels
+   */
+  getTimeSeriesLabels(aggregation, years = null) {
+    const spec = this.getTimeSeriesSpec(aggregation);
+    return getTimeSeriesBins(spec.interval, spec.years || years).labels;
+  }
+
+  /**
+   * Get the options of a percentile aggregation with their defaults
+   * @param {string|Object} aggregation - 'percentile' or
+   *   { type: 'percentile', p, interpolation, method, maxExact, compression }
+   * @returns {Object} { p, interpolation, method, maxExact, compression }
+   */
+  getPercentileSpec(aggregation) {
+    const options = aggregation && typeof aggregation === 'object' ? aggregation : {};
+    const spec = {
+      p: options.p !== undefined ? options.p : 50,  // Percentile 0-100, or a list of them
+      interpolation: options.interpolation || QUANTILE_INTERPOLATIONS.LINEAR,
+      method: options.method || QUANTILE_METHODS.AUTO,
+      maxExact: options.maxExact !== undefined ? options.maxExact : 10000,  // Most values sorted exactly by 'auto'
+      compression: options.compression || 100  // T-digest accuracy
+    };
+
+    const ps = Array.isArray(spec.p) ? spec.p : [spec.p];
+    if (ps.length === 0 || ps.some(p => typeof p !== 'number' || !(p >= 0 && p <= 100))) {
+      throw new Error(`Percentiles must be numbers between 0 and 100: ${JSON.stringify(spec.p)}`);
+    }
+    if (!Object.values(QUANTILE_INTERPOLATIONS).includes(spec.interpolation)) {
+      throw new Error(`Unknown percentile interpolation: ${spec.interpolation}`);
+    }
+    if (!Object.values(QUANTILE_METHODS).includes(spec.method)) {
+      throw new Error(`Unknown percentile method: ${spec.method}`);
+    }
+    return spec;
+  }
+
+  /**
+   * Percentiles of a list of values
+   * @private
+   * @returns {number|Array|undefined} One value per p (a single value when p
+   *   is not a list), or undefined without numeric values
+   */
+  _aggregatePercentile(values, weights, spec) {
+    const numbers = [];
+    const numberWeights = weights ? [] : null;
+    values.forEach((value, i) => {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      numbers.push(value);
+      if (numberWeights) numberWeights.push(weights[i]);
+    });
+    if (numbers.length === 0) return undefined;
+
+    const qs = (Array.isArray(spec.p) ? spec.p : [spec.p]).map(p => p / 100);
+    let results;
+    if (this._usesTDigest(spec, numbers.length)) {
+      const digest = createTDigest(spec.compression);
+      numbers.forEach((value, i) => digest.add(value, numberWeights ? numberWeights[i] : 1));
+      results = qs.map(q => digest.quantile(q));
+    } else {
+      results = quantiles(numbers, qs, spec.interpolation, numberWeights);
+    }
+    return Array.isArray(spec.p) ? results : results[0];
+  }
+
+  /**
+   * Percentiles of the points of a cell, read from a numeric column. The
+   * t-digest streams the column without copying the values.
+   * @private
+   */
+  _aggregateIndexedPercentile(columnValues, indices, spec, weights) {
+    let count = 0;
+    for (let i = 0; i < indices.length; i++) {
+      if (!isNaN(columnValues[indices[i]])) count++;
+    }
+    if (count === 0) return undefined;
+
+    const qs = (Array.isArray(spec.p) ? spec.p : [spec.p]).map(p => p / 100);
+    let results;
+    if (this._usesTDigest(spec, count)) {
+      const digest = createTDigest(spec.compression);
+      for (let i = 0; i < indices.length; i++) {
+        digest.add(columnValues[indices[i]], weights ? weights[indices[i]] : 1);
+      }
+      results = qs.map(q => digest.quantile(q));
+    } else {
+      const values = new Float64Array(count);
+      const valueWeights = weights ? new Float64Array(count) : null;
+      let k = 0;
+      for (let i = 0; i < indices.length; i++) {
+        const value = columnValues[indices[i]];
+        if (isNaN(value)) continue;
+        values[k] = value;
+        if (valueWeights) valueWeights[k] = weights[indices[i]];
+        k++;
+      }
+      results = quantiles(values, qs, spec.interpolation, valueWeights);
+    }
+    return Array.isArray(spec.p) ? results : results[0];
+  }
+
+  /**
+   * Whether percentiles of a number of values are estimated with a t-digest
+   * @private
+   */
+  _usesTDigest(spec, count) {
+    return spec.method === QUANTILE_METHODS.TDIGEST ||
+      (spec.method === QUANTILE_METHODS.AUTO && count > spec.maxExact);
+  }
+
+  /**
+   * Time series of the points of a cell. Year bins span the years of the
+   * whole store, so every cell has the same bins.
+   * @private
+   */
+  _aggregateIndexedTimeSeries(store, field, indices, spec, weights = null) {
+    const years = spec.years || (spec.interval === TIME_INTERVALS.YEAR ? this._getDatasetYears(store, field, spec) : null);
+
+    return this._aggregateTimeSeries(
+      i => store.getValue(indices[i], field),
+      i => store.getValue(indices[i], spec.valueField),
+      indices.length,
+      spec,
+      years,
+      weights ? i => weights[indices[i]] : null
+    );
+  }
+
+  /**
+   * First and last year of a field in a whole dataset, cached per dataset
+   * @private
+   * @param {ColumnarStore|Array} dataset - Columnar store or loaded rows
+   */
+  _getDatasetYears(dataset, field, spec) {
+    let extents = this._yearExtents.get(dataset);
+    if (!extents) {
+      extents = new Map();
+      this._yearExtents.set(dataset, extents);
+    }
+    const key = `${field}_${spec.utc}`;
+    if (!extents.has(key)) {
+      const getValue = Array.isArray(dataset) ? i => dataset[i][field] : i => dataset.getValue(i, field);
+      extents.set(key, getYearExtent(getValue, dataset.length, spec.utc));
+    }
+    return extents.get(key);
+  }
+
+  /**
+   * Count points per time bin, or sum/average their value field. With
+   * getWeight, points count by their weight.
+   * @private
+   * @returns {Array|undefined} Value per bin (null for empty bins when
+   *   averaging), or undefined when no point falls in a bin
+   */
+  _aggregateTimeSeries(getTime, getValue, length, spec, years, getWeight = null) {
+    const bins = getTimeSeriesBins(spec.interval, years);
+    const counts = new Array(bins.length).fill(0);
+    const sums = spec.valueField ? new Array(bins.length).fill(0) : null;
+    let binned = 0;
+
+    for (let i = 0; i < length; i++) {
+      const bin = getTimeBin(getTime(i), spec.interval, spec.utc);
+      if (bin === null) continue;
+      const position = bin - bins.first;
+      if (position < 0 || position >= bins.length) continue;
+
+      const weight = getWeight ? getWeight(i) : 1;
+      if (sums) {
+        const value = getValue(i);
+        if (typeof value !== 'number' || isNaN(value)) continue;
+        sums[position] += value * weight;
+      }
+      counts[position] += weight;
+      binned++;
+    }
+
+    if (binned === 0) return undefined;
+    if (!sums) return counts;
+    return spec.valueAggregation === AGGREGATION_TYPES.MEAN
+      ? sums.map((sum, position) => counts[position] > 0 ? sum / counts[position] : null)
+      : sums;
+  }
+
+  /**
+   * Aggregate one column for a set of indices
+   * @private
+   */
+  _aggregateColumn(store, column, field, indices, aggregationType, weights = null) {
+    if (column.kind === COLUMN_KINDS.NUMERIC && this.getAggregationType(aggregationType) === AGGREGATION_TYPES.PERCENTILE) {
+      return this._aggregateIndexedPercentile(column.values, indices, this.getPercentileSpec(aggregationType), weights);
+    }
+
+    if (column.kind === COLUMN_KINDS.NUMERIC) {
+      switch (aggregationType) {
+        case AGGREGATION_TYPES.COUNT:
+        case AGGREGATION_TYPES.SUM:
+        case AGGREGATION_TYPES.MEAN:
+        case AGGREGATION_TYPES.MIN:
+        case AGGREGATION_TYPES.MAX: {
+          const values = column.values;
+          let count = 0;
+          let sum = 0;
+          let min = Infinity;
+          let max = -Infinity;
+          for (let i = 0; i < indices.length; i++) {
+            const value = values[indices[i]];
+            if (isNaN(value)) continue;
+            const weight = weights ? weights[indices[i]] : 1;
+            count += weight;
+            sum += value * weight;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+          if (count === 0) return undefined;
+          if (aggregationType === AGGREGATION_TYPES.COUNT) return count;
+          if (aggregationType === AGGREGATION_TYPES.SUM) return sum;
+          if (aggregationType === AGGREGATION_TYPES.MEAN) return sum / count;
+          return aggregationType === AGGREGATION_TYPES.MIN ? min : max;
+        }
+      }
+    } else if (column.kind === COLUMN_KINDS.CATEGORY) {
+      switch (aggregationType) {
+        case AGGREGATION_TYPES.COUNT:
+        case AGGREGATION_TYPES.FREQUENCY:
+        case AGGREGATION_TYPES.MODE:
+        case AGGREGATION_TYPES.UNIQUE_COUNT: {
+          const { codes, dictionary } = column;
+          const counts = new Map();
+          let count = 0;
+          for (let i = 0; i < indices.length; i++) {
+            const code = codes[indices[i]];
+            if (code === -1) continue;
+            const weight = weights ? weights[indices[i]] : 1;
+            count += weight;
+            counts.set(code, (counts.get(code) || 0) + weight);
+          }
+          if (count === 0) return undefined;
+          if (aggregationType === AGGREGATION_TYPES.COUNT) return count;
+
+          const frequency = {};
+          counts.forEach((n, code) => {
+            frequency[dictionary[code]] = (frequency[dictionary[code]] || 0) + n;
+          });
+          if (aggregationType === AGGREGATION_TYPES.FREQUENCY) return frequency;
+          if (aggregationType === AGGREGATION_TYPES.UNIQUE_COUNT) return counts.size;
+          return Object.keys(frequency).reduce((a, b) => frequency[a] > frequency[b] ? a : b);
+        }
+      }
+    }
+
+    // Other aggregations work on the value list
+    if (weights) {
+      const values = [];
+      const valueWeights = [];
+      for (let i = 0; i < indices.length; i++) {
+        const value = store.getValue(indices[i], field);
+        if (value === null) continue;
+        values.push(value);
+        valueWeights.push(weights[indices[i]]);
+      }
+      return values.length > 0 ? this._applyAggregation(values, aggregationType, valueWeights) : undefined;
+    }
+
+    const values = store.getValues(indices, field);
+    return values.length > 0 ? this._applyAggregation(values, aggregationType) : undefined;
+  }
+
   /**
    * Apply aggregation function to values
    * @private
    */
-  _applyAggregation(values, aggregationType) {
+  _applyAggregation(values, aggregationType, weights = null) {
+    if (this.getAggregationType(aggregationType) === AGGREGATION_TYPES.PERCENTILE) {
+      return this._aggregatePercentile(values, weights, this.getPercentileSpec(aggregationType));
+    }
+    if (weights) {
+      return this._applyWeightedAggregation(values, weights, aggregationType);
+    }
+
     switch (aggregationType) {
       case AGGREGATION_TYPES.COUNT:
         return values.length;
@@ -366,10 +886,267 @@ export class DataProcessor {
         return freq;
         
       default:
+        if (this.customAggregations.has(aggregationType)) {
+          return this.customAggregations.get(aggregationType)(values);
+        }
         return values;
     }
   }
 
+  /**
+   * Apply aggregation function to values with a weight each. Counts and
+   * frequencies add up weights; means, variances and medians weigh each
+   * value; extremes and unique counts ignore weights.
+   * @private
+   */
+  _applyWeightedAggregation(values, weights, aggregationType) {
+    switch (aggregationType) {
+      case AGGREGATION_TYPES.COUNT:
+        return _sum(weights);
+
+      case AGGREGATION_TYPES.SUM:
+        return values.reduce((sum, val, i) => sum + val * weights[i], 0);
+
+      case AGGREGATION_TYPES.MEAN:
+        return values.reduce((sum, val, i) => sum + val * weights[i], 0) / _sum(weights);
+
+      case AGGREGATION_TYPES.MEDIAN:
+        return quantiles(values, [0.5], QUANTILE_INTERPOLATIONS.LINEAR, weights)[0];
+
+      case AGGREGATION_TYPES.MODE:
+      case AGGREGATION_TYPES.FREQUENCY: {
+        const frequency = {};
+        values.forEach((val, i) => {
+          frequency[val] = (frequency[val] || 0) + weights[i];
+        });
+        if (aggregationType === AGGREGATION_TYPES.FREQUENCY) return frequency;
+        return Object.keys(frequency).reduce((a, b) =>
+          frequency[a] > frequency[b] ? a : b
+        );
+      }
+
+      case AGGREGATION_TYPES.STD_DEV:
+      case AGGREGATION_TYPES.VARIANCE: {
+        const total = _sum(weights);
+        const mean = values.reduce((sum, val, i) => sum + val * weights[i], 0) / total;
+        const variance = values.reduce((sum, val, i) => sum + weights[i] * Math.pow(val - mean, 2), 0) / total;
+        return aggregationType === AGGREGATION_TYPES.VARIANCE ? variance : Math.sqrt(variance);
+      }
+
+      default:
+        // Custom aggregations receive the weights as a second argument
+        if (this.customAggregations.has(aggregationType)) {
+          return this.customAggregations.get(aggregationType)(values, weights);
+        }
+        return this._applyAggregation(values, aggregationType);
+    }
+  }
+
+  /**
+   * Check whether an aggregation can be computed from mergeable partial
+   * aggregates (sum, count, min, max, sumsq, category counts or, for
+   * approximate percentiles, t-digests)
+   * @param {string} aggregationType - Aggregation type
+   * @returns {boolean} True if the aggregation is mergeable
+   */
+  isMergeableAggregation(aggregationType) {
+    return MERGEABLE_NUMERIC_AGGREGATIONS.includes(aggregationType) ||
+      MERGEABLE_CATEGORICAL_AGGREGATIONS.includes(aggregationType) ||
+      aggregationType === AGGREGATION_TYPES.PERCENTILE;
+  }
+
+  /**
+   * Create an empty partial aggregate
+   * @returns {Object} Partial aggregate
+   */
+  createPartialAggregate() {
+    return { count: 0, fields: {} };
+  }
+
+  /**
+   * Add a data row to a partial aggregate
+   * @param {Object} partial - Partial aggregate to update
+   * @param {Object} row - Data row
+   * @param {Object} aggregationConfig - Aggregation configuration
+   * @param {number} weight - Weight of the row; rows with weight 0 are skipped
+   * @returns {Object} The updated partial aggregate
+   */
+  addToPartialAggregate(partial, row, aggregationConfig = {}, weight = 1) {
+    const aggregations = aggregationConfig.aggregations || {};
+    if (!(weight > 0)) return partial;
+    partial.count += weight;
+
+    Object.keys(aggregations).forEach(field => {
+      this._addToPartialField(partial, field, aggregations[field], row[field], weight);
+    });
+
+    return partial;
+  }
+
+  /**
+   * Add points of a columnar store to a partial aggregate by index.
+   * Gives the same partial aggregate as addToPartialAggregate() on the
+   * points' rows, but numeric fields are read from their typed columns.
+   * @param {Object} partial - Partial aggregate to update
+   * @param {ColumnarStore} store - Columnar store of all points
+   * @param {ArrayLike} indices - Indices of the points to add
+   * @param {Object} aggregationConfig - Aggregation configuration
+   * @param {ArrayLike} weights - Weight of every point in the store (by point
+   *   index), or null to count every point as 1. Points with weight 0 are skipped.
+   * @returns {Object} The updated partial aggregate
+   */
+  addIndicesToPartialAggregate(partial, store, indices, aggregationConfig = {}, weights = null) {
+    const aggregations = aggregationConfig.aggregations || {};
+    const fields = Object.keys(aggregations)
+      .filter(field => this.isMergeableAggregation(this.getAggregationType(aggregations[field])));
+    const readers = fields.map(field => {
+      const column = store.getColumn(field);
+      if (column.kind !== COLUMN_KINDS.NUMERIC) return index => store.getValue(index, field);
+      return index => (isNaN(column.values[index]) ? null : column.values[index]);
+    });
+
+    for (let i = 0; i < indices.length; i++) {
+      const index = indices[i];
+      const weight = weights ? weights[index] : 1;
+      if (!(weight > 0)) continue;
+      partial.count += weight;
+
+      for (let f = 0; f < fields.length; f++) {
+        this._addToPartialField(partial, fields[f], aggregations[fields[f]], readers[f](index), weight);
+      }
+    }
+
+    return partial;
+  }
+
+  /**
+   * Add one value of a field to a partial aggregate
+   * @private
+   */
+  _addToPartialField(partial, field, aggregation, value, weight) {
+    if (value === null || value === undefined) return;
+    const aggregationType = this.getAggregationType(aggregation);
+
+    if (aggregationType === AGGREGATION_TYPES.PERCENTILE) {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      const stats = partial.fields[field] ||
+        (partial.fields[field] = { digest: createTDigest(this.getPercentileSpec(aggregation).compression) });
+      stats.digest.add(value, weight);
+    } else if (MERGEABLE_NUMERIC_AGGREGATIONS.includes(aggregationType)) {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      const stats = partial.fields[field] ||
+        (partial.fields[field] = { count: 0, sum: 0, min: Infinity, max: -Infinity, sumsq: 0 });
+      stats.count += weight;
+      stats.sum += value * weight;
+      stats.sumsq += value * value * weight;
+      if (value < stats.min) stats.min = value;
+      if (value > stats.max) stats.max = value;
+    } else if (MERGEABLE_CATEGORICAL_AGGREGATIONS.includes(aggregationType)) {
+      const stats = partial.fields[field] || (partial.fields[field] = { frequency: {} });
+      stats.frequency[value] = (stats.frequency[value] || 0) + weight;
+    }
+  }
+
+  /**
+   * Merge one partial aggregate into another
+   * @param {Object} target - Partial aggregate to update
+   * @param {Object} source - Partial aggregate to merge in
+   * @returns {Object} The updated target
+   */
+  mergePartialAggregates(target, source) {
+    target.count += source.count;
+
+    Object.keys(source.fields).forEach(field => {
+      const from = source.fields[field];
+      const into = target.fields[field];
+
+      if (!into) {
+        if (from.digest) {
+          target.fields[field] = { digest: createTDigest(from.digest.compression).merge(from.digest) };
+        } else {
+          target.fields[field] = from.frequency
+            ? { frequency: { ...from.frequency } }
+            : { ...from };
+        }
+      } else if (from.digest) {
+        into.digest.merge(from.digest);
+      } else if (from.frequency) {
+        Object.keys(from.frequency).forEach(key => {
+          into.frequency[key] = (into.frequency[key] || 0) + from.frequency[key];
+        });
+      } else {
+        into.count += from.count;
+        into.sum += from.sum;
+        into.sumsq += from.sumsq;
+        into.min = Math.min(into.min, from.min);
+        into.max = Math.max(into.max, from.max);
+      }
+    });
+
+    return target;
+  }
+
+  /**
+   * Turn a partial aggregate into final aggregated values, in the same shape
+   * as aggregateCellData() returns
+   * @param {Object} partial - Partial aggregate
+   * @param {Object} aggregationConfig - Aggregation configuration
+   * @returns {Object} Aggregated results
+   */
+  finalizePartialAggregate(partial, aggregationConfig = {}) {
+    const aggregations = aggregationConfig.aggregations || {};
+    const results = { count: partial.count };
+
+    Object.keys(aggregations).forEach(field => {
+      const stats = partial.fields[field];
+      if (!stats) return;
+
+      switch (this.getAggregationType(aggregations[field])) {
+        case AGGREGATION_TYPES.COUNT:
+          results[field] = stats.count;
+          break;
+        case AGGREGATION_TYPES.SUM:
+          results[field] = stats.sum;
+          break;
+        case AGGREGATION_TYPES.MEAN:
+          results[field] = stats.sum / stats.count;
+          break;
+        case AGGREGATION_TYPES.MIN:
+          results[field] = stats.min;
+          break;
+        case AGGREGATION_TYPES.MAX:
+          results[field] = stats.max;
+          break;
+        case AGGREGATION_TYPES.VARIANCE:
+        case AGGREGATION_TYPES.STD_DEV: {
+          const mean = stats.sum / stats.count;
+          const variance = Math.max(0, stats.sumsq / stats.count - mean * mean);
+          results[field] = aggregations[field] === AGGREGATION_TYPES.VARIANCE ? variance : Math.sqrt(variance);
+          break;
+        }
+        case AGGREGATION_TYPES.FREQUENCY:
+          results[field] = { ...stats.frequency };
+          break;
+        case AGGREGATION_TYPES.UNIQUE_COUNT:
+          results[field] = Object.keys(stats.frequency).length;
+          break;
+        case AGGREGATION_TYPES.MODE:
+          results[field] = Object.keys(stats.frequency).reduce((a, b) =>
+            stats.frequency[a] > stats.frequency[b] ? a : b
+          );
+          break;
+        case AGGREGATION_TYPES.PERCENTILE: {
+          const spec = this.getPercentileSpec(aggregations[field]);
+          const values = (Array.isArray(spec.p) ? spec.p : [spec.p]).map(p => stats.digest.quantile(p / 100));
+          results[field] = Array.isArray(spec.p) ? values : values[0];
+          break;
+        }
+      }
+    });
+
+    return results;
+  }
+
   /**
    * Normalize data values
    * @param {Array} values - Array of values to normalize
@@ -455,7 +1232,7 @@ export class DataProcessor {
         
         switch (fieldType) {
           case DATA_TYPES.NUMERIC:
-            suggestions[field] = ['bar', 'line', 'scatter', 'histogram'];
+            suggestions[field] = ['bar', 'line', 'scatter', 'histogram', 'boxplot', 'violin', 'radar'];
             break;
           case DATA_TYPES.NOMINAL:
             suggestions[field] = uniqueCount <= 10 ? ['pie', 'bar', 'donut'] : ['bar', 'treemap'];
@@ -0,0 +1,329 @@
+/**
+ * Filter Expression Module for GriddedGlyphMap
+ * Compiles a small expression language into a row predicate without eval:
+ *
+ *   Jenis_Kela == "LK" and Usia > 40
+ *   Name in ["Aniaya", "Penipuan"] or not (Usia >= 18)
+ *   Waktu_Lapo between "2017-01-01" and "2017-03-31"
+ *   `Waktu Kejadian` >= "2017-02-01"
+ *
+ * Operators: == (also = and ===), != (also !==), <, <=, >, >=, in [...],
+ * not in [...], between ... and ... (inclusive), and (&&), or (||), not (!).
+ * Fields are bare names or `backtick quoted`. Values are numbers, 'single'
+ * or "double" quoted strings, true, false and null. When either side of a
+ * comparison is a Date, date strings on the other side are parsed, so
+ * temporal fields can be compared with ISO dates.
+ */
+
+import { toTimeValue } from './time-index.js';
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'between', 'true', 'false', 'null'];
+const COMPARISON_OPERATORS = {
+  '==': '==', '=': '==', '===': '==',
+  '!=': '!=', '!==': '!=',
+  '<': '<', '<=': '<=', '>': '>', '>=': '>='
+};
+const SYMBOLS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '=', '<', '>', '!', '(', ')', '[', ']', ','];
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function _tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) throw new Error(`Unterminated string at position ${start}`);
+      i++;
+      tokens.push({ type: 'value', value, position: start });
+      continue;
+    }
+
+    if (char === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) throw new Error(`Unterminated field name at position ${start}`);
+      tokens.push({ type: 'field', value: source.slice(i + 1, end), position: start });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'value', value: Number(number[0]), position: start });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'value', value: lower === 'true', position: start });
+      } else if (lower === 'null') {
+        tokens.push({ type: 'value', value: null, position: start });
+      } else if (KEYWORDS.includes(lower)) {
+        tokens.push({ type: 'keyword', value: lower, position: start });
+      } else {
+        tokens.push({ type: 'field', value: word[0], position: start });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => source.startsWith(s, i));
+    if (!symbol) throw new Error(`Unexpected character '${char}' at position ${start}`);
+
+    // Symbolic forms of the logical operators are keywords
+    const keyword = { '&&': 'and', '||': 'or', '!': 'not' }[symbol];
+    tokens.push(keyword
+      ? { type: 'keyword', value: keyword, position: start }
+      : { type: 'symbol', value: symbol, position: start });
+    i += symbol.length;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Compare two values: dates by time, numbers with numeric strings as numbers
+ * @private
+ * @returns {number} Negative, zero or positive; NaN when the values cannot be ordered
+ */
+function _compare(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return NaN;
+
+  if (a instanceof Date || b instanceof Date) {
+    return toTimeValue(a) - toTimeValue(b);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return a === b ? 0 : NaN;
+}
+
+/**
+ * Check two values for equality, with the same conversions as _compare()
+ * @private
+ */
+function _equals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  return _compare(a, b) === 0;
+}
+
+/**
+ * Recursive descent parser producing (row) => value closures
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = _tokenize(source);
+    this.index = 0;
+    this.fields = new Set();
+  }
+
+  parse() {
+    const node = this._parseOr();
+    this._expectEnd();
+    return node;
+  }
+
+  _peek() {
+    return this.tokens[this.index];
+  }
+
+  _next() {
+    return this.tokens[this.index++];
+  }
+
+  _isKeyword(value) {
+    const token = this._peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  _isSymbol(value) {
+    const token = this._peek();
+    return token.type === 'symbol' && token.value === value;
+  }
+
+  _expectSymbol(value) {
+    const token = this._next();
+    if (token.type !== 'symbol' || token.value !== value) {
+      throw new Error(`Expected '${value}' at position ${token.position}`);
+    }
+  }
+
+  _expectEnd() {
+    const token = this._peek();
+    if (token.type !== 'end') {
+      throw new Error(`Unexpected '${token.value}' at position ${token.position}`);
+    }
+  }
+
+  _parseOr() {
+    let left = this._parseAnd();
+    while (this._isKeyword('or')) {
+      this._next();
+      const a = left;
+      const b = this._parseAnd();
+      left = row => !!a(row) || !!b(row);
+    }
+    return left;
+  }
+
+  _parseAnd() {
+    let left = this._parseNot();
+    while (this._isKeyword('and')) {
+      this._next();
+      const a = left;
+      const b = this._parseNot();
+      left = row => !!a(row) && !!b(row);
+    }
+    return left;
+  }
+
+  _parseNot() {
+    if (this._isKeyword('not')) {
+      this._next();
+      const operand = this._parseNot();
+      return row => !operand(row);
+    }
+    return this._parseComparison();
+  }
+
+  _parseComparison() {
+    const left = this._parseOperand();
+    const token = this._peek();
+
+    if (token.type === 'symbol' && COMPARISON_OPERATORS[token.value]) {
+      this._next();
+      const right = this._parseOperand();
+      switch (COMPARISON_OPERATORS[token.value]) {
+        case '==': return row => _equals(left(row), right(row));
+        case '!=': return row => !_equals(left(row), right(row));
+        case '<': return row => _compare(left(row), right(row)) < 0;
+        case '<=': return row => _compare(left(row), right(row)) <= 0;
+        case '>': return row => _compare(left(row), right(row)) > 0;
+        default: return row => _compare(left(row), right(row)) >= 0;
+      }
+    }
+
+    // 'not in' after an operand (a leading 'not' is handled by _parseNot)
+    if (this._isKeyword('not') && this.tokens[this.index + 1].type === 'keyword' && this.tokens[this.index + 1].value === 'in') {
+      this._next();
+      this._next();
+      const list = this._parseList();
+      return row => !list.some(item => _equals(left(row), item(row)));
+    }
+
+    if (this._isKeyword('in')) {
+      this._next();
+      const list = this._parseList();
+      return row => list.some(item => _equals(left(row), item(row)));
+    }
+
+    if (this._isKeyword('between')) {
+      this._next();
+      const low = this._parseOperand();
+      if (!this._isKeyword('and')) {
+        throw new Error(`Expected 'and' at position ${this._peek().position}`);
+      }
+      this._next();
+      const high = this._parseOperand();
+      return row => {
+        const value = left(row);
+        return _compare(value, low(row)) >= 0 && _compare(value, high(row)) <= 0;
+      };
+    }
+
+    return left;
+  }
+
+  _parseList() {
+    const close = this._isSymbol('[') ? ']' : ')';
+    if (!this._isSymbol('[') && !this._isSymbol('(')) {
+      throw new Error(`Expected a list at position ${this._peek().position}`);
+    }
+    this._next();
+
+    const items = [];
+    if (!this._isSymbol(close)) {
+      items.push(this._parseOperand());
+      while (this._isSymbol(',')) {
+        this._next();
+        items.push(this._parseOperand());
+      }
+    }
+    this._expectSymbol(close);
+    return items;
+  }
+
+  _parseOperand() {
+    const token = this._next();
+
+    if (token.type === 'value') {
+      const value = token.value;
+      return () => value;
+    }
+    if (token.type === 'field') {
+      const field = token.value;
+      this.fields.add(field);
+      return row => row[field];
+    }
+    if (token.type === 'symbol' && token.value === '(') {
+      const node = this._parseOr();
+      this._expectSymbol(')');
+      return node;
+    }
+
+    const found = token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+    throw new Error(`Unexpected ${found} at position ${token.position}`);
+  }
+}
+
+/**
+ * Compile a filter expression
+ * @param {string} source - Expression
+ * @returns {Object} { test: (row) => boolean, fields: Array of the field names used }
+ */
+export function compileFilterExpression(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Filter expression must be a non-empty string');
+  }
+
+  let parser, node;
+  try {
+    parser = new Parser(source);
+    node = parser.parse();
+  } catch (error) {
+    throw new Error(`Invalid filter expression "${source}": ${error.message}`);
+  }
+
+  return {
+    test: row => !!node(row),
+    fields: [...parser.fields]
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Geographic square discretiser.
+ * Cells are cellSize units wide in a projected CRS (metres) or in degrees and
+ * are anchored to a fixed geographic origin, so a point always falls into the
+ * same cell regardless of pan or zoom.
+ * @param {number} cellSize - Cell size in metres or degrees
+ * @param {Object} options - { units: 'meters'|'degrees', origin: L.LatLng, crs: L.CRS }
+ */
+export const _getGeoSquareDiscretiser = function (cellSize, options) {
+  const units = options.units;
+  const crs = options.crs || L.CRS.EPSG3857;
+
+  const project =
+    units === "degrees"
+      ? (lat, lng) => [lng, lat]
+      : (lat, lng) => {
+          const point = crs.project(L.latLng(lat, lng));
+          return [point.x, point.y];
+        };
+  const unproject =
+    units === "degrees"
+      ? (x, y) => [y, x]
+      : (x, y) => {
+          const latLng = crs.unproject(L.point(x, y));
+          return [latLng.lat, latLng.lng];
+        };
+
+  const originLatLng = L.latLng(options.origin || [0, 0]);
+  const origin = project(originLatLng.lat, originLatLng.lng);
+
+  const parseCellId = (cellId) => cellId.split(",").map(Number);
+
+  const discretiser = {
+    getCellId: (lat, lng) => {
+      const xy = project(lat, lng);
+      const col = Math.floor((xy[0] - origin[0]) / cellSize);
+      const row = Math.floor((xy[1] - origin[1]) / cellSize);
+      return `${col},${row}`;
+    },
+    getCentre: (cellId) => {
+      const [col, row] = parseCellId(cellId);
+      return unproject(
+        origin[0] + (col + 0.5) * cellSize,
+        origin[1] + (row + 0.5) * cellSize
+      );
+    },
+    getBoundary: (cellId) => {
+      const [col, row] = parseCellId(cellId);
+      const x0 = origin[0] + col * cellSize;
+      const y0 = origin[1] + row * cellSize;
+      return [
+        unproject(x0, y0),
+        unproject(x0 + cellSize, y0),
+        unproject(x0 + cellSize, y0 + cellSize),
+        unproject(x0, y0 + cellSize),
+      ];
+    },
+    getCellSize: () => cellSize,
+    getResolution: () => cellSize,
+    getUnits: () => units,
+    idProperty: "cellId",
+    type: "geogrid",
+  };
+  return discretiser;
+};
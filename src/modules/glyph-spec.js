@@ -0,0 +1,580 @@
+/**
+ * Glyph Spec Module for GriddedGlyphMap
+ * A small declarative grammar for cell glyphs, after Vega-Lite: a mark drawn
+ * once per item of a cell, with encoding channels that map aggregated fields
+ * to positions, sizes, angles, colors and text.
+ *
+ *   {
+ *     mark: { type: 'arc', innerRadius: 0.5 },
+ *     encoding: {
+ *       theta: { field: 'Name' },                   // counts of a frequency field
+ *       color: { field: 'Name', type: 'nominal' }   // one color per category
+ *     }
+ *   }
+ *
+ * The items of a cell come from the first encoded field whose value is a
+ * frequency object (one item per category) or an array, e.g. a time series
+ * or percentiles (one item per element); otherwise the cell is one item.
+ * Quantitative channels read the value of an item, nominal and ordinal
+ * channels its category or index. Other fields are read from the cell.
+ * Specs with a layer list draw each unit spec in order.
+ */
+
+import { createColorScale, COLOR_SCHEMES } from './color-scale.js';
+
+// Marks
+export const GLYPH_MARKS = {
+  RECT: 'rect',
+  ARC: 'arc',
+  LINE: 'line',
+  POINT: 'point',
+  TEXT: 'text'
+};
+
+// Encoding channels
+export const GLYPH_CHANNELS = {
+  X: 'x',
+  Y: 'y',
+  SIZE: 'size',
+  COLOR: 'color',
+  THETA: 'theta',
+  TEXT: 'text'
+};
+
+// Field types of a channel
+export const GLYPH_FIELD_TYPES = {
+  QUANTITATIVE: 'quantitative',
+  NOMINAL: 'nominal',
+  ORDINAL: 'ordinal'
+};
+
+// Channels and properties each mark accepts
+const MARK_CHANNELS = {
+  rect: ['x', 'y', 'color'],
+  arc: ['theta', 'size', 'color'],
+  line: ['x', 'y', 'color'],
+  point: ['x', 'y', 'size', 'color'],
+  text: ['x', 'y', 'color', 'text']
+};
+const MARK_PROPERTIES = {
+  rect: ['type', 'color', 'opacity'],
+  arc: ['type', 'color', 'opacity', 'innerRadius'],
+  line: ['type', 'color', 'opacity', 'strokeWidth'],
+  point: ['type', 'color', 'opacity', 'radius'],
+  text: ['type', 'color', 'opacity', 'fontSize']
+};
+
+// Channels searched in this order for the field that gives the items of a cell
+const ITEM_CHANNELS = ['theta', 'y', 'x', 'size', 'color', 'text'];
+
+// Channels that only take quantitative fields, by mark
+const QUANTITATIVE_CHANNELS = { rect: ['y'], arc: ['theta', 'size'], point: ['size'] };
+
+// Channels that default to a domain including zero
+const ZERO_CHANNELS = { rect: ['y'], arc: ['size'], point: ['size'] };
+
+// Aggregates every cell has besides the aggregated fields
+const CELL_FIELDS = ['count', 'totalCount'];
+
+/**
+ * Get the unit specs (a mark and its encoding) of a spec
+ * @private
+ */
+function _getUnits(spec) {
+  return Array.isArray(spec.layer) ? spec.layer : [spec];
+}
+
+/**
+ * Get the mark properties of a unit spec ({ type, ...properties })
+ * @private
+ */
+function _getMark(unit) {
+  return typeof unit.mark === 'string' ? { type: unit.mark } : unit.mark;
+}
+
+/**
+ * Get the type of a channel definition
+ * @private
+ */
+function _getFieldType(def) {
+  return def.type || GLYPH_FIELD_TYPES.QUANTITATIVE;
+}
+
+/**
+ * Check a spec and list its problems
+ * @private
+ */
+function _checkSpec(spec, schema, path, errors) {
+  if (!spec || typeof spec !== 'object') {
+    errors.push(`${path || 'spec'}: must be an object`);
+    return;
+  }
+
+  if (spec.layer !== undefined) {
+    if (!Array.isArray(spec.layer) || spec.layer.length === 0) {
+      errors.push(`${path}layer: must be a non-empty array of specs`);
+      return;
+    }
+    spec.layer.forEach((unit, i) => _checkSpec(unit, schema, `${path}layer[${i}].`, errors));
+    return;
+  }
+
+  const mark = spec.mark && typeof spec.mark === 'object' ? spec.mark : { type: spec.mark };
+  if (!MARK_CHANNELS[mark.type]) {
+    errors.push(`${path}mark: unknown mark "${mark.type}" (expected ${Object.values(GLYPH_MARKS).join(', ')})`);
+    return;
+  }
+  Object.keys(mark).forEach(property => {
+    if (!MARK_PROPERTIES[mark.type].includes(property)) {
+      errors.push(`${path}mark.${property}: not a property of ${mark.type} marks`);
+    }
+  });
+
+  const encoding = spec.encoding || {};
+  if (typeof encoding !== 'object') {
+    errors.push(`${path}encoding: must be an object`);
+    return;
+  }
+  if (mark.type === GLYPH_MARKS.TEXT && !encoding.text) {
+    errors.push(`${path}encoding.text: text marks need a text channel`);
+  }
+
+  Object.keys(encoding).forEach(channel => {
+    const at = `${path}encoding.${channel}`;
+    const def = encoding[channel];
+    if (!MARK_CHANNELS[mark.type].includes(channel)) {
+      errors.push(`${at}: ${mark.type} marks have no ${channel} channel (expected ${MARK_CHANNELS[mark.type].join(', ')})`);
+      return;
+    }
+    if (!def || typeof def !== 'object') {
+      errors.push(`${at}: must be { field, type, scale } or { value }`);
+      return;
+    }
+    if (def.field === undefined && def.value === undefined) {
+      errors.push(`${at}: needs a field or a value`);
+      return;
+    }
+    if (def.field !== undefined) {
+      if (typeof def.field !== 'string') {
+        errors.push(`${at}.field: must be a field name`);
+      } else if (schema && !schema[def.field] && !CELL_FIELDS.includes(def.field)) {
+        errors.push(`${at}.field: unknown field "${def.field}"`);
+      }
+    }
+    if (def.type !== undefined && !Object.values(GLYPH_FIELD_TYPES).includes(def.type)) {
+      errors.push(`${at}.type: unknown type "${def.type}" (expected ${Object.values(GLYPH_FIELD_TYPES).join(', ')})`);
+    } else if (_getFieldType(def) !== GLYPH_FIELD_TYPES.QUANTITATIVE && (QUANTITATIVE_CHANNELS[mark.type] || []).includes(channel)) {
+      errors.push(`${at}.type: the ${channel} of ${mark.type} marks must be quantitative`);
+    }
+    if (def.scale !== undefined) {
+      const scale = def.scale;
+      if (!scale || typeof scale !== 'object') {
+        errors.push(`${at}.scale: must be an object`);
+      } else {
+        ['domain', 'range'].forEach(key => {
+          const value = scale[key];
+          if (value !== undefined && !(Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number' && isFinite(v)))) {
+            errors.push(`${at}.scale.${key}: must be [min, max]`);
+          }
+        });
+      }
+    }
+    if (def.format !== undefined && typeof def.format !== 'function' && !(Number.isInteger(def.format) && def.format >= 0)) {
+      errors.push(`${at}.format: must be a number of decimals or a function`);
+    }
+  });
+}
+
+/**
+ * Validate a glyph spec
+ * @param {Object} spec - Glyph spec
+ * @param {Object} schema - Data schema (DataProcessor.getSchema()) to check
+ *   the fields against, or null to only check the structure
+ * @throws {Error} Listing every problem of the spec
+ */
+export function validateGlyphSpec(spec, schema = null) {
+  const errors = [];
+  _checkSpec(spec, schema, '', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid glyph spec: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Get the fields of a spec's channels
+ * @param {Object} spec - Glyph spec
+ * @param {Function} test - (def, channel, mark) => boolean, to select channels
+ * @returns {Array} Field names
+ */
+export function getGlyphSpecFields(spec, test = () => true) {
+  const fields = new Set();
+  _getUnits(spec).forEach(unit => {
+    const mark = _getMark(unit);
+    const encoding = unit.encoding || {};
+    Object.keys(encoding).forEach(channel => {
+      const def = encoding[channel];
+      if (def.field !== undefined && test(def, channel, mark.type)) fields.add(def.field);
+    });
+  });
+  return [...fields];
+}
+
+/**
+ * Get the fields whose domains the cells of a spec share: fields of
+ * quantitative x, y, size and color channels without a fixed domain
+ * @param {Object} spec - Glyph spec
+ * @returns {Array} Field names
+ */
+export function getGlyphSpecScaleFields(spec) {
+  return getGlyphSpecFields(spec, (def, channel) =>
+    ['x', 'y', 'size', 'color'].includes(channel) &&
+    _getFieldType(def) === GLYPH_FIELD_TYPES.QUANTITATIVE &&
+    !(def.scale && def.scale.domain));
+}
+
+/**
+ * Get the numeric values of a field in a cell: its number, the elements of
+ * an array or the values of a frequency object
+ * @param {*} value - Cell value of the field
+ * @returns {Array} Numbers
+ */
+export function getGlyphValues(value) {
+  const values = Array.isArray(value)
+    ? value
+    : value && typeof value === 'object' ? Object.values(value) : [value];
+  return values.filter(v => typeof v === 'number' && !isNaN(v));
+}
+
+/**
+ * Get the items of a cell for a unit spec
+ * @private
+ * @returns {Array} [{ key, value, index }], the item field's category (or
+ *   index) and value; a single item with no key when no field has several values
+ */
+function _getItems(unit, cellData, context) {
+  const encoding = unit.encoding || {};
+  for (const channel of ITEM_CHANNELS) {
+    const def = encoding[channel];
+    if (!def || def.field === undefined) continue;
+    const value = cellData[def.field];
+
+    if (Array.isArray(value)) {
+      return { field: def.field, items: value.map((v, index) => ({ key: index, value: v, index })) };
+    }
+    if (value && typeof value === 'object') {
+      // Categories in the order of the field's category domain, so they line up across cells
+      const domain = context.categoryDomains && context.categoryDomains[def.field];
+      const order = domain ? domain.categories : [];
+      const rank = key => {
+        const index = order.indexOf(key);
+        return index === -1 ? order.length : index;
+      };
+      const keys = Object.keys(value).sort((a, b) => rank(a) - rank(b));
+      return { field: def.field, items: keys.map((key, index) => ({ key, value: value[key], index })) };
+    }
+  }
+  return { field: null, items: [{ key: null, value: null, index: 0 }] };
+}
+
+/**
+ * Create the function that reads a channel of an item: the value (or with a
+ * nominal or ordinal type the key) of the item field, otherwise the cell's
+ * value of the field, or the constant value of the definition
+ * @private
+ */
+function _getAccessor(def, itemField, cellData) {
+  if (def.value !== undefined) return () => def.value;
+  const byKey = _getFieldType(def) !== GLYPH_FIELD_TYPES.QUANTITATIVE;
+  if (def.field === itemField) {
+    return byKey ? item => item.key : item => item.value;
+  }
+  const value = cellData[def.field];
+  return () => value;
+}
+
+/**
+ * Get the domain of a quantitative channel: the fixed scale domain, the
+ * resolved domain shared by the cells, or the cell's own range, including
+ * zero when the channel starts at zero
+ * @private
+ */
+function _getDomain(def, markType, cellData, context) {
+  let domain = def.scale && def.scale.domain;
+  if (!domain) {
+    domain = (context.fieldDomains && context.fieldDomains[def.field]) ||
+      _getExtent(getGlyphValues(cellData[def.field]));
+    if (!domain) return null;
+    const channelZero = (ZERO_CHANNELS[markType] || []).includes(def.channel);
+    const zero = def.scale && def.scale.zero !== undefined ? def.scale.zero : channelZero;
+    if (zero) domain = [Math.min(0, domain[0]), Math.max(0, domain[1])];
+  }
+  return domain;
+}
+
+/**
+ * Range of a list of numbers
+ * @private
+ */
+function _getExtent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return min <= max ? [min, max] : null;
+}
+
+/**
+ * Create a function mapping a value to its position in a domain, from 0 to 1
+ * (or the scale range), clamped
+ * @private
+ */
+function _getLevel(domain, range = [0, 1]) {
+  const [min, max] = domain;
+  const span = max - min;
+  return value => {
+    if (typeof value !== 'number' || isNaN(value)) return null;
+    const t = span > 0 ? (Math.min(max, Math.max(min, value)) - min) / span : 0.5;
+    return range[0] + (range[1] - range[0]) * t;
+  };
+}
+
+/**
+ * Create the scale of a channel: item => level in [0, 1] for quantitative
+ * channels, item => band index for nominal and ordinal positions, and
+ * item => CSS color for colors
+ * @private
+ */
+function _getChannelScale(channel, def, markType, itemField, cellData, context) {
+  const read = _getAccessor(def, itemField, cellData);
+  const type = _getFieldType(def);
+
+  if (channel === 'color') {
+    if (def.value !== undefined) return () => def.value;
+    if (type === GLYPH_FIELD_TYPES.QUANTITATIVE) {
+      const domain = _getDomain({ ...def, channel }, markType, cellData, context);
+      if (!domain) return () => null;
+      const colorScale = _getColorScale(def, domain, context);
+      return item => colorScale.getColor(read(item));
+    }
+    const categoryDomain = context.categoryDomains && context.categoryDomains[def.field];
+    const palette = context.palette;
+    return item => {
+      const key = read(item);
+      if (categoryDomain) {
+        return categoryDomain.colors.get(String(key)) || categoryDomain.otherColor;
+      }
+      return palette[(type === GLYPH_FIELD_TYPES.ORDINAL && typeof key === 'number' ? key : item.index) % palette.length];
+    };
+  }
+
+  if (type !== GLYPH_FIELD_TYPES.QUANTITATIVE && def.value === undefined) {
+    // Bands in the order of the items
+    return item => item.index;
+  }
+
+  if (def.value !== undefined) {
+    const value = def.value;
+    return () => value;
+  }
+
+  const domain = _getDomain({ ...def, channel }, markType, cellData, context);
+  if (!domain) return () => null;
+  const level = _getLevel(domain, def.scale && def.scale.range);
+  return item => level(read(item));
+}
+
+/**
+ * Get a color scale for a quantitative color channel, reused from
+ * context.colorScales while its domain and scheme stay the same
+ * @private
+ */
+function _getColorScale(def, domain, context) {
+  const cache = context.colorScales || new Map();
+  const scheme = (def.scale && def.scale.scheme) || 'blues';
+  const key = `${def.field}|${scheme}|${domain[0]}|${domain[1]}`;
+  if (!cache.has(key)) {
+    cache.set(key, createColorScale({ scheme, opacity: 1 }).fit([], domain));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Format a value for a text mark
+ * @private
+ */
+function _formatText(value, format) {
+  if (value === null || value === undefined) return null;
+  if (typeof format === 'function') return String(format(value));
+  if (typeof value === 'number') {
+    if (format !== undefined) return value.toFixed(format);
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  }
+  return String(value);
+}
+
+/**
+ * Draw one unit spec in a box
+ * @private
+ */
+function _drawUnit(ctx, cellData, unit, box, context) {
+  const mark = _getMark(unit);
+  const encoding = unit.encoding || {};
+  const { field: itemField, items } = _getItems(unit, cellData, context);
+  const drawable = items.filter(item => itemField === null || (item.value !== null && item.value !== undefined));
+  if (drawable.length === 0) return;
+
+  const scales = {};
+  Object.keys(encoding).forEach(channel => {
+    scales[channel] = _getChannelScale(channel, encoding[channel], mark.type, itemField, cellData, context);
+  });
+
+  const { left, top, width, height } = box;
+  const bands = items.length;
+  const baseColor = mark.color || (mark.type === GLYPH_MARKS.TEXT ? '#000' : context.palette[0]);
+  const colorOf = item => (scales.color && scales.color(item)) || baseColor;
+  const isBand = channel => encoding[channel] && _getFieldType(encoding[channel]) !== GLYPH_FIELD_TYPES.QUANTITATIVE && encoding[channel].value === undefined;
+
+  // Centre of an item along x: its band, its level, or the centre of the box
+  const xOf = item => {
+    if (!scales.x) return bands > 1 ? left + ((item.index + 0.5) / bands) * width : left + width / 2;
+    const x = scales.x(item);
+    if (x === null) return null;
+    return isBand('x') ? left + ((x + 0.5) / bands) * width : left + x * width;
+  };
+  const yOf = item => {
+    if (!scales.y) return top + height / 2;
+    const y = scales.y(item);
+    if (y === null) return null;
+    return isBand('y') ? top + ((y + 0.5) / bands) * height : top + height - y * height;
+  };
+
+  ctx.save();
+  if (mark.opacity !== undefined) ctx.globalAlpha = mark.opacity;
+
+  switch (mark.type) {
+    case GLYPH_MARKS.RECT: {
+      // Bars from the bottom of the box, or tiles filling it without y
+      const bandWidth = (width / bands) * (bands > 1 ? 0.8 : 1);
+      drawable.forEach(item => {
+        const x = xOf(item);
+        const level = scales.y ? scales.y(item) : 1;
+        if (x === null || level === null) return;
+        const barHeight = level * height;
+        ctx.fillStyle = colorOf(item);
+        ctx.fillRect(x - bandWidth / 2, top + height - barHeight, bandWidth, barHeight);
+      });
+      break;
+    }
+
+    case GLYPH_MARKS.ARC: {
+      // Slices in proportion to theta (equal without it), radius by size
+      const readTheta = encoding.theta ? _getAccessor(encoding.theta, itemField, cellData) : () => 1;
+      const values = drawable.map(item => {
+        const value = readTheta(item);
+        return typeof value === 'number' && value > 0 ? value : 0;
+      });
+      const total = values.reduce((sum, value) => sum + value, 0);
+      if (total === 0) break;
+      const maxRadius = Math.min(width, height) / 2;
+      const innerRadius = (mark.innerRadius || 0) * maxRadius;
+      const cx = left + width / 2;
+      const cy = top + height / 2;
+      let angle = -Math.PI / 2;
+      drawable.forEach((item, i) => {
+        const slice = (values[i] / total) * 2 * Math.PI;
+        const level = scales.size ? scales.size(item) : 1;
+        if (slice > 0 && level !== null) {
+          const radius = innerRadius + Math.sqrt(level) * (maxRadius - innerRadius);
+          ctx.beginPath();
+          ctx.arc(cx, cy, radius, angle, angle + slice);
+          ctx.arc(cx, cy, innerRadius, angle + slice, angle, true);
+          ctx.closePath();
+          ctx.fillStyle = colorOf(item);
+          ctx.fill();
+        }
+        angle += slice;
+      });
+      break;
+    }
+
+    case GLYPH_MARKS.LINE: {
+      ctx.beginPath();
+      ctx.strokeStyle = colorOf(drawable[0]);
+      ctx.lineWidth = mark.strokeWidth || 1.5;
+      let drawing = false;
+      items.forEach(item => {
+        const x = xOf(item);
+        const y = yOf(item);
+        if (x === null || y === null || (itemField !== null && (item.value === null || item.value === undefined))) {
+          drawing = false;
+        } else if (drawing) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+      break;
+    }
+
+    case GLYPH_MARKS.POINT: {
+      const maxRadius = Math.min(width, height) / 2;
+      const defaultRadius = mark.radius || Math.max(2, maxRadius * 0.15);
+      drawable.forEach(item => {
+        const x = xOf(item);
+        const y = yOf(item);
+        const level = scales.size ? scales.size(item) : null;
+        if (x === null || y === null || (scales.size && level === null)) return;
+        // Size encodes area
+        const radius = scales.size ? Math.sqrt(level) * maxRadius : defaultRadius;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = colorOf(item);
+        ctx.fill();
+      });
+      break;
+    }
+
+    case GLYPH_MARKS.TEXT: {
+      const read = encoding.text ? _getAccessor(encoding.text, itemField, cellData) : () => null;
+      ctx.font = `${mark.fontSize || context.fontSize}px ${context.fontFamily}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      drawable.forEach(item => {
+        const text = _formatText(read(item), encoding.text && encoding.text.format);
+        const x = xOf(item);
+        const y = yOf(item);
+        if (text === null || x === null || y === null) return;
+        ctx.fillStyle = colorOf(item);
+        ctx.fillText(text, x, y);
+      });
+      break;
+    }
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Draw a glyph spec for a cell
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} cellData - Cell data with aggregated values
+ * @param {Object} spec - Glyph spec (see validateGlyphSpec())
+ * @param {Object} box - { left, top, width, height } to draw in
+ * @param {Object} context - { fieldDomains: { field: [min, max] } shared by
+ *   the cells, categoryDomains: { field: category domain }, colorScales: Map
+ *   cache shared by the cells, palette, fontSize, fontFamily }
+ */
+export function drawGlyphSpec(ctx, cellData, spec, box, context) {
+  // Defaults also replace options passed as undefined
+  const drawContext = {
+    ...context,
+    palette: context.palette ?? COLOR_SCHEMES.categorical.tableau10,
+    fontSize: context.fontSize ?? 12,
+    fontFamily: context.fontFamily ?? 'Arial, sans-serif'
+  };
+  _getUnits(spec).forEach(unit => _drawUnit(ctx, cellData, unit, box, drawContext));
+}
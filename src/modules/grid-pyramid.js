@@ -0,0 +1,130 @@
+/**
+ * Grid Pyramid Module for GriddedGlyphMap
+ * Precomputes aggregated square cells for a range of zoom levels so that
+ * static mode can look cells up instead of re-aggregating raw points.
+ */
+
+/**
+ * Grid Pyramid Class
+ * Cells at each zoom level are laid out like the static square grid: anchored
+ * at the north-west corner of the data bounds with a step of cellSize pixels.
+ * Because a cell at zoom z covers exactly 2x2 cells at zoom z + 1, only the
+ * finest level is built from points; coarser levels merge partial aggregates.
+ */
+export class GridPyramid {
+  constructor(options = {}) {
+    this.options = {
+      minZoom: 0,
+      maxZoom: 18,
+      cellSize: 20,
+      ...options
+    };
+
+    this.dataProcessor = this.options.dataProcessor;
+    this.aggregationConfig = this.options.aggregationConfig || {};
+    this.levels = new Map();
+  }
+
+  /**
+   * Build all levels of the pyramid
+   * @param {ColumnarStore} store - Columnar store of the points
+   * @param {L.LatLng} origin - North-west corner of the data bounds
+   * @param {Function} project - (latLng, zoom) => L.Point in pixel coordinates
+   * @param {ArrayLike} weights - Weight of each point, or null to count every point as 1
+   * @returns {GridPyramid} This pyramid
+   */
+  build(store, origin, project, weights = null) {
+    const { minZoom, maxZoom, cellSize } = this.options;
+    this.levels.clear();
+
+    // Finest level: bin points directly, then aggregate each cell from the columns
+    const originPoint = project(origin, maxZoom);
+    const finest = new Map();
+    const cellIndices = new Map();
+
+    for (let i = 0; i < store.length; i++) {
+      const pixel = project([store.lats[i], store.lngs[i]], maxZoom);
+      const col = Math.floor((pixel.x - originPoint.x) / cellSize);
+      const row = Math.floor((pixel.y - originPoint.y) / cellSize);
+      const key = `${col},${row}`;
+
+      let indices = cellIndices.get(key);
+      if (!indices) {
+        indices = [];
+        cellIndices.set(key, indices);
+        finest.set(key, { col, row, partial: this.dataProcessor.createPartialAggregate() });
+      }
+      indices.push(i);
+    }
+    cellIndices.forEach((indices, key) => {
+      this.dataProcessor.addIndicesToPartialAggregate(finest.get(key).partial, store, indices, this.aggregationConfig, weights);
+    });
+    this.levels.set(maxZoom, finest);
+
+    // Coarser levels: merge 2x2 blocks of the level below
+    for (let zoom = maxZoom - 1; zoom >= minZoom; zoom--) {
+      const level = new Map();
+
+      for (const child of this.levels.get(zoom + 1).values()) {
+        const col = Math.floor(child.col / 2);
+        const row = Math.floor(child.row / 2);
+        const key = `${col},${row}`;
+
+        let cell = level.get(key);
+        if (!cell) {
+          cell = { col, row, partial: this.dataProcessor.createPartialAggregate() };
+          level.set(key, cell);
+        }
+        this.dataProcessor.mergePartialAggregates(cell.partial, child.partial);
+      }
+      this.levels.set(zoom, level);
+    }
+
+    return this;
+  }
+
+  /**
+   * Check whether a zoom level has been precomputed
+   * @param {number} zoom - Zoom level
+   * @returns {boolean} True if the level exists
+   */
+  hasLevel(zoom) {
+    return this.levels.has(zoom);
+  }
+
+  /**
+   * Get the aggregated values of a cell
+   * @param {number} zoom - Zoom level
+   * @param {number} col - Column from the grid origin
+   * @param {number} row - Row from the grid origin
+   * @returns {Object|null} Aggregated results, or null for empty cells
+   */
+  getCell(zoom, col, row) {
+    const level = this.levels.get(zoom);
+    const cell = level && level.get(`${col},${row}`);
+    if (!cell) return null;
+
+    return this.dataProcessor.finalizePartialAggregate(cell.partial, this.aggregationConfig);
+  }
+
+  /**
+   * Get pyramid statistics for monitoring
+   * @returns {Object} Number of cells per zoom level
+   */
+  getStats() {
+    const stats = {};
+    this.levels.forEach((level, zoom) => {
+      stats[zoom] = level.size;
+    });
+    return stats;
+  }
+}
+
+/**
+ * Create a grid pyramid instance
+ * @param {Object} options - Pyramid options
+ * @returns {GridPyramid} Grid pyramid instance
+ */
+export function createGridPyramid(options = {}) {
+  return new GridPyramid(options);
+}
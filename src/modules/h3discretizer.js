@@ -0,0 +1,52 @@
+import {
+  latLngToCell,
+  cellToLatLng,
+  cellToBoundary,
+  getHexagonEdgeLengthAvg,
+  UNITS,
+} from "h3-js";
+import { getMetersPerPixel } from "./coordinate-transformer.js";
+
+/**
+ * Pick the H3 resolution whose hexagons are closest to cellSize pixels across
+ * at the given zoom level and latitude.
+ * @param {number} zoom - Map zoom level
+ * @param {number} latitude - Latitude used for the ground resolution
+ * @param {number} cellSize - Desired cell size in pixels
+ * @returns {number} H3 resolution (0-15)
+ */
+export const getH3ResolutionForZoom = function (zoom, latitude, cellSize) {
+  const metersPerPixel = getMetersPerPixel(zoom, latitude);
+  // A hexagon is two edge lengths across
+  const targetEdge = (cellSize * metersPerPixel) / 2;
+
+  let bestResolution = 0;
+  let bestDiff = Infinity;
+  for (let res = 0; res <= 15; res++) {
+    const edge = getHexagonEdgeLengthAvg(res, UNITS.m);
+    const diff = Math.abs(Math.log(edge / targetEdge));
+    if (diff < bestDiff) {
+      bestDiff = diff;
+      bestResolution = res;
+    }
+  }
+  return bestResolution;
+};
+
+/**
+ * Geographic discretiser backed by H3 cells.
+ * Unlike the screen-space discretisers, cells are addressed by their H3 index
+ * and centres/boundaries are returned as [lat, lng].
+ * @param {number} resolution - H3 resolution (0-15)
+ */
+export const _getH3Discretiser = function (resolution) {
+  const discretiser = {
+    getCellId: (lat, lng) => latLngToCell(lat, lng, resolution),
+    getCentre: (cellId) => cellToLatLng(cellId),
+    getBoundary: (cellId) => cellToBoundary(cellId),
+    getResolution: () => resolution,
+    idProperty: "h3Index",
+    type: "h3",
+  };
+  return discretiser;
+};
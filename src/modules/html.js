@@ -0,0 +1,18 @@
+/**
+ * HTML Module for GriddedGlyphMap
+ * Helpers for the HTML of tooltips, popups and the legend
+ */
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
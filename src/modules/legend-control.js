@@ -0,0 +1,180 @@
+/**
+ * Legend Control Module for GriddedGlyphMap
+ * Renders the legend of a GriddedGlyph layer: category swatches for
+ * pie/donut/treemap glyphs, a size key for circle/bar glyphs and the cell
+ * color scale. The legend data comes from layer.getLegendData().
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Format a legend number
+ * @private
+ */
+function _formatValue(value) {
+  if (typeof value !== 'number') return escapeHtml(value);
+  if (Number.isInteger(value)) return String(value);
+  return Math.abs(value) < 1 ? value.toFixed(2) : value.toFixed(1);
+}
+
+/**
+ * Legend Control
+ * Updates whenever the layer fires 'legendchange'
+ */
+export const GriddedGlyphLegend = L.Control.extend({
+  options: {
+    position: 'bottomright',
+    title: null,
+    swatchSize: 14
+  },
+
+  initialize: function (layer, options) {
+    L.setOptions(this, options);
+    this._layer = layer;
+    this._html = null;
+  },
+
+  onAdd: function (map) {
+    this._container = L.DomUtil.create('div', 'leaflet-control leaflet-gridded-glyph-legend');
+    this._container.style.cssText =
+      'background: rgba(255, 255, 255, 0.9); padding: 6px 8px; border-radius: 4px; ' +
+      'font: 12px Arial, sans-serif; line-height: 18px; box-shadow: 0 1px 5px rgba(0, 0, 0, 0.4);';
+    L.DomEvent.disableClickPropagation(this._container);
+    L.DomEvent.disableScrollPropagation(this._container);
+
+    this._layer.on('legendchange', this.update, this);
+    this.update();
+    return this._container;
+  },
+
+  onRemove: function (map) {
+    this._layer.off('legendchange', this.update, this);
+    this._html = null;
+  },
+
+  /**
+   * Re-render the legend from the layer's current configuration
+   */
+  update: function () {
+    if (!this._container) return;
+
+    const data = this._layer.getLegendData();
+    const sections = [];
+
+    if (this.options.title) {
+      sections.push(`<div style="font-weight: bold; margin-bottom: 4px;">${escapeHtml(this.options.title)}</div>`);
+    }
+    if (data.glyph) {
+      sections.push(this._renderGlyph(data.glyph));
+    }
+    if (data.cellColor) {
+      sections.push(this._renderCellColor(data.cellColor));
+    }
+
+    const html = sections.join('');
+    // Skip DOM updates when nothing changed (the layer fires on every draw)
+    if (html === this._html) return;
+
+    this._html = html;
+    this._container.innerHTML = html;
+    this._container.style.display = html ? '' : 'none';
+  },
+
+  /**
+   * @private
+   */
+  _renderGlyph: function (glyph) {
+    const title = this._renderHeading(glyph.field || 'count');
+
+    if (glyph.categories) {
+      return title + glyph.categories
+        .map(entry => this._renderRow(this._renderSwatch(entry.color), escapeHtml(entry.category)))
+        .join('');
+    }
+
+    if (glyph.sizes) {
+      const extent = Math.ceil(Math.max(...glyph.sizes.map(entry => entry.size), this.options.swatchSize));
+      return title + glyph.sizes.map(entry => {
+        const label = _formatValue(entry.value) + (entry.orMore ? '+' : '');
+        const symbol = glyph.shape === 'bar'
+          ? `<rect x="${(extent - entry.width) / 2}" y="${extent - entry.size}" width="${entry.width}" height="${entry.size}" ` +
+            `fill="${entry.color}" stroke="#000" stroke-width="1"/>`
+          : `<circle cx="${extent / 2}" cy="${extent / 2}" r="${entry.size / 2}" ` +
+            `fill="${entry.color || 'none'}" stroke="#000" stroke-width="1"/>`;
+        return this._renderRow(`<svg width="${extent}" height="${extent}">${symbol}</svg>`, label);
+      }).join('');
+    }
+
+    return '';
+  },
+
+  /**
+   * @private
+   */
+  _renderCellColor: function (cellColor) {
+    const label = cellColor.category !== undefined
+      ? `${cellColor.field}: share of ${cellColor.category}`
+      : cellColor.field;
+    const title = this._renderHeading(label);
+    const entries = cellColor.entries;
+
+    if (entries.length === 0) return '';
+
+    if (cellColor.type === 'categorical') {
+      return title + entries
+        .map(entry => this._renderRow(this._renderSwatch(entry.color), escapeHtml(entry.category)))
+        .join('');
+    }
+
+    if (cellColor.classified) {
+      return title + entries
+        .map(entry => this._renderRow(
+          this._renderSwatch(entry.color),
+          `${_formatValue(entry.from)} &ndash; ${_formatValue(entry.to)}`
+        ))
+        .join('');
+    }
+
+    // Continuous ramp
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+    const gradient = entries.map(entry => entry.color).join(', ');
+    return title +
+      `<div style="width: 120px; height: ${this.options.swatchSize}px; background: linear-gradient(to right, ${gradient});"></div>` +
+      `<div style="display: flex; justify-content: space-between; width: 120px;">` +
+      `<span>${_formatValue(first.from)}</span><span>${_formatValue(last.to)}</span></div>`;
+  },
+
+  /**
+   * @private
+   */
+  _renderHeading: function (text) {
+    return `<div style="font-weight: bold; margin-top: 4px;">${escapeHtml(text)}</div>`;
+  },
+
+  /**
+   * @private
+   */
+  _renderSwatch: function (color) {
+    const size = this.options.swatchSize;
+    return `<span style="display: inline-block; width: ${size}px; height: ${size}px; ` +
+      `background: ${color}; border: 1px solid rgba(0, 0, 0, 0.3);"></span>`;
+  },
+
+  /**
+   * @private
+   */
+  _renderRow: function (symbol, label) {
+    return `<div style="display: flex; align-items: center; gap: 6px;">${symbol}<span>${label}</span></div>`;
+  }
+});
+
+/**
+ * Create a legend control for a GriddedGlyph layer
+ * @param {L.GriddedGlyph} layer - Layer to describe
+ * @param {Object} options - Control options
+ * @returns {GriddedGlyphLegend} Legend control
+ */
+export function createGriddedGlyphLegend(layer, options = {}) {
+  return new GriddedGlyphLegend(layer, options);
+}
@@ -0,0 +1,268 @@
+/**
+ * Quantile Module for GriddedGlyphMap
+ * Exact quantiles of (optionally weighted) values with a choice of
+ * interpolation, and a t-digest sketch that estimates quantiles of large or
+ * merged sets of values in bounded memory.
+ */
+
+// How a quantile falling between two values is read
+export const QUANTILE_INTERPOLATIONS = {
+  LINEAR: 'linear',     // Interpolate between the two values
+  LOWER: 'lower',       // The lower value
+  HIGHER: 'higher',     // The higher value
+  NEAREST: 'nearest',   // The closer value (the higher one halfway)
+  MIDPOINT: 'midpoint'  // Halfway between the two values
+};
+
+// How percentiles of a cell are computed
+export const QUANTILE_METHODS = {
+  EXACT: 'exact',       // Sort the values
+  TDIGEST: 'tdigest',   // Stream the values into a t-digest
+  AUTO: 'auto'          // Exact up to a number of values, t-digest above
+};
+
+// Values buffered by a t-digest before they are merged into its centroids, per unit of compression
+const BUFFER_FACTOR = 5;
+
+// Relative error allowed when matching scaled cumulative weights to ranks
+const RANK_TOLERANCE = 1e-9;
+
+/**
+ * Compute quantiles of values. Weights are relative: they are scaled to sum to
+ * the number of values of positive weight, so equal weights give the
+ * unweighted quantiles and scaling every weight by the same factor leaves the
+ * quantiles unchanged. Values of zero weight are left out.
+ * @param {ArrayLike} values - Numeric values
+ * @param {Array} qs - Quantiles between 0 and 1
+ * @param {string} interpolation - QUANTILE_INTERPOLATIONS value
+ * @param {ArrayLike} weights - Weight of each value, or null
+ * @returns {Array} Quantile values, in the order of qs (null when there are no weighted values)
+ */
+export function quantiles(values, qs, interpolation = QUANTILE_INTERPOLATIONS.LINEAR, weights = null) {
+  if (values.length === 0) return qs.map(() => null);
+
+  const order = Array.from({ length: values.length }, (_, i) => i);
+  order.sort((a, b) => values[a] - values[b]);
+  const sorted = order.map(i => values[i]);
+
+  // Rank r (counted from 0) falls on the first value whose cumulative
+  // weight, scaled to one per weighted value, exceeds r
+  let total = values.length;
+  let cumulative = null;
+  if (weights) {
+    let weightTotal = 0;
+    total = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (weights[i] > 0) {
+        weightTotal += weights[i];
+        total++;
+      }
+    }
+    if (total === 0) return qs.map(() => null);
+    cumulative = new Float64Array(order.length);
+    let sum = 0;
+    order.forEach((i, k) => {
+      if (weights[i] > 0) sum += weights[i] * total / weightTotal;
+      cumulative[k] = sum;
+    });
+  }
+  // Scaled sums may land a rounding error off a whole rank
+  const tolerance = total * RANK_TOLERANCE;
+  const valueAt = (rank) => {
+    if (!cumulative) return sorted[Math.min(rank, sorted.length - 1)];
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (cumulative[mid] > rank + tolerance) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return sorted[low];
+  };
+
+  return qs.map(q => {
+    const h = Math.max(0, (total - 1) * q);
+    const lowerRank = Math.floor(h);
+    const lower = valueAt(lowerRank);
+    const upper = valueAt(Math.ceil(h));
+    const fraction = h - lowerRank;
+
+    switch (interpolation) {
+      case QUANTILE_INTERPOLATIONS.LINEAR:
+        return lower + (upper - lower) * fraction;
+      case QUANTILE_INTERPOLATIONS.LOWER:
+        return lower;
+      case QUANTILE_INTERPOLATIONS.HIGHER:
+        return upper;
+      case QUANTILE_INTERPOLATIONS.NEAREST:
+        return fraction < 0.5 ? lower : upper;
+      case QUANTILE_INTERPOLATIONS.MIDPOINT:
+        return (lower + upper) / 2;
+      default:
+        throw new Error(`Unknown quantile interpolation: ${interpolation}`);
+    }
+  });
+}
+
+/**
+ * T-Digest Class
+ * Keeps values as weighted centroids, small near the tails and larger in the
+ * middle (the k1 scale function), so tail quantiles stay accurate. Digests
+ * can be merged, which lets precomputed cells combine their percentiles.
+ */
+export class TDigest {
+  /**
+   * @param {number} compression - Accuracy/size trade-off; about compression / 2 centroids are kept
+   */
+  constructor(compression = 100) {
+    this.compression = compression;
+    this.means = [];
+    this.weights = [];
+    this.total = 0;
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this._bufferMeans = [];
+    this._bufferWeights = [];
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - Value
+   * @param {number} weight - Weight of the value
+   * @returns {TDigest} This digest
+   */
+  add(value, weight = 1) {
+    if (typeof value !== 'number' || isNaN(value) || !(weight > 0)) return this;
+
+    this._bufferMeans.push(value);
+    this._bufferWeights.push(weight);
+    this.total += weight;
+    this.count++;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+
+    if (this._bufferMeans.length >= this.compression * BUFFER_FACTOR) {
+      this._compress();
+    }
+    return this;
+  }
+
+  /**
+   * Add the values of another digest
+   * @param {TDigest} other - Digest to merge in
+   * @returns {TDigest} This digest
+   */
+  merge(other) {
+    other._compress();
+    for (let i = 0; i < other.means.length; i++) {
+      this._bufferMeans.push(other.means[i]);
+      this._bufferWeights.push(other.weights[i]);
+    }
+    this.total += other.total;
+    this.count += other.count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this._compress();
+    return this;
+  }
+
+  /**
+   * Estimate a quantile
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number|null} Estimated value, or null when the digest is empty
+   */
+  quantile(q) {
+    this._compress();
+    const n = this.means.length;
+    if (n === 0) return null;
+
+    // Rank of the quantile in values, counted so that a digest of single
+    // values gives the same results as the exact linear interpolation, then
+    // read in units of the mean weight so that weights are relative
+    const index = (Math.max(0, q * (this.count - 1)) + 0.5) * (this.total / this.count);
+
+    // Below the centre of the first centroid: interpolate from the minimum
+    const first = this.weights[0] / 2;
+    if (index <= first) {
+      return this.min + (this.means[0] - this.min) * (index / first);
+    }
+
+    // Between the centres of two centroids
+    let cumulative = first;
+    for (let i = 0; i < n - 1; i++) {
+      const step = (this.weights[i] + this.weights[i + 1]) / 2;
+      if (index <= cumulative + step) {
+        return this.means[i] + (this.means[i + 1] - this.means[i]) * ((index - cumulative) / step);
+      }
+      cumulative += step;
+    }
+
+    // Above the centre of the last centroid: interpolate to the maximum
+    const last = this.weights[n - 1] / 2;
+    return this.means[n - 1] + (this.max - this.means[n - 1]) * Math.min(1, (index - cumulative) / last);
+  }
+
+  /**
+   * Merge buffered values into the centroids
+   * @private
+   */
+  _compress() {
+    if (this._bufferMeans.length === 0) return;
+
+    const means = this.means.concat(this._bufferMeans);
+    const weights = this.weights.concat(this._bufferWeights);
+    const order = Array.from({ length: means.length }, (_, i) => i);
+    order.sort((a, b) => means[a] - means[b]);
+
+    this.means = [];
+    this.weights = [];
+    this._bufferMeans = [];
+    this._bufferWeights = [];
+
+    let soFar = 0;
+    let mean = means[order[0]];
+    let weight = weights[order[0]];
+    let limit = this.total * this._getQuantileLimit(0);
+
+    for (let k = 1; k < order.length; k++) {
+      const i = order[k];
+      if (soFar + weight + weights[i] <= limit) {
+        weight += weights[i];
+        mean += (means[i] - mean) * weights[i] / weight;
+      } else {
+        soFar += weight;
+        this.means.push(mean);
+        this.weights.push(weight);
+        limit = this.total * this._getQuantileLimit(soFar / this.total);
+        mean = means[i];
+        weight = weights[i];
+      }
+    }
+    this.means.push(mean);
+    this.weights.push(weight);
+  }
+
+  /**
+   * Quantile up to which a centroid starting at q may grow: one unit further
+   * on the k1 scale k(q) = compression / (2 pi) * asin(2q - 1)
+   * @private
+   */
+  _getQuantileLimit(q) {
+    const scale = this.compression / (2 * Math.PI);
+    const k = scale * Math.asin(2 * Math.min(1, q) - 1) + 1;
+    return k >= this.compression / 4 ? 1 : (Math.sin(k / scale) + 1) / 2;
+  }
+}
+
+/**
+ * Create a t-digest
+ * @param {number} compression - Accuracy/size trade-off
+ * @returns {TDigest} Empty digest
+ */
+export function createTDigest(compression = 100) {
+  return new TDigest(compression);
+}
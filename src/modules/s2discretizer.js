@@ -0,0 +1,89 @@
+import { S2 } from "s2-geometry";
+import { getMetersPerPixel } from "./coordinate-transformer.js";
+
+// Approximate S2 edge length at level 0 in metres (a quarter of the equator)
+const S2_LEVEL_0_EDGE = 10007543;
+// Level 0 cells are whole cube faces, which have no Hilbert position to
+// address them by, so the grid starts at level 1
+export const S2_MIN_LEVEL = 1;
+export const S2_MAX_LEVEL = 30;
+
+/**
+ * Check that an S2 level can be used for a grid
+ * @param {number} level - S2 level
+ * @throws {Error} When the level is not an integer from S2_MIN_LEVEL to S2_MAX_LEVEL
+ */
+export const validateS2Level = function (level) {
+  if (!Number.isInteger(level) || level < S2_MIN_LEVEL || level > S2_MAX_LEVEL) {
+    throw new Error(`S2 level must be an integer from ${S2_MIN_LEVEL} to ${S2_MAX_LEVEL}: ${level}`);
+  }
+};
+
+/**
+ * Pick the S2 level whose cells are closest to cellSize pixels across at the
+ * given zoom level and latitude.
+ * @param {number} zoom - Map zoom level
+ * @param {number} latitude - Latitude used for the ground resolution
+ * @param {number} cellSize - Desired cell size in pixels
+ * @returns {number} S2 level (1-30)
+ */
+export const getS2LevelForZoom = function (zoom, latitude, cellSize) {
+  const targetEdge = cellSize * getMetersPerPixel(zoom, latitude);
+  const level = Math.round(Math.log2(S2_LEVEL_0_EDGE / targetEdge));
+  return Math.max(S2_MIN_LEVEL, Math.min(S2_MAX_LEVEL, level));
+};
+
+/**
+ * Convert an S2 cell to its token (hex cell id without trailing zeros)
+ * @param {Object} cell - S2Cell instance
+ * @returns {string} S2 token
+ */
+const cellToToken = function (cell) {
+  const id = S2.keyToId(cell.toHilbertQuadkey());
+  const token = BigInt(id).toString(16).padStart(16, "0").replace(/0+$/, "");
+  return token || "X";
+};
+
+/**
+ * Geographic discretiser backed by S2 cells.
+ * Cells are addressed by their S2 token and centres/boundaries are returned
+ * as [lat, lng].
+ * @param {number} level - S2 level (1-30)
+ */
+export const _getS2Discretiser = function (level) {
+  validateS2Level(level);
+
+  // Cells seen so far, so centre and boundary lookups don't rebuild them
+  const cells = new Map();
+
+  const getCell = (token) => {
+    let cell = cells.get(token);
+    if (!cell) {
+      const id = BigInt("0x" + token.padEnd(16, "0")).toString();
+      cell = S2.S2Cell.FromHilbertQuadKey(S2.idToKey(id));
+      cells.set(token, cell);
+    }
+    return cell;
+  };
+
+  const discretiser = {
+    getCellId: (lat, lng) => {
+      const cell = S2.S2Cell.FromLatLng({ lat, lng }, level);
+      const token = cellToToken(cell);
+      if (!cells.has(token)) cells.set(token, cell);
+      return token;
+    },
+    getCentre: (token) => {
+      const latLng = getCell(token).getLatLng();
+      return [latLng.lat, latLng.lng];
+    },
+    getBoundary: (token) =>
+      getCell(token)
+        .getCornerLatLngs()
+        .map((latLng) => [latLng.lat, latLng.lng]),
+    getResolution: () => level,
+    idProperty: "s2Token",
+    type: "s2",
+  };
+  return discretiser;
+};
@@ -0,0 +1,150 @@
+/**
+ * Time Index Module for GriddedGlyphMap
+ * Sorts point indices by the value of a temporal field, so a time window
+ * maps to a contiguous range of the sorted order and moving the window only
+ * touches the points that enter or leave it.
+ */
+
+/**
+ * Convert a temporal value to a number: Dates and date strings become
+ * milliseconds since the epoch, numbers (e.g. years) are kept as they are
+ * @param {Date|string|number} value - Temporal value
+ * @returns {number} Time value, NaN when the value is missing or invalid
+ */
+export function toTimeValue(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value !== '') return Date.parse(value);
+  return NaN;
+}
+
+/**
+ * Time Index Class
+ * Windows are half-open: a point is inside [start, end) when
+ * start <= time < end. Points without a valid time are never inside.
+ */
+export class TimeIndex {
+  /**
+   * @param {Float64Array} times - Time value of each point (NaN when missing)
+   * @param {boolean} dates - Whether the values are timestamps rather than plain numbers
+   */
+  constructor(times, dates = false) {
+    this.times = times;
+    this.dates = dates;
+
+    const order = [];
+    for (let i = 0; i < times.length; i++) {
+      if (!isNaN(times[i])) order.push(i);
+    }
+    order.sort((a, b) => times[a] - times[b]);
+    this.order = Int32Array.from(order);
+  }
+
+  /**
+   * Build the index of a field of a columnar store
+   * @param {ColumnarStore} store - Columnar store
+   * @param {string} field - Temporal field
+   * @returns {TimeIndex} Time index
+   */
+  static fromStore(store, field) {
+    const times = new Float64Array(store.length);
+    let dates = false;
+
+    for (let i = 0; i < store.length; i++) {
+      const value = store.getValue(i, field);
+      times[i] = toTimeValue(value);
+      if (value instanceof Date || typeof value === 'string') dates = true;
+    }
+
+    return new TimeIndex(times, dates);
+  }
+
+  /**
+   * Get the first and last time in the index
+   * @returns {Object|null} { start, end, dates }, or null when no point has a time
+   */
+  getExtent() {
+    if (this.order.length === 0) return null;
+    return {
+      start: this.times[this.order[0]],
+      end: this.times[this.order[this.order.length - 1]],
+      dates: this.dates
+    };
+  }
+
+  /**
+   * Get the range of sorted positions inside a time window
+   * @param {number} start - Window start (inclusive)
+   * @param {number} end - Window end (exclusive)
+   * @returns {Array} [from, to) positions in the sorted order
+   */
+  getWindow(start, end) {
+    const from = this._lowerBound(start);
+    return [from, Math.max(from, this._lowerBound(end))];
+  }
+
+  /**
+   * Create a mask with 1 for the points inside a window
+   * @param {Array} window - [from, to) positions, as returned by getWindow()
+   * @returns {Uint8Array} Point mask
+   */
+  createMask(window) {
+    const mask = new Uint8Array(this.times.length);
+    for (let pos = window[0]; pos < window[1]; pos++) {
+      mask[this.order[pos]] = 1;
+    }
+    return mask;
+  }
+
+  /**
+   * Get the points that are inside exactly one of two windows, i.e. the
+   * points whose mask bit flips when moving from one window to the other
+   * @param {Array} previous - Previous [from, to) positions
+   * @param {Array} next - Next [from, to) positions
+   * @returns {Array} Point indices
+   */
+  getChangedIndices(previous, next) {
+    const ranges = previous[1] <= next[0] || next[1] <= previous[0]
+      // Disjoint windows: every point of both changes
+      ? [previous, next]
+      // Overlapping windows: only the points between the old and new edges change
+      : [
+          [Math.min(previous[0], next[0]), Math.max(previous[0], next[0])],
+          [Math.min(previous[1], next[1]), Math.max(previous[1], next[1])]
+        ];
+
+    const changed = [];
+    ranges.forEach(([from, to]) => {
+      for (let pos = from; pos < to; pos++) changed.push(this.order[pos]);
+    });
+    return changed;
+  }
+
+  /**
+   * First sorted position whose time is >= the given time
+   * @private
+   */
+  _lowerBound(time) {
+    let low = 0;
+    let high = this.order.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.times[this.order[mid]] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
+
+/**
+ * Create a time index for a field of a columnar store
+ * @param {ColumnarStore} store - Columnar store
+ * @param {string} field - Temporal field
+ * @returns {TimeIndex} Time index
+ */
+export function createTimeIndex(store, field) {
+  return TimeIndex.fromStore(store, field);
+}
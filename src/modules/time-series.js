@@ -0,0 +1,103 @@
+/**
+ * Time Series Module for GriddedGlyphMap
+ * Bins temporal values into fixed intervals for the time_series aggregation.
+ * Hours, weekdays and months are cyclic (e.g. 12 month bins whatever the
+ * year); years run from the first to the last year of the data.
+ */
+
+// Time series intervals
+export const TIME_INTERVALS = {
+  HOUR_OF_DAY: 'hour_of_day', // 24 bins, 0-23
+  WEEKDAY: 'weekday',         // 7 bins, Sunday first
+  MONTH: 'month',             // 12 bins, January first
+  YEAR: 'year'                // One bin per year of the data
+};
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Times of day such as '13:15' or '13:15:00'
+const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})(:\d{2})?$/;
+
+/**
+ * Get the bin of a temporal value
+ * @param {Date|string|number} value - Date, date string, time of day ('HH:MM[:SS]') or year number
+ * @param {string} interval - TIME_INTERVALS value
+ * @param {boolean} utc - Read dates in UTC instead of local time
+ * @returns {number|null} Hour, weekday, month or year; null when the value has no such part
+ */
+export function getTimeBin(value, interval, utc = false) {
+  if (value === null || value === undefined) return null;
+
+  if (typeof value === 'number') {
+    // Plain numbers are years (e.g. a 'Tahun' column)
+    return interval === TIME_INTERVALS.YEAR && Number.isInteger(value) ? value : null;
+  }
+
+  if (typeof value === 'string') {
+    const match = TIME_OF_DAY_PATTERN.exec(value.trim());
+    if (match) {
+      const hour = Number(match[1]);
+      return interval === TIME_INTERVALS.HOUR_OF_DAY && hour < 24 ? hour : null;
+    }
+    value = new Date(value);
+  }
+
+  if (!(value instanceof Date) || isNaN(value.getTime())) return null;
+
+  switch (interval) {
+    case TIME_INTERVALS.HOUR_OF_DAY:
+      return utc ? value.getUTCHours() : value.getHours();
+    case TIME_INTERVALS.WEEKDAY:
+      return utc ? value.getUTCDay() : value.getDay();
+    case TIME_INTERVALS.MONTH:
+      return utc ? value.getUTCMonth() : value.getMonth();
+    case TIME_INTERVALS.YEAR:
+      return utc ? value.getUTCFullYear() : value.getFullYear();
+    default:
+      throw new Error(`Unknown time series interval: ${interval}`);
+  }
+}
+
+/**
+ * Get the bins of an interval
+ * @param {string} interval - TIME_INTERVALS value
+ * @param {Array} years - [first, last] year for TIME_INTERVALS.YEAR
+ * @returns {Object} { first, length, labels }: bin i holds the time part first + i
+ */
+export function getTimeSeriesBins(interval, years = null) {
+  switch (interval) {
+    case TIME_INTERVALS.HOUR_OF_DAY:
+      return { first: 0, length: 24, labels: Array.from({ length: 24 }, (_, hour) => `${hour}:00`) };
+    case TIME_INTERVALS.WEEKDAY:
+      return { first: 0, length: 7, labels: WEEKDAY_LABELS.slice() };
+    case TIME_INTERVALS.MONTH:
+      return { first: 0, length: 12, labels: MONTH_LABELS.slice() };
+    case TIME_INTERVALS.YEAR: {
+      if (!years) return { first: 0, length: 0, labels: [] };
+      const length = years[1] - years[0] + 1;
+      return { first: years[0], length, labels: Array.from({ length }, (_, i) => String(years[0] + i)) };
+    }
+    default:
+      throw new Error(`Unknown time series interval: ${interval}`);
+  }
+}
+
+/**
+ * Get the first and last year of a set of temporal values
+ * @param {Function} getValue - (i) => value of point i
+ * @param {number} length - Number of values
+ * @param {boolean} utc - Read dates in UTC
+ * @returns {Array|null} [first, last], or null when no value has a year
+ */
+export function getYearExtent(getValue, length, utc = false) {
+  let first = Infinity;
+  let last = -Infinity;
+  for (let i = 0; i < length; i++) {
+    const year = getTimeBin(getValue(i), TIME_INTERVALS.YEAR, utc);
+    if (year === null) continue;
+    if (year < first) first = year;
+    if (year > last) last = year;
+  }
+  return first <= last ? [first, last] : null;
+}
@@ -0,0 +1,316 @@
+/**
+ * Time Slider Control Module for GriddedGlyphMap
+ * Steps the time window of a GriddedGlyph layer through the extent of its
+ * time field, by hand with a range input or animated with play/pause. Each
+ * step calls layer.setTimeRange(), which only re-aggregates the cells whose
+ * points enter or leave the window.
+ */
+
+// Fixed-length steps in milliseconds; months and years follow the calendar (UTC)
+export const TIME_STEPS = {
+  hour: 3600000,
+  day: 86400000,
+  week: 604800000,
+  month: 'month',
+  year: 'year'
+};
+
+// Most steps the slider offers before a larger step is picked automatically
+const MAX_AUTO_STEPS = 100;
+
+// Upper limit of steps, guards against tiny steps over a long extent
+const MAX_STEPS = 10000;
+
+/**
+ * Move a time value by a number of steps
+ * @private
+ */
+function _addSteps(time, step, count) {
+  if (step === 'month' || step === 'year') {
+    const date = new Date(time);
+    if (step === 'month') {
+      date.setUTCMonth(date.getUTCMonth() + count);
+    } else {
+      date.setUTCFullYear(date.getUTCFullYear() + count);
+    }
+    return date.getTime();
+  }
+  return time + (typeof step === 'number' ? step : TIME_STEPS[step]) * count;
+}
+
+/**
+ * Pick a step for a time extent: the smallest calendar step with at most
+ * MAX_AUTO_STEPS steps for timestamps, 1 or a hundredth of the extent for
+ * plain numbers
+ * @private
+ */
+function _getAutoStep(extent) {
+  const span = extent.end - extent.start;
+  if (!extent.dates) {
+    return span <= MAX_AUTO_STEPS ? 1 : span / MAX_AUTO_STEPS;
+  }
+
+  const steps = ['hour', 'day', 'week', 'month', 'year'];
+  for (const step of steps) {
+    if (_addSteps(extent.start, step, MAX_AUTO_STEPS) > extent.end) return step;
+  }
+  return 'year';
+}
+
+/**
+ * Default label of a time value for a step
+ * @private
+ */
+function _formatTime(time, step, dates) {
+  if (!dates) return String(Math.round(time * 1000) / 1000);
+
+  const iso = new Date(time).toISOString();
+  switch (step) {
+    case 'year':
+      return iso.slice(0, 4);
+    case 'month':
+      return iso.slice(0, 7);
+    case 'hour':
+      return `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+    default:
+      return typeof step === 'number' && step < TIME_STEPS.day
+        ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}`
+        : iso.slice(0, 10);
+  }
+}
+
+/**
+ * Time Slider Control
+ * Window i covers [start + i steps, start + (i + window) steps), or
+ * [start, start + (i + 1) steps) when cumulative
+ */
+export const GriddedGlyphTimeSlider = L.Control.extend({
+  options: {
+    position: 'bottomleft',
+    step: null,          // Number (time units of the field), 'hour', 'day', 'week', 'month' or 'year'; picked from the extent when null
+    window: 1,           // Width of the time window in steps
+    cumulative: false,   // Grow the window from the first time instead of moving it
+    interval: 1000,      // Milliseconds between steps while playing
+    loop: true,          // Start over after the last step while playing
+    format: null,        // (start, end, step) => label
+    width: 200           // Slider width in pixels
+  },
+
+  initialize: function (layer, options) {
+    L.setOptions(this, options);
+    this._layer = layer;
+    this._times = [];
+    this._step = null;
+    this._dates = false;
+    this._position = 0;
+    this._timer = null;
+    this._setting = false;
+  },
+
+  onAdd: function (map) {
+    const container = L.DomUtil.create('div', 'leaflet-control leaflet-gridded-glyph-time-slider');
+    container.style.cssText =
+      'background: rgba(255, 255, 255, 0.9); padding: 6px 8px; border-radius: 4px; ' +
+      'font: 12px Arial, sans-serif; box-shadow: 0 1px 5px rgba(0, 0, 0, 0.4); ' +
+      'display: flex; align-items: center; gap: 6px;';
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    this._button = L.DomUtil.create('button', 'leaflet-gridded-glyph-time-slider-play', container);
+    this._button.type = 'button';
+    this._button.style.cssText = 'width: 26px; height: 22px; cursor: pointer;';
+    L.DomEvent.on(this._button, 'click', this.toggle, this);
+
+    this._input = L.DomUtil.create('input', 'leaflet-gridded-glyph-time-slider-input', container);
+    this._input.type = 'range';
+    this._input.min = 0;
+    this._input.step = 1;
+    this._input.style.width = `${this.options.width}px`;
+    L.DomEvent.on(this._input, 'input', this._onInput, this);
+
+    this._label = L.DomUtil.create('span', 'leaflet-gridded-glyph-time-slider-label', container);
+    this._label.style.cssText = 'min-width: 80px; white-space: nowrap;';
+
+    this._container = container;
+    this._layer.on('timerangechange', this._onTimeRangeChange, this);
+    this.update();
+    return container;
+  },
+
+  onRemove: function (map) {
+    this.pause();
+    this._layer.off('timerangechange', this._onTimeRangeChange, this);
+    L.DomEvent.off(this._button, 'click', this.toggle, this);
+    L.DomEvent.off(this._input, 'input', this._onInput, this);
+  },
+
+  /**
+   * Rebuild the steps from the layer's time extent (call after loading new data)
+   */
+  update: function () {
+    if (!this._container) return;
+
+    const extent = this._layer.getTimeExtent();
+    this._times = [];
+    if (extent) {
+      this._dates = extent.dates;
+      this._step = this.options.step || _getAutoStep(extent);
+      for (let i = 0; i <= MAX_STEPS; i++) {
+        const time = _addSteps(extent.start, this._step, i);
+        if (time > extent.end) break;
+        this._times.push(time);
+      }
+    }
+
+    this._input.max = Math.max(0, this._times.length - 1);
+    this._input.disabled = this._times.length === 0;
+    this._button.disabled = this._times.length === 0;
+    this._position = Math.min(this._position, Math.max(0, this._times.length - 1));
+    this._input.value = this._position;
+    this._renderButton();
+    this._renderLabel(this._layer.getTimeRange());
+  },
+
+  /**
+   * Show the window of a step
+   * @param {number} position - Step index
+   */
+  setPosition: function (position) {
+    if (this._times.length === 0) return;
+
+    this._position = Math.max(0, Math.min(this._times.length - 1, Math.round(position)));
+    this._input.value = this._position;
+
+    const { start, end } = this._getWindow(this._position);
+    this._setting = true;
+    try {
+      this._layer.setTimeRange(start, end);
+    } finally {
+      this._setting = false;
+    }
+    this._renderLabel({ start, end });
+  },
+
+  /**
+   * Step through time every options.interval milliseconds
+   */
+  play: function () {
+    if (this._timer || this._times.length === 0) return;
+
+    if (this._position >= this._times.length - 1) this._position = -1;
+    this._timer = setInterval(() => this._next(), this.options.interval);
+    this._next();
+    this._renderButton();
+  },
+
+  /**
+   * Stop the animation on the current step
+   */
+  pause: function () {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this._renderButton();
+  },
+
+  /**
+   * Play or pause
+   */
+  toggle: function () {
+    if (this._timer) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  },
+
+  /**
+   * @returns {boolean} Whether the animation is running
+   */
+  isPlaying: function () {
+    return !!this._timer;
+  },
+
+  /**
+   * @private
+   */
+  _next: function () {
+    if (this._position >= this._times.length - 1) {
+      if (!this.options.loop) {
+        this.pause();
+        return;
+      }
+      this._position = -1;
+    }
+    this.setPosition(this._position + 1);
+  },
+
+  /**
+   * @private
+   */
+  _getWindow: function (position) {
+    const start = this.options.cumulative ? this._times[0] : this._times[position];
+    const end = _addSteps(this._times[position], this._step, this.options.cumulative ? 1 : this.options.window);
+    return { start, end };
+  },
+
+  /**
+   * @private
+   */
+  _onInput: function () {
+    this.setPosition(Number(this._input.value));
+  },
+
+  /**
+   * Show time ranges set on the layer by other code
+   * @private
+   */
+  _onTimeRangeChange: function (e) {
+    if (this._setting) return;
+    this._renderLabel(e.start === null ? null : { start: e.start, end: e.end });
+  },
+
+  /**
+   * @private
+   */
+  _renderButton: function () {
+    if (!this._button) return;
+    this._button.innerHTML = this._timer ? '&#10074;&#10074;' : '&#9654;';
+    this._button.title = this._timer ? 'Pause' : 'Play';
+  },
+
+  /**
+   * @private
+   */
+  _renderLabel: function (range) {
+    if (!this._label) return;
+
+    if (!range) {
+      this._label.textContent = this._times.length > 0 ? 'All times' : 'No time data';
+      return;
+    }
+    if (this.options.format) {
+      this._label.textContent = this.options.format(range.start, range.end, this._step);
+      return;
+    }
+
+    const startLabel = isFinite(range.start) ? _formatTime(range.start, this._step, this._dates) : '';
+    // The window end is exclusive: label the last step inside it
+    const last = isFinite(range.end) ? _addSteps(range.end, this._step, -1) : range.end;
+    const endLabel = isFinite(last) ? _formatTime(last, this._step, this._dates) : '';
+    this._label.textContent = last > range.start && startLabel !== endLabel
+      ? `${startLabel} – ${endLabel}`
+      : startLabel;
+  }
+});
+
+/**
+ * Create a time slider control for a GriddedGlyph layer
+ * @param {L.GriddedGlyph} layer - Layer to animate
+ * @param {Object} options - Control options
+ * @returns {GriddedGlyphTimeSlider} Time slider control
+ */
+export function createGriddedGlyphTimeSlider(layer, options = {}) {
+  return new GriddedGlyphTimeSlider(layer, options);
+}
@@ -4,14 +4,22 @@
  */
 
 import { DATA_TYPES } from './data-processor.js';
+import { validateGlyphSpec, drawGlyphSpec, getGlyphSpecScaleFields, getGlyphValues } from './glyph-spec.js';
 
 // Chart type constants
 export const CHART_TYPES = {
   BAR: 'bar',
   PIE: 'pie',
   LINE: 'line',
+  AREA: 'area',
+  SPARKLINE: 'sparkline',
   SCATTER: 'scatter',
   HISTOGRAM: 'histogram',
+  BOXPLOT: 'boxplot',
+  VIOLIN: 'violin',
+  RADAR: 'radar',
+  FILL: 'fill',
+  SPEC: 'spec',
   DONUT: 'donut',
   TREEMAP: 'treemap',
   TEXT: 'text',
@@ -19,6 +27,26 @@ export const CHART_TYPES = {
   CIRCLE: 'circle'
 };
 
+// Where the scale domains of glyphs come from
+export const GLYPH_SCALES = {
+  LOCAL: 'local',        // Each cell scales to its own values
+  VIEWPORT: 'viewport',  // One scale across the cells being drawn
+  GLOBAL: 'global'       // One scale from the statistics of the whole dataset
+};
+
+// Anchors of a glyph layer in its cell: [x, y] from -1 (left, top) to 1 (right, bottom)
+export const LAYER_PLACEMENTS = {
+  'center': [0, 0],
+  'top': [0, -1],
+  'bottom': [0, 1],
+  'left': [-1, 0],
+  'right': [1, 0],
+  'top-left': [-1, -1],
+  'top-right': [1, -1],
+  'bottom-left': [-1, 1],
+  'bottom-right': [1, 1]
+};
+
 /**
  * Visualization Renderer Class
  * Handles drawing charts on canvas
@@ -35,18 +63,25 @@ export class VisualizationRenderer {
       strokeWidth: 1,
       ...options
     };
+    this._specColorScales = new WeakMap(); // Resolved scales -> color scales of glyph specs
   }
 
   /**
-   * Draw a chart on canvas
+   * Draw a chart on canvas, or with config.layers each of its layers
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {Object} cellData - Cell data with aggregated values
-   * @param {Object} config - Visualization configuration
+   * @param {Object} config - Visualization configuration, with the shared scales
+   *   from resolveScales() as config.scales
    * @param {number} centerX - Center X coordinate
    * @param {number} centerY - Center Y coordinate
    * @param {number} size - Available size for drawing
    */
   drawChart(ctx, cellData, config, centerX, centerY, size) {
+    if (Array.isArray(config.layers)) {
+      this._drawLayers(ctx, cellData, config.layers, centerX, centerY, size);
+      return;
+    }
+
     const chartType = config.type || CHART_TYPES.CIRCLE;
     
     switch (chartType) {
@@ -59,12 +94,33 @@ export class VisualizationRenderer {
       case CHART_TYPES.LINE:
         this._drawLineChart(ctx, cellData, config, centerX, centerY, size);
         break;
+      case CHART_TYPES.AREA:
+        this._drawAreaChart(ctx, cellData, config, centerX, centerY, size);
+        break;
+      case CHART_TYPES.SPARKLINE:
+        this._drawSparkline(ctx, cellData, config, centerX, centerY, size);
+        break;
       case CHART_TYPES.SCATTER:
         this._drawScatterPlot(ctx, cellData, config, centerX, centerY, size);
         break;
       case CHART_TYPES.HISTOGRAM:
         this._drawHistogram(ctx, cellData, config, centerX, centerY, size);
         break;
+      case CHART_TYPES.BOXPLOT:
+        this._drawBoxPlot(ctx, cellData, config, centerX, centerY, size);
+        break;
+      case CHART_TYPES.VIOLIN:
+        this._drawViolin(ctx, cellData, config, centerX, centerY, size);
+        break;
+      case CHART_TYPES.RADAR:
+        this._drawRadarChart(ctx, cellData, config, centerX, centerY, size);
+        break;
+      case CHART_TYPES.FILL:
+        this._drawFill(ctx, cellData, config, centerX, centerY, size);
+        break;
+      case CHART_TYPES.SPEC:
+        this._drawSpec(ctx, cellData, config, centerX, centerY, size);
+        break;
       case CHART_TYPES.DONUT:
         this._drawDonutChart(ctx, cellData, config, centerX, centerY, size);
         break;
@@ -84,6 +140,285 @@ export class VisualizationRenderer {
     }
   }
 
+  /**
+   * Check a visualization configuration and its layers
+   * @param {Object} config - Visualization configuration
+   * @param {Object} schema - Data schema to check the fields of glyph specs
+   *   against, or null to only check their structure
+   * @throws {Error} When the scale, a glyph spec, a layer or its placement is invalid
+   */
+  validateConfig(config, schema = null) {
+    this.getScaleMode(config);
+    if (config.type === CHART_TYPES.SPEC) {
+      validateGlyphSpec(config.spec, schema);
+    }
+    if (config.layers === undefined) return;
+
+    if (!Array.isArray(config.layers)) {
+      throw new Error('Visualization layers must be an array');
+    }
+    config.layers.forEach((layer, index) => {
+      if (!layer || typeof layer !== 'object') {
+        throw new Error(`Visualization layer ${index} must be an object`);
+      }
+      if (layer.placement !== undefined && !LAYER_PLACEMENTS[layer.placement]) {
+        throw new Error(`Unknown placement of visualization layer ${index}: ${layer.placement}`);
+      }
+      if (layer.size !== undefined && !(layer.size > 0)) {
+        throw new Error(`Size of visualization layer ${index} must be a positive fraction of the cell`);
+      }
+      this.validateConfig(layer, schema);
+    });
+  }
+
+  /**
+   * Draw the layers of a composed glyph in order of zIndex (then of the
+   * list), each in its own box of the cell
+   * @private
+   */
+  _drawLayers(ctx, cellData, layers, centerX, centerY, size) {
+    layers
+      .slice()
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+      .forEach(layer => {
+        const [x, y, layerSize] = this._getLayerBox(layer, centerX, centerY, size);
+        this.drawChart(ctx, cellData, layer, x, y, layerSize);
+      });
+  }
+
+  /**
+   * Get the box of a glyph layer: layer.size times the cell size, moved to
+   * the cell edge of layer.placement and by layer.offset (fractions of the
+   * cell size)
+   * @private
+   * @returns {Array} [centerX, centerY, size]
+   */
+  _getLayerBox(layer, centerX, centerY, size) {
+    const layerSize = size * (layer.size !== undefined ? layer.size : 1);
+    const [anchorX, anchorY] = LAYER_PLACEMENTS[layer.placement || 'center'];
+    const [offsetX, offsetY] = layer.offset || [0, 0];
+    const slack = (size - layerSize) / 2;
+    return [
+      centerX + anchorX * slack + offsetX * size,
+      centerY + anchorY * slack + offsetY * size,
+      layerSize
+    ];
+  }
+
+  /**
+   * Create a category domain that gives each category one color in every cell.
+   * Categories beyond maxCategories are collected into an "other" bucket.
+   * @param {Array} categories - Categories, most important first
+   * @param {Object} options - { colors: { category: color }, maxCategories, otherLabel, otherColor }
+   * @returns {Object} Category domain ({ categories, colors: Map, otherLabel, otherColor, hasOther })
+   */
+  createCategoryDomain(categories, options = {}) {
+    const palette = this.options.defaultColors;
+    const fixedColors = options.colors || {};
+    const maxCategories = options.maxCategories || palette.length;
+
+    // User-supplied colors come first, then the most frequent categories
+    const ordered = Array.from(new Set([...Object.keys(fixedColors), ...categories.map(String)]));
+    const named = ordered.slice(0, Math.max(maxCategories, Object.keys(fixedColors).length));
+
+    const colors = new Map();
+    let paletteIndex = 0;
+    named.forEach(category => {
+      colors.set(category, fixedColors[category] || palette[paletteIndex++ % palette.length]);
+    });
+
+    return {
+      categories: named,
+      colors,
+      otherLabel: options.otherLabel || 'Other',
+      otherColor: options.otherColor || '#BBBBBB',
+      hasOther: ordered.length > named.length
+    };
+  }
+
+  /**
+   * Get the colored entries of a frequency object. With config.categoryDomain,
+   * entries follow the domain order and colors, and unknown categories are
+   * merged into the "other" bucket.
+   * @private
+   */
+  _getCategoryEntries(data, config) {
+    const palette = this.options.defaultColors;
+    const domain = config.categoryDomain;
+
+    if (!domain) {
+      return Object.entries(data).map(([key, value], index) => ({
+        key,
+        value,
+        color: palette[index % palette.length]
+      }));
+    }
+
+    const entries = [];
+    let other = 0;
+    domain.categories.forEach(category => {
+      if (data[category]) {
+        entries.push({ key: category, value: data[category], color: domain.colors.get(category) });
+      }
+    });
+    Object.keys(data).forEach(key => {
+      if (!domain.colors.has(key)) other += data[key];
+    });
+    if (other > 0) {
+      entries.push({ key: domain.otherLabel, value: other, color: domain.otherColor });
+    }
+    return entries;
+  }
+
+  /**
+   * Get the scale mode of a visualization configuration: config.scale, or
+   * 'local' for the older sharedScale: false
+   * @param {Object} config - Visualization configuration
+   * @returns {string} GLYPH_SCALES value
+   */
+  getScaleMode(config) {
+    const mode = config.scale || (config.sharedScale === false ? GLYPH_SCALES.LOCAL : GLYPH_SCALES.VIEWPORT);
+    if (!Object.values(GLYPH_SCALES).includes(mode)) {
+      throw new Error(`Unknown glyph scale: ${mode}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Resolve the scales that the glyphs of all cells share, so that glyphs can
+   * be compared across the map. Domains fixed in the config (maxValue,
+   * xDomain, yDomain, maxCount) are kept as they are; other domains come from
+   * the cells ('viewport') or from getGlobalDomain ('global', falling back to
+   * the cells when it has no domain). With 'local' only fixed domains are set.
+   * @param {Array} cells - Cells that will be drawn
+   * @param {Object} config - Visualization configuration
+   * @param {Function} getGlobalDomain - (field, rawValues) => [min, max] of the
+   *   field in the whole dataset, or null; rawValues is true when the glyph
+   *   draws the values of the points rather than aggregates
+   * @returns {Object} Scale domains by name: value ([0, max] of bars and
+   *   circles), x, y, count ([0, max] of histogram bins), axes (one
+   *   domain per radar axis) and fields (domains of glyph spec fields)
+   */
+  resolveScales(cells, config, getGlobalDomain = () => null) {
+    const mode = this.getScaleMode(config);
+    const scales = this._getFixedScales(config);
+    if (mode === GLYPH_SCALES.LOCAL) return scales;
+
+    const resolve = (name, field, rawValues, getValues) => {
+      if (scales[name]) return;
+      const domain = (mode === GLYPH_SCALES.GLOBAL && getGlobalDomain(field, rawValues)) ||
+        this._getExtent(cells, cell => getValues(cell[field]));
+      if (domain) scales[name] = domain;
+    };
+    const scalar = value => [value];
+    const list = value => Array.isArray(value) ? value : [];
+
+    switch (config.type || CHART_TYPES.CIRCLE) {
+      case CHART_TYPES.BAR:
+      case CHART_TYPES.CIRCLE:
+        resolve('value', config.field || 'count', false, scalar);
+        // Bars and circles grow from zero
+        if (scales.value && !config.maxValue) {
+          if (scales.value[1] > 0) {
+            scales.value = [0, scales.value[1]];
+          } else {
+            delete scales.value;
+          }
+        }
+        break;
+      case CHART_TYPES.LINE:
+      case CHART_TYPES.AREA:
+      case CHART_TYPES.SPARKLINE:
+      case CHART_TYPES.BOXPLOT:
+      case CHART_TYPES.VIOLIN:
+        resolve('y', config.field, false, list);
+        break;
+      case CHART_TYPES.SCATTER:
+        if (!config.xField || !config.yField) break;
+        resolve('x', config.xField, true, list);
+        resolve('y', config.yField, true, list);
+        break;
+      case CHART_TYPES.HISTOGRAM: {
+        resolve('x', config.field, true, list);
+        // Bin counts depend on the grid, so they are always shared across the cells
+        if (!scales.count && scales.x) {
+          const bins = config.bins || 5;
+          const maxCount = cells.reduce((max, cell) => Array.isArray(cell[config.field])
+            ? this._binValues(cell[config.field], scales.x, bins).reduce((m, count) => Math.max(m, count), max)
+            : max, 0);
+          if (maxCount > 0) scales.count = [0, maxCount];
+        }
+        break;
+      }
+      case CHART_TYPES.RADAR:
+        // Each axis has its own domain, from zero unless it has negative values
+        scales.axes = this._getRadarAxes(config).map((axis, i) => {
+          if (scales.axes[i]) return scales.axes[i];
+          const domain = (mode === GLYPH_SCALES.GLOBAL && axis.category === undefined && getGlobalDomain(axis.field, false)) ||
+            this._getExtent(cells, cell => [this._getAxisValue(cell, axis)]);
+          return domain ? [Math.min(0, domain[0]), domain[1]] : undefined;
+        });
+        break;
+      case CHART_TYPES.SPEC:
+        if (!config.spec) break;
+        scales.fields = {};
+        getGlyphSpecScaleFields(config.spec).forEach(field => {
+          const domain = (mode === GLYPH_SCALES.GLOBAL && getGlobalDomain(field, false)) ||
+            this._getExtent(cells, cell => getGlyphValues(cell[field]));
+          if (domain) scales.fields[field] = domain;
+        });
+        break;
+    }
+
+    return scales;
+  }
+
+  /**
+   * Scale domains fixed in a visualization configuration
+   * @private
+   */
+  _getFixedScales(config) {
+    const scales = {};
+    if (config.maxValue) scales.value = [0, config.maxValue];
+    if (config.xDomain) scales.x = config.xDomain;
+    if (config.yDomain) scales.y = config.yDomain;
+    if (config.maxCount) scales.count = [0, config.maxCount];
+    if (config.type === CHART_TYPES.RADAR) {
+      scales.axes = this._getRadarAxes(config).map(axis => axis.domain);
+    }
+    return scales;
+  }
+
+  /**
+   * Get a scale domain of a configuration: the resolved config.scales, or
+   * for configs that did not go through resolveScales() the fixed domains
+   * @private
+   * @returns {Array|undefined} [min, max]
+   */
+  _getScale(config, name) {
+    return (config.scales || this._getFixedScales(config))[name];
+  }
+
+  /**
+   * Get the range of the numeric values of a set of items
+   * @private
+   * @param {Array} items - Items
+   * @param {Function} getValues - (item) => values of the item
+   * @returns {Array|undefined} [min, max], or undefined when there are no values
+   */
+  _getExtent(items, getValues = value => [value]) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const item of items) {
+      for (const value of getValues(item)) {
+        if (typeof value !== 'number' || isNaN(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+    return min <= max ? [min, max] : undefined;
+  }
+
   /**
    * Draw bar chart
    * @private
@@ -94,8 +429,10 @@ export class VisualizationRenderer {
     
     if (value === undefined || value === null) return;
 
-    const maxValue = config.maxValue || value;
-    const barHeight = (value / maxValue) * size * 0.8;
+    // Without a shared scale the bar fills its own cell
+    const domain = this._getScale(config, 'value');
+    const maxValue = domain ? domain[1] : value;
+    const barHeight = maxValue > 0 ? Math.min(Math.max(0, value / maxValue), 1) * size * 0.8 : 0;
     const barWidth = size * 0.6;
     
     // Draw bar
@@ -129,14 +466,14 @@ export class VisualizationRenderer {
     if (!data || typeof data !== 'object') return;
 
     const radius = size * 0.4;
-    const entries = Object.entries(data);
-    const total = entries.reduce((sum, [_, value]) => sum + value, 0);
+    const entries = this._getCategoryEntries(data, config);
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
     
     if (total === 0) return;
 
     let currentAngle = -Math.PI / 2; // Start from top
     
-    entries.forEach(([key, value], index) => {
+    entries.forEach(({ value, color }) => {
       const sliceAngle = (value / total) * 2 * Math.PI;
       
       // Draw slice
@@ -145,7 +482,7 @@ export class VisualizationRenderer {
       ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle);
       ctx.closePath();
       
-      ctx.fillStyle = this.options.defaultColors[index % this.options.defaultColors.length];
+      ctx.fillStyle = color;
       ctx.fill();
       
       // Draw border
@@ -162,38 +499,140 @@ export class VisualizationRenderer {
    * @private
    */
   _drawLineChart(ctx, cellData, config, centerX, centerY, size) {
-    const field = config.field;
-    const data = cellData[field];
-    
-    if (!Array.isArray(data) || data.length < 2) return;
-
     const width = size * 0.8;
     const height = size * 0.6;
-    const padding = size * 0.1;
-    
-    const maxValue = Math.max(...data);
-    const minValue = Math.min(...data);
-    const range = maxValue - minValue;
+    const series = this._getSeries(cellData[config.field], config, centerX - width / 2, centerY + height / 2, width, height);
     
-    if (range === 0) return;
+    if (!series) return;
 
     // Draw line
     ctx.beginPath();
     ctx.strokeStyle = config.color || this.options.defaultColors[0];
     ctx.lineWidth = 2;
+    this._traceSeries(ctx, series.points);
+    ctx.stroke();
+  }
+
+  /**
+   * Draw area chart: a line chart filled down to zero, or to the bottom of
+   * the y domain when it does not include zero
+   * @private
+   */
+  _drawAreaChart(ctx, cellData, config, centerX, centerY, size) {
+    const width = size * 0.8;
+    const height = size * 0.6;
+    const bottom = centerY + height / 2;
+    const series = this._getSeries(cellData[config.field], config, centerX - width / 2, bottom, width, height);
     
-    data.forEach((value, index) => {
-      const x = centerX - width / 2 + (index / (data.length - 1)) * width;
-      const y = centerY + height / 2 - ((value - minValue) / range) * height;
-      
-      if (index === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
+    if (!series) return;
+
+    const color = config.color || this.options.defaultColors[0];
+    const [min, max] = series.domain;
+    const baseline = Math.min(Math.max(0, min), max);
+    const baseY = max > min ? bottom - ((baseline - min) / (max - min)) * height : bottom;
+
+    // Fill each run of values between gaps
+    ctx.save();
+    ctx.globalAlpha = config.fillOpacity !== undefined ? config.fillOpacity : 0.4;
+    ctx.fillStyle = color;
+    let run = [];
+    const fillRun = () => {
+      if (run.length > 1) {
+        ctx.beginPath();
+        ctx.moveTo(run[0][0], baseY);
+        run.forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.lineTo(run[run.length - 1][0], baseY);
+        ctx.closePath();
+        ctx.fill();
       }
-    });
+      run = [];
+    };
+    series.points.forEach(point => point ? run.push(point) : fillRun());
+    fillRun();
+    ctx.restore();
+
+    // Draw line
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    this._traceSeries(ctx, series.points);
+    ctx.stroke();
+  }
+
+  /**
+   * Draw sparkline: a thin line across the cell with a dot on the last value
+   * @private
+   */
+  _drawSparkline(ctx, cellData, config, centerX, centerY, size) {
+    const width = size * 0.9;
+    const height = size * 0.4;
+    const series = this._getSeries(cellData[config.field], config, centerX - width / 2, centerY + height / 2, width, height);
     
+    if (!series) return;
+
+    const color = config.color || this.options.defaultColors[0];
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    this._traceSeries(ctx, series.points);
     ctx.stroke();
+
+    const last = series.points.filter(point => point).pop();
+    ctx.beginPath();
+    ctx.arc(last[0], last[1], Math.max(1.5, size * 0.04), 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+
+  /**
+   * Map a series to screen points inside a box. The y domain is the resolved
+   * y scale when there is one (so all cells share one scale), otherwise the
+   * series' own range. Missing values (null) become null points.
+   * @private
+   * @returns {Object|null} { points, domain } with the resolved y domain,
+   *   or null when there is nothing to draw
+   */
+  _getSeries(data, config, left, bottom, width, height) {
+    if (!Array.isArray(data) || data.length < 2) return null;
+
+    const isValue = value => typeof value === 'number' && !isNaN(value);
+    let domain = this._getScale(config, 'y');
+    if (!domain) {
+      const values = data.filter(isValue);
+      if (values.length === 0) return null;
+      domain = [Math.min(...values), Math.max(...values)];
+      // A flat series has no shape on its own scale
+      if (domain[1] === domain[0]) return null;
+    }
+
+    const [min, max] = domain;
+    const range = max - min;
+    const points = data.map((value, index) => {
+      if (!isValue(value)) return null;
+      const level = range > 0 ? (Math.min(max, Math.max(min, value)) - min) / range : 0.5;
+      return [left + (index / (data.length - 1)) * width, bottom - level * height];
+    });
+
+    if (!points.some(point => point)) return null;
+    return { points, domain };
+  }
+
+  /**
+   * Add the path of a series to the context, leaving gaps at null points
+   * @private
+   */
+  _traceSeries(ctx, points) {
+    let drawing = false;
+    points.forEach(point => {
+      if (!point) {
+        drawing = false;
+      } else if (drawing) {
+        ctx.lineTo(point[0], point[1]);
+      } else {
+        ctx.moveTo(point[0], point[1]);
+        drawing = true;
+      }
+    });
   }
 
   /**
@@ -211,16 +650,22 @@ export class VisualizationRenderer {
     
     if (!Array.isArray(xValues) || !Array.isArray(yValues)) return;
 
+    const xDomain = this._getScale(config, 'x') || this._getExtent(xValues);
+    const yDomain = this._getScale(config, 'y') || this._getExtent(yValues);
+    
+    if (!xDomain || !yDomain) return;
+
     const radius = size * 0.05;
-    const maxRadius = size * 0.1;
+    const xLevel = this._getLevel(xDomain);
+    const yLevel = this._getLevel(yDomain);
     
     xValues.forEach((x, index) => {
       const y = yValues[index];
       if (x === null || y === null) return;
       
       // Normalize coordinates to cell space
-      const normalizedX = centerX + (x - Math.min(...xValues)) / (Math.max(...xValues) - Math.min(...xValues)) * size * 0.6 - size * 0.3;
-      const normalizedY = centerY - (y - Math.min(...yValues)) / (Math.max(...yValues) - Math.min(...yValues)) * size * 0.6 + size * 0.3;
+      const normalizedX = centerX + xLevel(x) * size * 0.6 - size * 0.3;
+      const normalizedY = centerY - yLevel(y) * size * 0.6 + size * 0.3;
       
       ctx.beginPath();
       ctx.arc(normalizedX, normalizedY, radius, 0, 2 * Math.PI);
@@ -243,23 +688,19 @@ export class VisualizationRenderer {
     const height = size * 0.6;
     const bins = config.bins || 5;
     
-    // Create histogram bins
-    const min = Math.min(...data);
-    const max = Math.max(...data);
-    const binSize = (max - min) / bins;
+    // Create histogram bins over the shared x scale, or the cell's own range
+    const domain = this._getScale(config, 'x') || this._getExtent(data);
+    if (!domain) return;
+    const histogram = this._binValues(data, domain, bins);
     
-    const histogram = new Array(bins).fill(0);
-    data.forEach(value => {
-      const binIndex = Math.min(Math.floor((value - min) / binSize), bins - 1);
-      histogram[binIndex]++;
-    });
-    
-    const maxCount = Math.max(...histogram);
+    const countDomain = this._getScale(config, 'count');
+    const maxCount = countDomain ? countDomain[1] : Math.max(...histogram);
+    if (!(maxCount > 0)) return;
     
     // Draw bars
     const barWidth = width / bins;
     histogram.forEach((count, index) => {
-      const barHeight = (count / maxCount) * height;
+      const barHeight = Math.min(count / maxCount, 1) * height;
       const x = centerX - width / 2 + index * barWidth;
       const y = centerY + height / 2 - barHeight;
       
@@ -268,6 +709,350 @@ export class VisualizationRenderer {
     });
   }
 
+  /**
+   * Draw box plot from the percentiles of a cell: a box from the first to
+   * the third quartile with a median line, whiskers and, when the cell's
+   * attributes are available, its outliers as dots
+   * @private
+   */
+  _drawBoxPlot(ctx, cellData, config, centerX, centerY, size) {
+    const quantiles = this._getQuantiles(cellData[config.field], config);
+    if (!quantiles) return;
+
+    const q1 = this._interpolateQuantile(quantiles, 25);
+    const median = this._interpolateQuantile(quantiles, 50);
+    const q3 = this._interpolateQuantile(quantiles, 75);
+
+    // Whiskers at the outer percentiles, or at Tukey's fences without them
+    const first = quantiles[0];
+    const last = quantiles[quantiles.length - 1];
+    const coef = config.whisker !== undefined ? config.whisker : 1.5;
+    let low = first[0] < 25 ? first[1] : q1 - coef * (q3 - q1);
+    let high = last[0] > 75 ? last[1] : q3 + coef * (q3 - q1);
+
+    // Raw values tighten Tukey's whiskers to the data and give the outliers
+    const values = config.outliers === false ? [] : this._getCellValues(cellData, config.field);
+    if (values.length > 0) {
+      const fenceLow = low;
+      const fenceHigh = high;
+      if (first[0] >= 25) low = values.reduce((min, value) => value >= fenceLow && value < min ? value : min, q1);
+      if (last[0] <= 75) high = values.reduce((max, value) => value <= fenceHigh && value > max ? value : max, q3);
+    }
+    const outliers = values.filter(value => value < low || value > high);
+
+    const height = size * 0.8;
+    const bottom = centerY + height / 2;
+    // Reduce rather than spread: cells can hold many outliers
+    const domain = this._getScale(config, 'y') || [
+      outliers.reduce((min, value) => Math.min(min, value), low),
+      outliers.reduce((max, value) => Math.max(max, value), high)
+    ];
+    const toY = this._getValueScale(domain, bottom, height);
+    const boxWidth = size * 0.4;
+    const color = config.color || this.options.defaultColors[0];
+
+    ctx.save();
+    ctx.strokeStyle = config.strokeColor || '#333';
+    ctx.lineWidth = this.options.strokeWidth;
+
+    // Whiskers with caps
+    ctx.beginPath();
+    ctx.moveTo(centerX, toY(low));
+    ctx.lineTo(centerX, toY(q1));
+    ctx.moveTo(centerX, toY(q3));
+    ctx.lineTo(centerX, toY(high));
+    ctx.moveTo(centerX - boxWidth / 4, toY(low));
+    ctx.lineTo(centerX + boxWidth / 4, toY(low));
+    ctx.moveTo(centerX - boxWidth / 4, toY(high));
+    ctx.lineTo(centerX + boxWidth / 4, toY(high));
+    ctx.stroke();
+
+    // Box and median
+    const boxTop = toY(q3);
+    const boxHeight = Math.max(1, toY(q1) - boxTop);
+    ctx.fillStyle = color;
+    ctx.fillRect(centerX - boxWidth / 2, boxTop, boxWidth, boxHeight);
+    ctx.strokeRect(centerX - boxWidth / 2, boxTop, boxWidth, boxHeight);
+    ctx.beginPath();
+    ctx.lineWidth = this.options.strokeWidth * 2;
+    ctx.moveTo(centerX - boxWidth / 2, toY(median));
+    ctx.lineTo(centerX + boxWidth / 2, toY(median));
+    ctx.stroke();
+
+    // Outliers inside the drawn range
+    ctx.lineWidth = this.options.strokeWidth;
+    const radius = Math.max(1, size * 0.03);
+    outliers.forEach(value => {
+      if (value < domain[0] || value > domain[1]) return;
+      ctx.beginPath();
+      ctx.arc(centerX, toY(value), radius, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Draw violin from the percentiles of a cell: its width at a value follows
+   * the density between neighbouring percentiles, so more percentiles (e.g.
+   * every 10th) give a finer shape. A dot marks the median.
+   * @private
+   */
+  _drawViolin(ctx, cellData, config, centerX, centerY, size) {
+    const quantiles = this._getQuantiles(cellData[config.field], config);
+    if (!quantiles || quantiles.length < 3) return;
+
+    const min = quantiles[0][1];
+    const max = quantiles[quantiles.length - 1][1];
+    const height = size * 0.8;
+    const toY = this._getValueScale(this._getScale(config, 'y') || [min, max], centerY + height / 2, height);
+    const halfWidth = size * 0.35;
+    const color = config.color || this.options.defaultColors[0];
+
+    // Density of each interval between percentiles, at its middle value;
+    // intervals of (nearly) equal values get a minimum width in value
+    const minSpan = Math.max((max - min) * 0.02, Number.EPSILON);
+    const densities = [];
+    for (let i = 0; i < quantiles.length - 1; i++) {
+      const [p0, v0] = quantiles[i];
+      const [p1, v1] = quantiles[i + 1];
+      densities.push([(v0 + v1) / 2, (p1 - p0) / Math.max(v1 - v0, minSpan)]);
+    }
+    const maxDensity = Math.max(...densities.map(([, density]) => density));
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(centerX, toY(min));
+    densities.forEach(([value, density]) => ctx.lineTo(centerX + (density / maxDensity) * halfWidth, toY(value)));
+    ctx.lineTo(centerX, toY(max));
+    for (let i = densities.length - 1; i >= 0; i--) {
+      const [value, density] = densities[i];
+      ctx.lineTo(centerX - (density / maxDensity) * halfWidth, toY(value));
+    }
+    ctx.closePath();
+    ctx.globalAlpha = config.fillOpacity !== undefined ? config.fillOpacity : 0.7;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = config.strokeColor || '#333';
+    ctx.lineWidth = this.options.strokeWidth;
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.arc(centerX, toY(this._interpolateQuantile(quantiles, 50)), Math.max(1.5, size * 0.04), 0, 2 * Math.PI);
+    ctx.fillStyle = '#fff';
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Pair a cell's percentile values with their percentiles: config.percentiles
+   * when given, otherwise quartiles for three values and even steps from 0 to
+   * 100 for other lengths
+   * @private
+   * @returns {Array|null} [[p, value], ...] sorted by p, or null when there is nothing to draw
+   */
+  _getQuantiles(data, config) {
+    if (!Array.isArray(data) || data.length < 3) return null;
+
+    const ps = Array.isArray(config.percentiles) && config.percentiles.length === data.length
+      ? config.percentiles
+      : data.length === 3 ? [25, 50, 75] : data.map((_, i) => (i / (data.length - 1)) * 100);
+    const quantiles = data
+      .map((value, i) => [ps[i], value])
+      .filter(([, value]) => typeof value === 'number' && !isNaN(value))
+      .sort((a, b) => a[0] - b[0]);
+    return quantiles.length >= 3 ? quantiles : null;
+  }
+
+  /**
+   * Read a percentile from [p, value] pairs, interpolating between neighbours
+   * @private
+   */
+  _interpolateQuantile(quantiles, p) {
+    if (p <= quantiles[0][0]) return quantiles[0][1];
+    for (let i = 1; i < quantiles.length; i++) {
+      const [p1, v1] = quantiles[i];
+      if (p <= p1) {
+        const [p0, v0] = quantiles[i - 1];
+        return p1 > p0 ? v0 + (v1 - v0) * ((p - p0) / (p1 - p0)) : v1;
+      }
+    }
+    return quantiles[quantiles.length - 1][1];
+  }
+
+  /**
+   * Get the numeric values of a field from the attributes of a cell
+   * @private
+   */
+  _getCellValues(cellData, field) {
+    const attributes = cellData.attributes;
+    if (!Array.isArray(attributes)) return [];
+    return attributes
+      .map(row => row && row[field])
+      .filter(value => typeof value === 'number' && !isNaN(value));
+  }
+
+  /**
+   * Map values to y coordinates of a box, clamped to the domain
+   * @private
+   */
+  _getValueScale(domain, bottom, height) {
+    const level = this._getLevel(domain);
+    return value => bottom - level(value) * height;
+  }
+
+  /**
+   * Map values to their position in a domain, from 0 at its minimum to 1 at
+   * its maximum, clamped to the domain (0.5 for a domain of a single value)
+   * @private
+   */
+  _getLevel(domain) {
+    const [min, max] = domain;
+    const range = max - min;
+    return value => range > 0 ? (Math.min(max, Math.max(min, value)) - min) / range : 0.5;
+  }
+
+  /**
+   * Count values in equal bins over a domain; values outside it count in the end bins
+   * @private
+   * @returns {Array} Count of each bin
+   */
+  _binValues(values, domain, bins) {
+    const [min, max] = domain;
+    const binSize = (max - min) / bins;
+    const histogram = new Array(bins).fill(0);
+    values.forEach(value => {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      const binIndex = binSize > 0 ? Math.floor((value - min) / binSize) : 0;
+      histogram[Math.min(Math.max(binIndex, 0), bins - 1)]++;
+    });
+    return histogram;
+  }
+
+  /**
+   * Draw radar (star) chart: one spoke per axis of config.fields and a
+   * polygon through the value of each axis, scaled to the axis domain
+   * @private
+   */
+  _drawRadarChart(ctx, cellData, config, centerX, centerY, size) {
+    const axes = this._getRadarAxes(config);
+    if (axes.length < 3) return;
+
+    const values = axes.map(axis => this._getAxisValue(cellData, axis));
+    const extent = this._getExtent(values);
+    if (!extent) return;
+
+    // Axes without a shared domain use the cell's own range from zero
+    const domains = this._getScale(config, 'axes') || [];
+    const localDomain = [Math.min(0, extent[0]), extent[1]];
+    const radius = size * 0.4;
+    const color = config.color || this.options.defaultColors[0];
+    const angleOf = i => -Math.PI / 2 + (i / axes.length) * 2 * Math.PI;
+
+    if (config.spokes !== false) {
+      ctx.beginPath();
+      ctx.strokeStyle = config.spokeColor || '#999';
+      ctx.lineWidth = 0.5;
+      axes.forEach((_, i) => {
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(centerX + Math.cos(angleOf(i)) * radius, centerY + Math.sin(angleOf(i)) * radius);
+      });
+      ctx.stroke();
+    }
+
+    // Missing values sit at the centre
+    const points = values.map((value, i) => {
+      const domain = domains[i] || localDomain;
+      const level = value === null || !(domain[1] > domain[0]) ? 0 : this._getLevel(domain)(value);
+      return [
+        centerX + Math.cos(angleOf(i)) * radius * level,
+        centerY + Math.sin(angleOf(i)) * radius * level
+      ];
+    });
+
+    ctx.beginPath();
+    points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+    ctx.closePath();
+
+    ctx.save();
+    ctx.globalAlpha = config.fillOpacity !== undefined ? config.fillOpacity : 0.4;
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.restore();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+  }
+
+  /**
+   * Get the axes of a radar config: each entry of config.fields as
+   * { field, category, domain }
+   * @private
+   */
+  _getRadarAxes(config) {
+    if (!Array.isArray(config.fields)) return [];
+    return config.fields.map(axis => typeof axis === 'string' ? { field: axis } : axis);
+  }
+
+  /**
+   * Get the value of a radar axis in a cell: the field's number, or with a
+   * category the count of that category in the field's frequencies
+   * @private
+   * @returns {number|null} Value, or null when the cell has none
+   */
+  _getAxisValue(cellData, axis) {
+    const value = cellData[axis.field];
+    if (axis.category !== undefined) {
+      return value && typeof value === 'object' ? value[axis.category] || 0 : null;
+    }
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+  }
+
+  /**
+   * Draw fill: the glyph box (or a circle with shape 'circle') in
+   * config.getFill(cellData) when the layer resolved a color scale, or in
+   * config.color
+   * @private
+   */
+  _drawFill(ctx, cellData, config, centerX, centerY, size) {
+    ctx.fillStyle = config.getFill ? config.getFill(cellData) : config.color || this.options.defaultColors[0];
+    if (config.shape === 'circle') {
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, size / 2, 0, 2 * Math.PI);
+      ctx.fill();
+    } else {
+      ctx.fillRect(centerX - size / 2, centerY - size / 2, size, size);
+    }
+  }
+
+  /**
+   * Draw a glyph spec (config.spec, see glyph-spec.js) in the glyph box
+   * @private
+   */
+  _drawSpec(ctx, cellData, config, centerX, centerY, size) {
+    if (!config.spec) return;
+
+    const scales = config.scales || config;
+    if (!this._specColorScales.has(scales)) this._specColorScales.set(scales, new Map());
+    const boxSize = size * 0.8;
+
+    drawGlyphSpec(ctx, cellData, config.spec, {
+      left: centerX - boxSize / 2,
+      top: centerY - boxSize / 2,
+      width: boxSize,
+      height: boxSize
+    }, {
+      fieldDomains: config.scales && config.scales.fields,
+      categoryDomains: config.categoryDomains,
+      colorScales: this._specColorScales.get(scales),
+      palette: this.options.defaultColors,
+      fontSize: this.options.fontSize,
+      fontFamily: this.options.fontFamily
+    });
+  }
+
   /**
    * Draw donut chart
    * @private
@@ -280,14 +1065,14 @@ export class VisualizationRenderer {
 
     const outerRadius = size * 0.4;
     const innerRadius = size * 0.2;
-    const entries = Object.entries(data);
-    const total = entries.reduce((sum, [_, value]) => sum + value, 0);
+    const entries = this._getCategoryEntries(data, config);
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
     
     if (total === 0) return;
 
     let currentAngle = -Math.PI / 2;
     
-    entries.forEach(([key, value], index) => {
+    entries.forEach(({ value, color }) => {
       const sliceAngle = (value / total) * 2 * Math.PI;
       
       // Draw outer arc
@@ -296,7 +1081,7 @@ export class VisualizationRenderer {
       ctx.arc(centerX, centerY, innerRadius, currentAngle + sliceAngle, currentAngle, true);
       ctx.closePath();
       
-      ctx.fillStyle = this.options.defaultColors[index % this.options.defaultColors.length];
+      ctx.fillStyle = color;
       ctx.fill();
       
       currentAngle += sliceAngle;
@@ -313,8 +1098,8 @@ export class VisualizationRenderer {
     
     if (!data || typeof data !== 'object') return;
 
-    const entries = Object.entries(data);
-    const total = entries.reduce((sum, [_, value]) => sum + value, 0);
+    const entries = this._getCategoryEntries(data, config);
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
     
     if (total === 0) return;
 
@@ -328,7 +1113,7 @@ export class VisualizationRenderer {
     let currentY = y;
     let rowHeight = 0;
     
-    entries.forEach(([key, value], index) => {
+    entries.forEach(({ value, color }) => {
       const area = (value / total) * width * height;
       const rectWidth = Math.sqrt(area * (width / height));
       const rectHeight = area / rectWidth;
@@ -339,7 +1124,7 @@ export class VisualizationRenderer {
         rowHeight = 0;
       }
       
-      ctx.fillStyle = this.options.defaultColors[index % this.options.defaultColors.length];
+      ctx.fillStyle = color;
       ctx.fillRect(currentX, currentY, rectWidth, rectHeight);
       
       currentX += rectWidth;
@@ -422,8 +1207,9 @@ export class VisualizationRenderer {
     
     if (value === undefined || value === null) return;
 
-    const maxValue = config.maxValue || value;
-    const radius = Math.min((value / maxValue) * size * 0.4, size * 0.4);
+    const domain = this._getScale(config, 'value');
+    const maxValue = domain ? domain[1] : value;
+    const radius = maxValue > 0 ? Math.min(Math.max(0, value / maxValue), 1) * size * 0.4 : 0;
     
     ctx.beginPath();
     ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
@@ -491,7 +1277,7 @@ export class VisualizationRenderer {
   getAvailableChartTypes(dataType) {
     switch (dataType) {
       case DATA_TYPES.NUMERIC:
-        return [CHART_TYPES.BAR, CHART_TYPES.LINE, CHART_TYPES.SCATTER, CHART_TYPES.HISTOGRAM, CHART_TYPES.CIRCLE];
+        return [CHART_TYPES.BAR, CHART_TYPES.LINE, CHART_TYPES.SCATTER, CHART_TYPES.HISTOGRAM, CHART_TYPES.BOXPLOT, CHART_TYPES.VIOLIN, CHART_TYPES.RADAR, CHART_TYPES.CIRCLE];
         
       case DATA_TYPES.NOMINAL:
         return [CHART_TYPES.PIE, CHART_TYPES.BAR, CHART_TYPES.DONUT, CHART_TYPES.TREEMAP, CHART_TYPES.TEXT];
@@ -500,7 +1286,7 @@ export class VisualizationRenderer {
         return [CHART_TYPES.BAR, CHART_TYPES.LINE, CHART_TYPES.AREA];
         
       case DATA_TYPES.TEMPORAL:
-        return [CHART_TYPES.LINE, CHART_TYPES.AREA, CHART_TYPES.BAR];
+        return [CHART_TYPES.LINE, CHART_TYPES.AREA, CHART_TYPES.SPARKLINE, CHART_TYPES.BAR];
         
       default:
         return [CHART_TYPES.TEXT, CHART_TYPES.ICON, CHART_TYPES.CIRCLE];
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import { settleWorker } from './helpers/worker.js';
+import '../src/index.js';
+
+const aggregationConfig = { fields: ['Usia', 'Jenis'], aggregations: { Usia: 'mean', Jenis: 'frequency' } };
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, padding: 2, aggregationConfig, ...options });
+  map.addLayer(layer);
+  await layer.loadData(createRows(3000));
+  layer.onDrawLayer({ canvas: layer._canvas });
+  await settleWorker(layer);
+  return { map, layer };
+};
+
+const summarise = layer => layer.gridData
+  .map(cell => ({
+    key: layer._getCellKey(cell),
+    count: cell.count,
+    totalCount: cell.totalCount,
+    Usia: cell.Usia,
+    Jenis: cell.Jenis,
+    indices: Array.from(cell.indices).sort((a, b) => a - b)
+  }))
+  .sort((a, b) => (a.key < b.key ? -1 : 1));
+
+// Static squares are not binned on the main thread: each cell queries its own bounds
+[
+  ['static hexagons', { gridType: 'hexagon' }],
+  ['dynamic squares', { gridType: 'square', dynamicMode: true }],
+  ['dynamic hexagons', { gridType: 'hexagon', dynamicMode: true }]
+].forEach(([name, options]) => {
+  test(`the worker bins ${name} like the main thread`, async () => {
+    const { layer: main } = await addLayer(options);
+    const { layer: offloaded } = await addLayer({ ...options, useWorker: true });
+    assert.ok(offloaded._workerJobId > 0);
+    assert.ok(main.gridData.length > 10);
+    assert.deepEqual(summarise(offloaded), summarise(main));
+  });
+});
+
+test('the worker applies filters and weights like the main thread', async () => {
+  const options = { gridType: 'hexagon', weightField: 'Tahun' };
+  const { layer: main } = await addLayer(options);
+  const { layer: offloaded } = await addLayer({ ...options, useWorker: true });
+  main.setFilter('Usia >= 40');
+  offloaded.setFilter('Usia >= 40');
+  await settleWorker(offloaded);
+  assert.deepEqual(summarise(offloaded), summarise(main));
+});
+
+test('a failed worker job is aggregated on the main thread', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { layer } = await addLayer({ gridType: 'hexagon', useWorker: true });
+  const expected = summarise(layer);
+
+
+  layer.gridData = [];
+  layer._onWorkerMessage({ type: 'error', jobId: layer._workerJobId, message: 'Out of memory' });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(layer.useWorker, false);
+  assert.equal(layer._worker, null);
+  assert.deepEqual(summarise(layer), expected);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, ...options });
+  map.addLayer(layer);
+  await layer.loadData(createRows());
+  layer.onDrawLayer({ canvas: layer._canvas });
+  return { map, layer };
+};
+
+const meanAge = {
+  aggregationConfig: { fields: ['Usia'], aggregations: { Usia: 'mean' } },
+  cellColor: { field: 'Usia', classification: 'quantile', classes: 4, breaks: 'global' }
+};
+
+test('global breaks are fitted once and kept while the map moves', async () => {
+  const { map, layer } = await addLayer({ ...meanAge, dynamicMode: true });
+  const scale = layer.getCellColorScale();
+  assert.equal(scale.breaks.length, 5);
+
+  map.panBy([40, 0]);
+  layer.setCellColor({ ...meanAge.cellColor });
+  assert.equal(layer.getCellColorScale(), scale);
+
+  layer.setCellColor({ ...meanAge.cellColor, classes: 3 });
+  assert.equal(layer.getCellColorScale().breaks.length, 4);
+});
+
+test('global breaks are refitted after the data or the filter changes', async () => {
+  const { layer } = await addLayer(meanAge);
+  const scale = layer.getCellColorScale();
+
+  layer.setFilter('Usia > 40');
+  assert.notEqual(layer.getCellColorScale(), scale);
+
+  const filtered = layer.getCellColorScale();
+  await layer.loadData(createRows(100));
+  assert.notEqual(layer.getCellColorScale(), filtered);
+});
+
+test('grid breaks follow the cells', async () => {
+  const { map, layer } = await addLayer({ cellColor: { field: 'count', classification: 'quantile', classes: 3 } });
+  const scale = layer.getCellColorScale();
+  map.panBy([40, 0]);
+  assert.notEqual(layer.getCellColorScale(), scale);
+  assert.equal(layer.getCellColorScale().domain[0], Math.min(...layer.gridData.map(cell => cell.count)));
+});
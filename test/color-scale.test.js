@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CLASSIFICATION_METHODS, SCALE_TYPES, computeBreaks, jenksBreaks, createColorScale } from '../src/modules/color-scale.js';
+
+const clusters = [1, 2, 3, 10, 11, 12, 20, 21, 22];
+
+test('jenks breaks separate natural clusters', () => {
+  assert.deepEqual(jenksBreaks(clusters, 3), [1, 10, 20, 22]);
+  assert.deepEqual(computeBreaks([22, 1, 11, 3, 20, 2, 12, 10, 21], CLASSIFICATION_METHODS.JENKS, 3), [1, 10, 20, 22]);
+});
+
+test('jenks breaks never ask for more classes than values', () => {
+  assert.deepEqual(jenksBreaks([4, 8], 5), [4, 8, 8]);
+  assert.deepEqual(jenksBreaks([7], 3), [7, 7]);
+});
+
+test('jenks breaks of large inputs are sampled but keep the extremes', () => {
+  const values = Array.from({ length: 5000 }, (_, i) => (i < 2500 ? i % 10 : 1000 + i % 10));
+  const breaks = jenksBreaks(values, 2);
+  assert.deepEqual(breaks, [0, 1000, 1009]);
+});
+
+test('quantile breaks put the same number of values in each class', () => {
+  const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  assert.deepEqual(computeBreaks(values, CLASSIFICATION_METHODS.QUANTILE, 4), [1, 3, 5, 7, 10]);
+});
+
+test('equal interval breaks divide the range', () => {
+  assert.deepEqual(computeBreaks([0, 3, 10], CLASSIFICATION_METHODS.EQUAL_INTERVAL, 5), [0, 2, 4, 6, 8, 10]);
+  assert.deepEqual(computeBreaks([NaN, null, 'a'], CLASSIFICATION_METHODS.EQUAL_INTERVAL, 5), []);
+});
+
+test('classed scales give one color per class', () => {
+  const scale = createColorScale({ classification: CLASSIFICATION_METHODS.JENKS, classes: 3 }).fit(clusters);
+  assert.deepEqual(scale.breaks, [1, 10, 20, 22]);
+  assert.equal(scale.getColor(2), scale.getColor(3));
+  assert.notEqual(scale.getColor(3), scale.getColor(10));
+  assert.equal(scale.getColor(22), scale.getColor(20));
+  assert.equal(scale.getLegend().length, 3);
+  assert.equal(scale.getColor(null), scale.options.nullColor);
+});
+
+test('a fixed domain sets equal interval breaks', () => {
+  const scale = createColorScale({ classification: CLASSIFICATION_METHODS.EQUAL_INTERVAL, classes: 2 }).fit([5, 6], [0, 100]);
+  assert.deepEqual(scale.domain, [0, 100]);
+  assert.deepEqual(scale.breaks, [0, 50, 100]);
+});
+
+test('categorical scales order categories by frequency', () => {
+  const scale = createColorScale({ type: SCALE_TYPES.CATEGORICAL }).fit(['b', 'a', 'b', null, 'c', 'b', 'a']);
+  assert.deepEqual(scale.categories, ['b', 'a', 'c']);
+  assert.equal(scale.getColor('d'), scale.options.nullColor);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { COLUMN_TYPES, createCSVParser, parseCSV } from '../src/modules/csv-parser.js';
+
+test('quoted fields keep delimiters, quotes and line breaks', async () => {
+  const text = 'name,note\r\n"Smith, J","said ""hi""\non two lines"\r\nDoe,plain\r\n';
+  assert.deepEqual(await parseCSV(text), [
+    { name: 'Smith, J', note: 'said "hi"\non two lines' },
+    { name: 'Doe', note: 'plain' }
+  ]);
+});
+
+test('CR, LF and CRLF line endings and a byte order mark are handled', async () => {
+  const rows = await parseCSV('\uFEFFa,b\r1,2\n3,4\r\n5,6');
+  assert.deepEqual(rows, [{ a: '1', b: '2' }, { a: '3', b: '4' }, { a: '5', b: '6' }]);
+});
+
+test('records may span chunks, even between CR and LF', () => {
+  const parser = createCSVParser();
+  const text = 'a,b\r\n"x\r\ny",2\r\n3,"4"""\r\n';
+  const rows = [];
+  for (let i = 0; i < text.length; i++) rows.push(...parser.parseChunk(text[i]));
+  rows.push(...parser.flush());
+  assert.deepEqual(rows, [{ a: 'x\r\ny', b: '2' }, { a: '3', b: '4"' }]);
+});
+
+test('type hints convert values and empty values become null', async () => {
+  const rows = await parseCSV('n,d,b,s,f\n1.5,2017-01-02,yes,007,x\n,,no,,', {
+    types: { n: COLUMN_TYPES.NUMBER, d: COLUMN_TYPES.DATE, b: COLUMN_TYPES.BOOLEAN, s: COLUMN_TYPES.STRING, f: v => v.toUpperCase() }
+  });
+  assert.equal(rows[0].n, 1.5);
+  assert.ok(rows[0].d instanceof Date);
+  assert.equal(rows[0].b, true);
+  assert.equal(rows[0].s, '007');
+  assert.equal(rows[0].f, 'X');
+  assert.deepEqual(rows[1], { n: null, d: null, b: false, s: null, f: null });
+});
+
+test('rows without a header use the given columns', async () => {
+  const rows = await parseCSV('1;2\n\n3;4\n', { header: false, columns: ['x', 'y'], delimiter: ';' });
+  assert.deepEqual(rows, [{ x: '1', y: '2' }, { x: '3', y: '4' }]);
+});
+
+test('an unterminated quote is reported with its line', async () => {
+  await assert.rejects(parseCSV('a,b\n1,2\n"open,3\n'), /Unterminated quoted field starting on line 3/);
+  assert.throws(() => createCSVParser({ delimiter: '::' }), /single characters/);
+});
+
+test('Blobs and byte streams parse like strings', async () => {
+  const text = 'a,b\n"é",2\n';
+  const expected = await parseCSV(text);
+  assert.deepEqual(await parseCSV(new Blob([text])), expected);
+
+  // Split the two bytes of é across chunks
+  const bytes = new TextEncoder().encode(text);
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, 5));
+      controller.enqueue(bytes.slice(5));
+      controller.close();
+    }
+  });
+  assert.deepEqual(await parseCSV(stream), expected);
+});
+
+test('string sources are parsed in chunks with progress', async () => {
+  const progress = [];
+  const rows = await parseCSV('a\n1\n2\n3\n', { chunkSize: 3, onProgress: event => progress.push(event.loaded) });
+  assert.equal(rows.length, 3);
+  assert.deepEqual(progress, [3, 6, 8]);
+});
+
+test('the example data parses into one row per record', async () => {
+  const text = await readFile(new URL('../examples/data/kriminalitas_jogja.csv', import.meta.url), 'utf8');
+  const rows = await parseCSV(text, { types: { X: COLUMN_TYPES.NUMBER, Y: COLUMN_TYPES.NUMBER } });
+  assert.equal(rows.length, text.trim().split('\n').length - 1);
+  // Reports without a location have empty coordinates
+  rows.forEach(row => {
+    assert.ok(typeof row.X === 'number' || row.X === null);
+    assert.ok(typeof row.Y === 'number' || row.Y === null);
+  });
+});
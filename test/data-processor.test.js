@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDataProcessor } from '../src/modules/data-processor.js';
+
+test('custom aggregations keep a source the worker can rebuild', () => {
+  const processor = createDataProcessor();
+  processor.registerAggregation('range', function (values) {
+    return Math.max(...values) - Math.min(...values);
+  });
+  processor.registerAggregation('first', values => values[0]);
+
+  ['range', 'first'].forEach(name => {
+    const rebuilt = new Function(`return (${processor.getCustomAggregationSource(name)});`)();
+    assert.equal(rebuilt([3, 1, 2]), processor.getCustomAggregations().get(name)([3, 1, 2]));
+  });
+});
+
+test('custom aggregations that cannot be rebuilt have no source', () => {
+  const processor = createDataProcessor();
+  const methods = { top(values) { return values[0]; } };
+  processor.registerAggregation('top', methods.top);
+  processor.registerAggregation('bound', (values => values.length).bind(null));
+
+  assert.equal(processor.getCustomAggregationSource('top'), null);
+  assert.equal(processor.getCustomAggregationSource('bound'), null);
+  assert.equal(processor.getCustomAggregationSource('unknown'), null);
+  assert.equal(processor.aggregateCellData([{ a: 5 }, { a: 7 }], { aggregations: { a: 'top' } }).a, 5);
+});
+
+test('yearly series of every cell span the years of the dataset', async () => {
+  const processor = createDataProcessor();
+  const rows = [
+    { lat: 1, lng: 1, Tahun: 2016, Usia: 20 },
+    { lat: 1, lng: 1, Tahun: 2017, Usia: 30 },
+    { lat: 2, lng: 2, Tahun: 2019, Usia: 40 },
+    { lat: 2, lng: 2, Tahun: 2019, Usia: 50 }
+  ];
+  await processor.loadData(rows);
+  const config = { aggregations: { Tahun: { type: 'time_series', interval: 'year' } } };
+
+  assert.deepEqual(processor.aggregateCellData(rows.slice(0, 2), config).Tahun, [1, 1, 0, 0]);
+  assert.deepEqual(processor.aggregateCellData(rows.slice(2), config).Tahun, [0, 0, 0, 2]);
+
+  const store = processor.createColumnarStore(rows.map(row => ({ lat: row.lat, lng: row.lng, properties: row })));
+  assert.deepEqual(processor.aggregateIndices(store, [0, 1], config).Tahun, [1, 1, 0, 0]);
+  assert.deepEqual(processor.aggregateIndices(store, [2, 3], config).Tahun, [0, 0, 0, 2]);
+  assert.deepEqual(processor.getTimeSeriesLabels(config.aggregations.Tahun, [2016, 2019]), ['2016', '2017', '2018', '2019']);
+});
+
+test('yearly series without loaded data need their years', () => {
+  const processor = createDataProcessor();
+  const rows = [{ Tahun: 2017 }, { Tahun: 2018 }];
+  assert.throws(
+    () => processor.aggregateCellData(rows, { aggregations: { Tahun: { type: 'time_series', interval: 'year' } } }),
+    /Yearly time series of 'Tahun' need a years option/
+  );
+  const config = { aggregations: { Tahun: { type: 'time_series', interval: 'year', years: [2016, 2018] } } };
+  assert.deepEqual(processor.aggregateCellData(rows, config).Tahun, [0, 1, 1]);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { _getS2Discretiser, getS2LevelForZoom, validateS2Level, S2_MIN_LEVEL, S2_MAX_LEVEL } from '../src/modules/s2discretizer.js';
+import { _getH3Discretiser, getH3ResolutionForZoom } from '../src/modules/h3discretizer.js';
+
+// Yogyakarta, where the example data lies
+const lat = -7.8;
+const lng = 110.37;
+
+test('S2 levels follow the zoom and stay within the supported range', () => {
+  assert.ok(getS2LevelForZoom(14, lat, 20) > getS2LevelForZoom(8, lat, 20));
+  assert.equal(getS2LevelForZoom(0, lat, 2000), S2_MIN_LEVEL);
+  assert.equal(getS2LevelForZoom(30, lat, 1), S2_MAX_LEVEL);
+});
+
+test('S2 cells can be drawn at the coarsest level the zoom picks', () => {
+  const discretiser = _getS2Discretiser(getS2LevelForZoom(0, lat, 2000));
+  const token = discretiser.getCellId(lat, lng);
+  assert.equal(discretiser.getBoundary(token).length, 4);
+});
+
+test('S2 levels outside the supported range are rejected', () => {
+  [0, 31, 1.5, '14', undefined].forEach(level => {
+    assert.throws(() => _getS2Discretiser(level), /S2 level must be an integer from 1 to 30/);
+  });
+  assert.doesNotThrow(() => validateS2Level(14));
+});
+
+test('S2 tokens round-trip to the cell they address', () => {
+  const discretiser = _getS2Discretiser(14);
+  const token = discretiser.getCellId(lat, lng);
+  assert.equal(discretiser.getCellId(lat, lng), token);
+  assert.equal(discretiser.getResolution(), 14);
+
+  // A new discretiser rebuilds the cell from its token alone
+  const [centreLat, centreLng] = _getS2Discretiser(14).getCentre(token);
+  assert.equal(discretiser.getCellId(centreLat, centreLng), token);
+  assert.ok(Math.abs(centreLat - lat) < 0.01 && Math.abs(centreLng - lng) < 0.01);
+});
+
+test('H3 resolutions follow the zoom', () => {
+  const coarse = getH3ResolutionForZoom(6, lat, 20);
+  const fine = getH3ResolutionForZoom(14, lat, 20);
+  assert.ok(fine > coarse);
+  assert.ok(coarse >= 0 && fine <= 15);
+});
+
+test('H3 cells contain the points assigned to them', () => {
+  const discretiser = _getH3Discretiser(9);
+  const cell = discretiser.getCellId(lat, lng);
+  const [centreLat, centreLng] = discretiser.getCentre(cell);
+  assert.equal(discretiser.getCellId(centreLat, centreLng), cell);
+  assert.equal(discretiser.getBoundary(cell).length, 6);
+  assert.equal(discretiser.idProperty, 'h3Index');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilterExpression } from '../src/modules/filter-expression.js';
+
+const rows = [
+  { Name: 'Aniaya', Jenis_Kela: 'LK', Usia: 41, Waktu_Lapo: new Date('2017-01-15'), 'Waktu Kejadian': new Date('2017-01-10') },
+  { Name: 'Penipuan', Jenis_Kela: 'PR', Usia: 17, Waktu_Lapo: new Date('2017-02-20'), 'Waktu Kejadian': new Date('2017-02-02') },
+  { Name: 'Curi', Jenis_Kela: 'LK', Usia: 30, Waktu_Lapo: new Date('2017-04-01'), 'Waktu Kejadian': null },
+  { Name: 'Aniaya', Jenis_Kela: 'PR', Usia: null, Waktu_Lapo: null, 'Waktu Kejadian': null }
+];
+
+const matching = expression => {
+  const filter = compileFilterExpression(expression);
+  return rows.map((row, i) => (filter.test(row) ? i : -1)).filter(i => i !== -1);
+};
+
+test('comparisons combine with and, or and not', () => {
+  assert.deepEqual(matching('Jenis_Kela == "LK" and Usia > 40'), [0]);
+  assert.deepEqual(matching("Jenis_Kela = 'PR' || Usia <= 30"), [1, 2, 3]);
+  assert.deepEqual(matching('not (Usia >= 18)'), [1, 3]);
+  assert.deepEqual(matching('!(Name != "Aniaya") && Usia !== null'), [0]);
+});
+
+test('and binds tighter than or', () => {
+  assert.deepEqual(matching('Name == "Curi" or Jenis_Kela == "PR" and Usia < 20'), [1, 2]);
+  assert.deepEqual(matching('(Name == "Curi" or Jenis_Kela == "PR") and Usia < 20'), [1]);
+});
+
+test('in and not in test list membership', () => {
+  assert.deepEqual(matching('Name in ["Aniaya", "Penipuan"]'), [0, 1, 3]);
+  assert.deepEqual(matching('Name not in ["Aniaya", "Penipuan"]'), [2]);
+  assert.deepEqual(matching('Usia in [17, 30]'), [1, 2]);
+});
+
+test('dates compare with ISO date strings', () => {
+  assert.deepEqual(matching('Waktu_Lapo between "2017-01-01" and "2017-03-31"'), [0, 1]);
+  assert.deepEqual(matching('`Waktu Kejadian` >= "2017-02-01"'), [1]);
+});
+
+test('missing values only equal null', () => {
+  assert.deepEqual(matching('Usia == null'), [3]);
+  assert.deepEqual(matching('Usia < 100'), [0, 1, 2]);
+  assert.deepEqual(matching('Missing == null'), [0, 1, 2, 3]);
+});
+
+test('numbers compare with numeric strings as numbers', () => {
+  const filter = compileFilterExpression('Tahun >= 2017 and Kode == 7');
+  assert.ok(filter.test({ Tahun: '2017', Kode: '7.0' }));
+  assert.ok(!filter.test({ Tahun: '2016', Kode: '7' }));
+});
+
+test('the fields an expression uses are listed', () => {
+  const { fields } = compileFilterExpression('Name in ["Curi"] or (`Waktu Kejadian` > "2017" and Usia > 1 and Usia < 9)');
+  assert.deepEqual(fields.sort(), ['Name', 'Usia', 'Waktu Kejadian']);
+});
+
+test('invalid expressions are reported with their position', () => {
+  assert.throws(() => compileFilterExpression(''), /non-empty string/);
+  assert.throws(() => compileFilterExpression('Usia >'), /Invalid filter expression "Usia >": Unexpected end of expression at position 6/);
+  assert.throws(() => compileFilterExpression('Name == "Curi'), /Unterminated string at position 8/);
+  assert.throws(() => compileFilterExpression('Usia between 1 or 2'), /Expected 'and'/);
+  assert.throws(() => compileFilterExpression('Name in "Curi"'), /Expected a list/);
+  assert.throws(() => compileFilterExpression('Usia > 1 ; drop'), /Unexpected character ';' at position 9/);
+});
+
+test('expressions cannot reach code', () => {
+  assert.throws(() => compileFilterExpression('constructor.constructor("return 1")()'));
+  const filter = compileFilterExpression('constructor == null');
+  assert.ok(filter.test(Object.create(null)));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createCanvasContext, createMap, createRows } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, padding: 2, ...options });
+  map.addLayer(layer);
+  await layer.loadData(createRows());
+  layer.onDrawLayer({ canvas: layer._canvas });
+  return { map, layer };
+};
+
+const frequency = { fields: ['Jenis'], aggregations: { Jenis: 'frequency' } };
+
+test('glyphs of one field keep their own category colors', async () => {
+  const small = { type: 'pie', field: 'Jenis', maxCategories: 2, otherLabel: 'Lain' };
+  const large = { type: 'donut', field: 'Jenis', categoryColors: { Tipu: '#000000' } };
+  const { layer } = await addLayer({ aggregationConfig: frequency, visualizationConfig: large });
+
+  const legend = layer.getLegendData().glyph.categories;
+  assert.deepEqual(legend[0], { category: 'Tipu', color: '#000000' });
+  assert.equal(legend.length, 4);
+
+  const domain = layer._getGlyphConfig(small).categoryDomain;
+  assert.equal(domain.categories.length, 2);
+  assert.equal(domain.otherLabel, 'Lain');
+  assert.ok(domain.hasOther);
+
+  // Both domains are cached, and the first is not replaced by the second
+  assert.equal(layer._getGlyphConfig(large).categoryDomain.colors.get('Tipu'), '#000000');
+  assert.equal(layer._getGlyphConfig(small).categoryDomain, domain);
+});
+
+test('LOD rules pick the glyph of each cell by its size', async (t) => {
+  const { layer } = await addLayer({ gridType: 'h3', h3Resolution: 8, aggregationConfig: frequency });
+  const sizes = layer.gridData.map(cell => cell.getCellSize() - layer.padding).sort((a, b) => a - b);
+  const threshold = sizes[Math.floor(sizes.length / 2)];
+  assert.ok(sizes[0] < threshold);
+
+  layer.setVisualizationConfig({ type: 'pie', field: 'Jenis' });
+  layer.setLodRules([
+    { maxSize: 8, visualizationConfig: null },
+    { minSize: 8, maxSize: threshold, visualizationConfig: { type: 'circle', field: 'count' } }
+  ]);
+  assert.equal(layer._getLodConfig(7.9), null);
+  assert.equal(layer._getLodConfig(8).type, 'circle');
+  assert.equal(layer._getLodConfig(threshold).type, 'pie');
+
+  const drawn = t.mock.method(layer.visualizationRenderer, 'drawChart', () => {});
+  layer.drawGlyphs(createCanvasContext());
+  assert.deepEqual(
+    drawn.mock.calls.map(call => [call.arguments[1], call.arguments[2].type]),
+    layer.gridData.map(cell => [cell, cell.getCellSize() - layer.padding < threshold ? 'circle' : 'pie'])
+  );
+
+  // Cells below every rule draw no glyph
+  drawn.mock.resetCalls();
+  layer.setLodRules([{ visualizationConfig: null }]);
+  layer.drawGlyphs(createCanvasContext());
+  assert.equal(drawn.mock.callCount(), 0);
+  assert.equal(layer.getLegendData().glyph, null);
+});
+
+test('LOD rules are checked when they are set', async () => {
+  const { layer } = await addLayer({ aggregationConfig: frequency });
+  let legendChanges = 0;
+  layer.on('legendchange', () => legendChanges++);
+
+  assert.throws(() => layer.setLodRules({}), /LOD rules must be an array/);
+  assert.throws(() => layer.setLodRules([{ maxSize: 10 }]), /LOD rule 0 must be an object with a visualizationConfig/);
+  assert.throws(() => layer.setLodRules([{ visualizationConfig: null }, { minSize: 20, maxSize: 20, visualizationConfig: null }]), /LOD rule 1 needs numbers minSize < maxSize/);
+  assert.throws(() => layer.setLodRules([{ visualizationConfig: { type: 'pie', field: 'Jenis', scale: 'everywhere' } }]));
+  assert.equal(legendChanges, 0);
+
+  layer.setLodRules([{ maxSize: 40, visualizationConfig: { type: 'donut', field: 'Jenis' } }]);
+  assert.equal(legendChanges, 1);
+  assert.equal(layer.getLegendData().glyph.type, 'donut');
+  layer.setLodRules(null);
+  assert.deepEqual(layer.lodRules, []);
+});
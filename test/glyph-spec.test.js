@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGlyphSpec, getGlyphSpecFields, getGlyphSpecScaleFields, getGlyphValues, drawGlyphSpec } from '../src/modules/glyph-spec.js';
+import { COLOR_SCHEMES } from '../src/modules/color-scale.js';
+
+const schema = { Name: { type: 'nominal' }, Usia: { type: 'numeric' }, Waktu_Lapo: { type: 'temporal' } };
+
+const pie = {
+  mark: { type: 'arc', innerRadius: 0.5 },
+  encoding: {
+    theta: { field: 'Name' },
+    color: { field: 'Name', type: 'nominal' }
+  }
+};
+
+const bars = {
+  layer: [
+    { mark: 'rect', encoding: { x: { field: 'Waktu_Lapo', type: 'ordinal' }, y: { field: 'Waktu_Lapo', scale: { domain: [0, 10] } } } },
+    { mark: 'text', encoding: { text: { field: 'count', format: 0 }, color: { value: '#333' } } }
+  ]
+};
+
+// Records the calls made on a canvas context
+const recordingContext = () => {
+  const calls = [];
+  return new Proxy({ calls }, {
+    get: (target, key) => (key in target ? target[key] : (...args) => calls.push(key)),
+    set: () => true
+  });
+};
+
+test('valid specs pass, with or without a schema', () => {
+  assert.doesNotThrow(() => validateGlyphSpec(pie, schema));
+  assert.doesNotThrow(() => validateGlyphSpec(bars, schema));
+  assert.doesNotThrow(() => validateGlyphSpec({ mark: 'point', encoding: { size: { field: 'Anything' } } }));
+});
+
+test('every problem of a spec is listed', () => {
+  const spec = {
+    mark: { type: 'arc', radius: 3 },
+    encoding: {
+      theta: { field: 'Name', type: 'nominal' },
+      x: { field: 'Usia' },
+      color: { field: 'Missing', type: 'colour' },
+      size: {}
+    }
+  };
+  assert.throws(() => validateGlyphSpec(spec, schema), error => {
+    assert.match(error.message, /^Invalid glyph spec: /);
+    assert.match(error.message, /mark\.radius: not a property of arc marks/);
+    assert.match(error.message, /encoding\.theta\.type: the theta of arc marks must be quantitative/);
+    assert.match(error.message, /encoding\.x: arc marks have no x channel/);
+    assert.match(error.message, /encoding\.color\.field: unknown field "Missing"/);
+    assert.match(error.message, /encoding\.color\.type: unknown type "colour"/);
+    assert.match(error.message, /encoding\.size: needs a field or a value/);
+    return true;
+  });
+});
+
+test('marks, layers, scales and formats are checked', () => {
+  assert.throws(() => validateGlyphSpec(null), /spec: must be an object/);
+  assert.throws(() => validateGlyphSpec({ mark: 'pie' }), /unknown mark "pie"/);
+  assert.throws(() => validateGlyphSpec({ layer: [] }), /layer: must be a non-empty array/);
+  assert.throws(() => validateGlyphSpec({ layer: [pie, { mark: 'text' }] }), /layer\[1\]\.encoding\.text: text marks need a text channel/);
+  assert.throws(() => validateGlyphSpec({ mark: 'point', encoding: { y: { field: 'Usia', scale: { domain: [0] } } } }), /scale\.domain: must be \[min, max\]/);
+  assert.throws(() => validateGlyphSpec({ mark: 'text', encoding: { text: { field: 'Usia', format: -1 } } }), /format: must be a number of decimals or a function/);
+});
+
+test('the fields of a spec are listed once', () => {
+  assert.deepEqual(getGlyphSpecFields(pie), ['Name']);
+  assert.deepEqual(getGlyphSpecFields(bars).sort(), ['Waktu_Lapo', 'count']);
+  // Fixed domains and nominal fields do not share a scale
+  assert.deepEqual(getGlyphSpecScaleFields(bars), []);
+  assert.deepEqual(getGlyphSpecScaleFields({ mark: 'point', encoding: { x: { field: 'Usia' }, color: { field: 'Name', type: 'nominal' } } }), ['Usia']);
+});
+
+test('glyph values are read from numbers, arrays and frequencies', () => {
+  assert.deepEqual(getGlyphValues(4), [4]);
+  assert.deepEqual(getGlyphValues([1, null, 3]), [1, 3]);
+  assert.deepEqual(getGlyphValues({ a: 2, b: 5 }), [2, 5]);
+  assert.deepEqual(getGlyphValues(undefined), []);
+});
+
+test('one mark is drawn per item of a cell', () => {
+  const ctx = recordingContext();
+  const cell = { count: 6, Name: { Aniaya: 3, Curi: 2, Tipu: 1 }, Waktu_Lapo: [1, 4, 2] };
+  const box = { left: 0, top: 0, width: 40, height: 40 };
+
+  drawGlyphSpec(ctx, cell, pie, box, {});
+  assert.equal(ctx.calls.filter(call => call === 'fill').length, 3);
+
+  ctx.calls.length = 0;
+  drawGlyphSpec(ctx, cell, bars, box, {});
+  assert.equal(ctx.calls.filter(call => call === 'fillRect').length, 3);
+  assert.equal(ctx.calls.filter(call => call === 'fillText').length, 1);
+});
+
+test('options passed as undefined fall back to the defaults', () => {
+  const cell = { count: 6, Name: { Aniaya: 3, Curi: 2, Tipu: 1 }, Waktu_Lapo: [1, 4, 2] };
+  const box = { left: 0, top: 0, width: 40, height: 40 };
+  const styles = [];
+  const ctx = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      if (key === 'fillStyle' || key === 'font') styles.push(value);
+      return true;
+    }
+  });
+
+  drawGlyphSpec(ctx, cell, pie, box, { palette: undefined, fontSize: undefined, fontFamily: undefined });
+  assert.deepEqual(styles, COLOR_SCHEMES.categorical.tableau10.slice(0, 3));
+
+  styles.length = 0;
+  drawGlyphSpec(ctx, cell, bars.layer[1], box, { palette: undefined, fontSize: undefined, fontFamily: undefined });
+  assert.ok(styles.includes('12px Arial, sans-serif'));
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, ...options });
+  map.addLayer(layer);
+  await layer.loadData(createRows());
+  layer.onDrawLayer({ canvas: layer._canvas });
+  return { map, layer };
+};
+
+[
+  ['H3 cells', { gridType: 'h3', h3Resolution: 8 }],
+  ['S2 cells', { gridType: 's2', s2Level: 14 }],
+  ['metre squares', { gridType: 'square', gridUnits: 'meters', gridSize: 500 }]
+].forEach(([name, options]) => {
+  test(`panning keeps the binned ${name}`, async () => {
+    const { map, layer } = await addLayer(options);
+    const gridData = layer.gridData;
+    const [cell] = gridData;
+    const centre = [cell.getXCentre(), cell.getYCentre()];
+
+    map.panBy([45, -70]);
+    layer._redraw();
+    assert.equal(layer.gridData, gridData);
+    // The cells follow the map
+    assert.deepEqual([cell.x, cell.y], [centre[0] - 45, centre[1] + 70]);
+
+    map.setZoom(13);
+    assert.notEqual(layer.gridData, gridData);
+  });
+});
+
+test('geographic cells are binned again when the resolution or the data changes', async () => {
+  const { layer } = await addLayer({ gridType: 'h3', h3Resolution: 8 });
+  const gridData = layer.gridData;
+
+  layer.h3Resolution = 7;
+  layer._redraw();
+  assert.notEqual(layer.gridData, gridData);
+  assert.ok(layer.gridData.length < gridData.length);
+
+  const coarse = layer.gridData;
+  await layer.loadData(createRows(100, [-7.8, 110.37], 0.01));
+  assert.notEqual(layer.gridData, coarse);
+});
+
+test('panning moves pixel grids', async () => {
+  const { map, layer } = await addLayer({ gridType: 'hexagon' });
+  const gridData = layer.gridData;
+  map.panBy([45, -70]);
+  layer._redraw();
+  assert.notEqual(layer.gridData, gridData);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGridPyramid } from '../src/modules/grid-pyramid.js';
+import { createDataProcessor } from '../src/modules/data-processor.js';
+
+// Equirectangular pixels: 256 pixels around the world at zoom 0
+const project = ([lat, lng], zoom) => ({
+  x: ((lng + 180) / 360) * 256 * Math.pow(2, zoom),
+  y: ((90 - lat) / 180) * 256 * Math.pow(2, zoom)
+});
+
+const kinds = ['Curi', 'Aniaya', 'Tipu'];
+const points = Array.from({ length: 200 }, (_, i) => ({
+  lat: -7.75 - (i % 20) * 0.005,
+  lng: 110.33 + Math.floor(i / 20) * 0.007,
+  properties: { Usia: 18 + (i * 7) % 50, Jenis: kinds[i % 3] }
+}));
+
+const aggregationConfig = {
+  fields: ['Usia', 'Jenis'],
+  aggregations: { Usia: 'mean', Jenis: 'frequency' }
+};
+
+const build = (config, weights = null) => {
+  const processor = createDataProcessor();
+  const store = processor.createColumnarStore(points);
+  const pyramid = createGridPyramid({ minZoom: 6, maxZoom: 14, cellSize: 20, dataProcessor: processor, aggregationConfig: config });
+  return { processor, store, pyramid: pyramid.build(store, [-7.75, 110.33], project, weights) };
+};
+
+const sumCells = (pyramid, zoom) => {
+  let count = 0;
+  pyramid.levels.get(zoom).forEach(cell => { count += cell.partial.count; });
+  return count;
+};
+
+test('every level of the pyramid holds every point', () => {
+  const { pyramid } = build(aggregationConfig);
+  for (let zoom = 6; zoom <= 14; zoom++) {
+    assert.ok(pyramid.hasLevel(zoom));
+    assert.equal(sumCells(pyramid, zoom), points.length);
+  }
+  assert.ok(!pyramid.hasLevel(15));
+  assert.ok(pyramid.getStats()[14] > pyramid.getStats()[6]);
+});
+
+test('merged cells equal the aggregate of their points', () => {
+  const { processor, store, pyramid } = build(aggregationConfig);
+  const indices = points.map((_, i) => i);
+  const expected = processor.aggregateIndices(store, indices, aggregationConfig);
+
+  // All points fall into one cell at zoom 6
+  assert.equal(pyramid.levels.get(6).size, 1);
+  const [cell] = pyramid.levels.get(6).values();
+  const merged = pyramid.getCell(6, cell.col, cell.row);
+  assert.equal(merged.count, expected.count);
+  assert.ok(Math.abs(merged.Usia - expected.Usia) < 1e-9);
+  assert.deepEqual(merged.Jenis, expected.Jenis);
+  assert.equal(pyramid.getCell(6, cell.col + 5, cell.row), null);
+});
+
+test('weighted pyramids add up the weights', () => {
+  const weights = Float64Array.from(points, (_, i) => (i % 4 === 0 ? 0 : 0.5));
+  const { processor, store, pyramid } = build(aggregationConfig, weights);
+  const [cell] = pyramid.levels.get(6).values();
+  const merged = pyramid.getCell(6, cell.col, cell.row);
+  const expected = processor.aggregateIndices(store, points.map((_, i) => i), aggregationConfig, weights);
+  assert.equal(merged.count, 75);
+  assert.ok(Math.abs(merged.Usia - expected.Usia) < 1e-9);
+  assert.deepEqual(merged.Jenis, expected.Jenis);
+});
+
+test('partial aggregates read from columns match those read from rows', () => {
+  const config = {
+    aggregations: { Usia: 'std_dev', Jenis: 'mode', Tahun: 'max' }
+  };
+  const processor = createDataProcessor();
+  const store = processor.createColumnarStore(points);
+  const indices = [3, 8, 21, 22, 40, 41, 99];
+  const weights = Float64Array.from(points, (_, i) => 1 + (i % 3));
+
+  const fromColumns = processor.addIndicesToPartialAggregate(processor.createPartialAggregate(), store, indices, config, weights);
+  const fromRows = processor.createPartialAggregate();
+  indices.forEach(i => processor.addToPartialAggregate(fromRows, points[i].properties, config, weights[i]));
+  assert.deepEqual(fromColumns, fromRows);
+});
+
+test('percentiles are merged through t-digests', () => {
+  const config = { fields: ['Usia'], aggregations: { Usia: { type: 'percentile', p: [25, 50, 75] } } };
+  const { processor, store, pyramid } = build(config);
+  const [cell] = pyramid.levels.get(6).values();
+  const merged = pyramid.getCell(6, cell.col, cell.row).Usia;
+  const exact = processor.aggregateIndices(store, points.map((_, i) => i), config).Usia;
+  merged.forEach((value, i) => assert.ok(Math.abs(value - exact[i]) <= 1));
+});
@@ -0,0 +1,128 @@
+// Leaflet in Node: just enough of the browser for the library to load, a
+// stand-in for L.CanvasLayer and a map that projects like L.Map
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Element with the parts of the DOM used by Leaflet controls
+ */
+function createElement(tagName) {
+  const listeners = {};
+  return {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    children: [],
+    getContext: () => null,
+    appendChild(child) { this.children.push(child); return child; },
+    addEventListener(type, listener) { (listeners[type] = listeners[type] || []).push(listener); },
+    removeEventListener(type, listener) { listeners[type] = (listeners[type] || []).filter(l => l !== listener); },
+    dispatchEvent(event) { (listeners[event.type] || []).forEach(listener => listener.call(this, event)); return true; }
+  };
+}
+
+globalThis.window = globalThis.window || { devicePixelRatio: 1, addEventListener() {}, removeEventListener() {} };
+globalThis.document = globalThis.document || { documentElement: { style: {} }, createElement: createElement };
+if (!globalThis.navigator) globalThis.navigator = { userAgent: 'node', platform: '' };
+
+export const L = require('leaflet');
+globalThis.L = L;
+globalThis.window.L = L;
+
+/**
+ * Canvas context that records the calls made on it
+ */
+export function createCanvasContext() {
+  const calls = [];
+  return new Proxy({ calls, measureText: text => ({ width: text.length * 6 }) }, {
+    get: (target, key) => (key in target ? target[key] : (...args) => calls.push([key, ...args])),
+    set: () => true
+  });
+}
+
+L.CanvasLayer = L.CanvasLayer || L.Layer.extend({
+  initialize(options) {
+    L.setOptions(this, options);
+  },
+  onAdd(map) {
+    this._map = map;
+    const size = map.getSize();
+    this._canvas = { width: size.x, height: size.y, getContext: () => createCanvasContext() };
+  },
+  onRemove() {
+    this._map = null;
+  }
+});
+
+/**
+ * Map with a fixed size in Web Mercator. Container points are rounded
+ * world pixels, as in L.Map.
+ */
+export function createMap({ center = [-7.8, 110.37], zoom = 14, size = [800, 600] } = {}) {
+  const crs = L.CRS.EPSG3857;
+  const map = new L.Evented();
+
+  return Object.assign(map, {
+    options: { crs },
+    _center: L.latLng(center),
+    _zoom: zoom,
+    _layers: [],
+    getZoom() { return this._zoom; },
+    getMinZoom() { return 0; },
+    getMaxZoom() { return 18; },
+    getCenter() { return this._center; },
+    getSize() { return L.point(size[0], size[1]); },
+    getPixelBounds() {
+      const min = this.project(this._center).subtract(this.getSize().divideBy(2)).round();
+      return L.bounds(min, min.add(this.getSize()));
+    },
+    getBounds() {
+      return L.latLngBounds(this.containerPointToLatLng([0, size[1]]), this.containerPointToLatLng([size[0], 0]));
+    },
+    project(latLng, z = this._zoom) { return crs.latLngToPoint(L.latLng(latLng), z); },
+    unproject(point, z = this._zoom) { return crs.pointToLatLng(L.point(point), z); },
+    latLngToContainerPoint(latLng) { return this.project(latLng).round().subtract(this.getPixelBounds().min); },
+    containerPointToLatLng(point) { return this.unproject(L.point(point).add(this.getPixelBounds().min)); },
+    distance(a, b) { return crs.distance(L.latLng(a), L.latLng(b)); },
+    getContainer() { return { style: {}, appendChild() {} }; },
+    hasLayer(layer) { return this._layers.includes(layer); },
+    addLayer(layer) { this._layers.push(layer); layer.onAdd(this); return this; },
+    removeLayer(layer) { this._layers = this._layers.filter(l => l !== layer); layer.onRemove(this); return this; },
+    openTooltip() { return this; },
+    closeTooltip() { return this; },
+    openPopup() { return this; },
+    closePopup() { return this; },
+    panBy(offset) {
+      this._center = this.unproject(this.project(this._center).add(L.point(offset)));
+      return this.fire('move').fire('moveend');
+    },
+    setZoom(z) {
+      this._zoom = z;
+      return this.fire('zoom').fire('zoomend');
+    }
+  });
+}
+
+/**
+ * Rows scattered around a centre, with a few attributes
+ */
+export function createRows(count = 500, center = [-7.8, 110.37], spread = 0.04) {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const kinds = ['Curi', 'Aniaya', 'Tipu', 'Rampok'];
+  return Array.from({ length: count }, (_, i) => ({
+    lat: center[0] + (random() - 0.5) * spread,
+    lng: center[1] + (random() - 0.5) * spread,
+    Jenis: kinds[i % kinds.length],
+    Usia: 18 + Math.floor(random() * 50),
+    Tahun: 2018 + (i % 4)
+  }));
+}
+
+/**
+ * Mouse event at a container point
+ */
+export function mouseEvent(map, point, originalEvent = {}) {
+  const containerPoint = L.point(point);
+  return { type: 'mousemove', containerPoint, latlng: map.containerPointToLatLng(containerPoint), originalEvent };
+}
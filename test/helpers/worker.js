@@ -0,0 +1,28 @@
+// Web Worker on top of a Node worker thread, enough to run the aggregation worker
+import { Worker as NodeWorker } from 'node:worker_threads';
+
+globalThis.Worker = class {
+  constructor(url) {
+    this._thread = new NodeWorker(`
+      const { parentPort } = require('node:worker_threads');
+      globalThis.self = { postMessage: (message, transfer) => parentPort.postMessage(message, transfer) };
+      const loaded = import(${JSON.stringify(url.href)});
+      parentPort.on('message', data => loaded.then(() => self.onmessage({ data })));
+    `, { eval: true });
+    this._thread.on('message', data => this.onmessage({ data }));
+    this._thread.unref();
+  }
+  postMessage(message, transfer) {
+    this._thread.postMessage(message, transfer);
+  }
+  terminate() {
+    this._thread.terminate();
+  }
+};
+
+/**
+ * Wait for the worker to answer the pending job of a layer
+ */
+export async function settleWorker(layer) {
+  while (layer._workerPending) await new Promise(resolve => setTimeout(resolve, 10));
+}
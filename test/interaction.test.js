@@ -0,0 +1,196 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createCanvasContext, createMap, createRows, mouseEvent } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const rows = createRows();
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, ...options });
+  map.addLayer(layer);
+  await layer.loadData(rows);
+  layer.onDrawLayer({ canvas: layer._canvas });
+  return { map, layer };
+};
+
+const centreOf = cell => [cell.getXCentre(), cell.getYCentre()];
+
+const grids = [
+  ['static squares', { gridType: 'square' }],
+  ['static hexagons', { gridType: 'hexagon' }],
+  ['dynamic squares', { gridType: 'square', dynamicMode: true }],
+  ['dynamic hexagons', { gridType: 'hexagon', dynamicMode: true }]
+];
+
+grids.forEach(([name, options]) => {
+  test(`the selection stays on the same ground while ${name} are panned`, async () => {
+    const { map, layer } = await addLayer(options);
+    const cell = layer.gridData.find(c => c.count > 2);
+    const latLng = map.containerPointToLatLng(centreOf(cell));
+    map.fire('click', mouseEvent(map, centreOf(cell)));
+    assert.equal(layer.getSelectedCells().length, 1);
+
+    map.panBy([37, -23]);
+    const [selected] = layer.getSelectedCells();
+    assert.ok(selected);
+    assert.deepEqual(map.containerPointToLatLng(centreOf(selected)), latLng);
+    assert.equal(selected.count, cell.count);
+  });
+});
+
+test('selected pixel cells are not carried to another zoom', async () => {
+  const { map, layer } = await addLayer({ gridType: 'hexagon' });
+  layer.setSelectedCells([layer.gridData[0]]);
+  const [key] = layer._selectedCellKeys;
+
+  map.setZoom(13);
+  assert.deepEqual(layer.getSelectedCells(), []);
+  map.setZoom(14);
+  assert.equal(layer._getCellKey(layer.getSelectedCells()[0]), key);
+});
+
+test('shift-click adds and removes cells, a plain click replaces the selection', async () => {
+  const { map, layer } = await addLayer({ gridType: 'hexagon' });
+  const [a, b] = layer.gridData;
+  const events = [];
+  layer.on('selectionchange', e => events.push(e.keys.length));
+
+  map.fire('click', mouseEvent(map, centreOf(a)));
+  map.fire('click', mouseEvent(map, centreOf(b), { shiftKey: true }));
+  assert.deepEqual(layer.getSelectedCells(), [a, b]);
+  map.fire('click', mouseEvent(map, centreOf(a), { shiftKey: true }));
+  assert.deepEqual(layer.getSelectedCells(), [b]);
+  map.fire('click', mouseEvent(map, centreOf(b)));
+  assert.deepEqual(layer.getSelectedCells(), []);
+  assert.deepEqual(events, [1, 2, 1, 0]);
+});
+
+const hitGrids = [
+  ...grids,
+  ['static H3 cells', { gridType: 'h3', h3Resolution: 8 }],
+  ['dynamic S2 cells', { gridType: 's2', s2Level: 14, dynamicMode: true }]
+];
+
+hitGrids.forEach(([name, options]) => {
+  test(`${name} are found under their centre`, async () => {
+    const { layer } = await addLayer(options);
+    layer.gridData.forEach(cell => {
+      const centre = layer._isRectCell(cell) ? [cell.x + 1, cell.y + 1] : centreOf(cell);
+      assert.equal(layer._findCellByCoords(L.point(centre)), cell);
+    });
+    assert.equal(layer._findCellByCoords(L.point(-500, -500)), null);
+  });
+});
+
+test('pixel cells are found without tracing their boundaries', async () => {
+  const { map, layer } = await addLayer({ gridType: 'hexagon', dynamicMode: true });
+  layer.gridData.forEach(cell => {
+    cell.getBoundary = () => assert.fail('boundary traced while hit-testing');
+  });
+  const cell = layer.gridData[3];
+  layer._onMouseMove(mouseEvent(map, centreOf(cell)));
+  assert.equal(layer._hoveredCell, cell);
+});
+
+test('the cell index is built once per grid', async () => {
+  const { map, layer } = await addLayer({ gridType: 'h3', h3Resolution: 8 });
+  const [a, b] = layer.gridData;
+  layer._onMouseMove(mouseEvent(map, centreOf(a)));
+  const index = layer._cellIndex;
+  layer._onMouseMove(mouseEvent(map, centreOf(b)));
+  assert.equal(layer._cellIndex, index);
+  assert.equal(layer._hoveredCell, b);
+});
+
+test('hovering and clicking fire cell events with the payload', async () => {
+  const { map, layer } = await addLayer({
+    gridType: 'hexagon',
+    aggregationConfig: { fields: ['Usia'], aggregations: { Usia: 'mean' } }
+  });
+  const [a, b] = layer.gridData;
+  const events = [];
+  ['cellmouseover', 'cellmouseout', 'cellclick'].forEach(type => {
+    layer.on(type, e => events.push([type, e.cell, e.count, e.values.Usia]));
+  });
+
+  layer._onMouseMove(mouseEvent(map, centreOf(a)));
+  layer._onMouseMove(mouseEvent(map, centreOf(a)));
+  layer._onMouseMove(mouseEvent(map, centreOf(b)));
+  map.fire('click', mouseEvent(map, centreOf(b)));
+  layer._onMouseOut({ type: 'mouseout' });
+
+  assert.deepEqual(events, [
+    ['cellmouseover', a, a.count, a.Usia],
+    ['cellmouseout', a, a.count, a.Usia],
+    ['cellmouseover', b, b.count, b.Usia],
+    ['cellclick', b, b.count, b.Usia],
+    ['cellmouseout', b, b.count, b.Usia]
+  ]);
+  assert.equal(layer._hoveredCell, null);
+});
+
+test('the default tooltip escapes field names, categories and values', async () => {
+  const map = createMap();
+  const layer = L.griddedGlyph({
+    gridSize: 30,
+    gridType: 'hexagon',
+    tooltip: true,
+    aggregationConfig: { fields: ['Jenis', '<b>'], aggregations: { Jenis: 'frequency', '<b>': 'mode' } }
+  });
+  map.addLayer(layer);
+  await layer.loadData(rows.slice(0, 3).map(row => ({ ...row, lat: -7.8, lng: 110.37, Jenis: '<img src=x onerror=alert(1)>', '<b>': 'a & "b"' })));
+  layer.onDrawLayer({ canvas: layer._canvas });
+
+  layer._onMouseMove(mouseEvent(map, map.latLngToContainerPoint([-7.8, 110.37])));
+  const html = layer._tooltipLayer.getContent();
+  assert.equal(html, '<strong>Count:</strong> 3<br>' +
+    '<strong>Jenis:</strong> &lt;img src=x onerror=alert(1)&gt;: 3<br>' +
+    '<strong>&lt;b&gt;:</strong> a &amp; &quot;b&quot;');
+});
+
+test('tooltip and popup templates get the cell payload', async (t) => {
+  const templates = [];
+  const { map, layer } = await addLayer({
+    gridType: 'hexagon',
+    aggregationConfig: { fields: ['Usia'], aggregations: { Usia: 'max' } },
+    tooltip: payload => { templates.push(['tooltip', payload.cell, payload.count, payload.values]); return 'tip'; },
+    popup: { template: payload => { templates.push(['popup', payload.cell, payload.count, payload.values]); return 'pop'; }, maxWidth: 120 }
+  });
+  const cell = layer.gridData[0];
+  // Popups are recorded rather than laid out in the DOM
+  const opened = [];
+  t.mock.method(map, 'addLayer', overlay => { opened.push(overlay); return map; });
+
+  layer._onMouseMove(mouseEvent(map, centreOf(cell)));
+  assert.equal(layer._tooltipLayer.getContent(), 'tip');
+  map.fire('click', mouseEvent(map, centreOf(cell)));
+  assert.deepEqual(templates, [
+    ['tooltip', cell, cell.count, { Usia: cell.Usia }],
+    ['popup', cell, cell.count, { Usia: cell.Usia }]
+  ]);
+  assert.equal(opened.length, 1);
+  assert.equal(opened[0].getContent(), 'pop');
+  assert.equal(opened[0].options.maxWidth, 120);
+  assert.deepEqual(opened[0].getLatLng(), map.containerPointToLatLng(centreOf(cell)));
+});
+
+test('selected and hovered cells are outlined over the glyphs', async () => {
+  const { map, layer } = await addLayer({ gridType: 'hexagon', padding: 2 });
+  const [a, b] = layer.gridData;
+  layer.setSelectedCells([a]);
+  layer._onMouseMove(mouseEvent(map, centreOf(b)));
+
+  const ctx = createCanvasContext();
+  layer._drawCellStates(ctx);
+  const calls = ctx.calls.map(([name]) => name);
+  assert.deepEqual(calls.filter(name => name === 'fill' || name === 'stroke'), ['fill', 'stroke', 'stroke']);
+  const moves = ctx.calls.filter(([name]) => name === 'moveTo').map(([, x, y]) => [x, y]);
+  assert.deepEqual(moves, [a.getBoundary(2)[0], b.getBoundary(2)[0]]);
+
+  layer.highlightOnHover = false;
+  layer.setSelectedCells([]);
+  const idle = createCanvasContext();
+  layer._drawCellStates(idle);
+  assert.deepEqual(idle.calls, []);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const addLegend = async (options, legendOptions, rows = createRows()) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, padding: 2, ...options });
+  map.addLayer(layer);
+  await layer.loadData(rows);
+  layer.onDrawLayer({ canvas: layer._canvas });
+  const legend = L.control.griddedGlyphLegend(layer, legendOptions);
+  legend.onAdd(map);
+  return { map, layer, legend };
+};
+
+// Headings and row labels, in order
+const headings = legend => [...legend._container.innerHTML.matchAll(/font-weight: bold[^>]*>([^<]*)</g)].map(m => m[1]);
+const labels = legend => [...legend._container.innerHTML.matchAll(/<span>([^<]*)<\/span><\/div>/g)].map(m => m[1]);
+
+const noGlyph = [{ visualizationConfig: null }];
+
+test('category swatches of pie glyphs, with the title and categories escaped', async () => {
+  const rows = createRows().map((row, i) => (i % 4 === 0 ? { ...row, Jenis: '<i>Curi</i>' } : row));
+  const { layer, legend } = await addLegend({
+    aggregationConfig: { fields: ['Jenis'], aggregations: { Jenis: 'frequency' } },
+    visualizationConfig: { type: 'pie', field: 'Jenis', categoryColors: { Tipu: '#000000' } }
+  }, { title: 'Kejahatan & Usia' }, rows);
+
+  assert.deepEqual(headings(legend), ['Kejahatan &amp; Usia', 'Jenis']);
+  assert.deepEqual(labels(legend), layer.getLegendData().glyph.categories.map(entry =>
+    entry.category === '<i>Curi</i>' ? '&lt;i&gt;Curi&lt;/i&gt;' : entry.category));
+  assert.match(legend._container.innerHTML, /background: #000000;[^<]*<\/span><span>Tipu</);
+});
+
+test('size key of bar glyphs and class swatches of the cell color', async () => {
+  const { layer, legend } = await addLegend({
+    aggregationConfig: { fields: ['Usia'], aggregations: { Usia: 'mean' } },
+    visualizationConfig: { type: 'bar', field: 'Usia' },
+    cellColor: { field: 'Usia', classification: 'quantile', classes: 3 }
+  });
+  const { glyph, cellColor } = layer.getLegendData();
+
+  assert.deepEqual(headings(legend), ['Usia', 'Usia']);
+  assert.equal(legend._container.innerHTML.match(/<rect /g).length, 3);
+  assert.deepEqual(labels(legend).slice(0, 3), glyph.sizes.map(entry => String(Math.round(entry.value * 10) / 10)));
+  assert.equal(labels(legend).length, 6);
+  assert.equal(labels(legend)[3], `${cellColor.entries[0].from} &ndash; ${cellColor.entries[0].to}`);
+});
+
+test('default count circles and a continuous ramp', async () => {
+  const { layer, legend } = await addLegend({ cellColor: { field: 'count' } });
+  const [first, last] = [layer.getCellColorScale().getLegend()[0], layer.getCellColorScale().getLegend().at(-1)];
+
+  assert.deepEqual(headings(legend), ['count', 'count']);
+  assert.ok(legend._container.innerHTML.includes('<circle '));
+  assert.ok(legend._container.innerHTML.includes('linear-gradient(to right'));
+  assert.ok(legend._container.innerHTML.endsWith(`<span>${first.from}</span><span>${last.to}</span></div>`));
+});
+
+test('categorical cell colors list their categories', async () => {
+  const { layer, legend } = await addLegend({
+    aggregationConfig: { fields: ['Jenis'], aggregations: { Jenis: 'mode' } },
+    lodRules: noGlyph,
+    cellColor: { field: 'Jenis', scale: 'categorical' }
+  });
+  assert.deepEqual(headings(legend), ['Jenis']);
+  assert.deepEqual(labels(legend), layer.getLegendData().cellColor.entries.map(entry => entry.category));
+  assert.deepEqual(labels(legend).slice().sort(), ['Aniaya', 'Curi', 'Rampok', 'Tipu']);
+});
+
+test('the legend follows legendchange and hides when empty', async () => {
+  const { map, layer, legend } = await addLegend({ lodRules: noGlyph });
+  assert.equal(legend._container.innerHTML, '');
+  assert.equal(legend._container.style.display, 'none');
+
+  layer.setCellColor({ field: 'count', classification: 'equal-interval', classes: 2 });
+  assert.equal(legend._container.style.display, '');
+  assert.deepEqual(headings(legend), ['count']);
+  assert.equal(labels(legend).length, 2);
+
+  // Unchanged legends are not written again
+  legend._container.innerHTML = 'untouched';
+  layer.fire('legendchange');
+  assert.equal(legend._container.innerHTML, 'untouched');
+
+  legend.onRemove(map);
+  layer.setCellColor(null);
+  assert.equal(legend._container.innerHTML, 'untouched');
+});
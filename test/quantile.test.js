@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUANTILE_INTERPOLATIONS, quantiles, createTDigest } from '../src/modules/quantile.js';
+import { createDataProcessor } from '../src/modules/data-processor.js';
+
+const values = [1, 2, 3, 4, 5];
+
+test('quantiles interpolate between sorted values', () => {
+  assert.deepEqual(quantiles([5, 1, 4, 2, 3], [0, 0.25, 0.5, 1]), [1, 2, 3, 5]);
+  assert.equal(quantiles([1, 2, 3, 4], [0.5])[0], 2.5);
+  assert.deepEqual(quantiles([], [0.5]), [null]);
+});
+
+test('quantile interpolations read the values around the rank', () => {
+  const read = interpolation => quantiles([1, 2, 3, 4], [0.5], interpolation)[0];
+  assert.equal(read(QUANTILE_INTERPOLATIONS.LOWER), 2);
+  assert.equal(read(QUANTILE_INTERPOLATIONS.HIGHER), 3);
+  assert.equal(read(QUANTILE_INTERPOLATIONS.NEAREST), 3);
+  assert.equal(read(QUANTILE_INTERPOLATIONS.MIDPOINT), 2.5);
+  assert.throws(() => read('cubic'), /Unknown quantile interpolation/);
+});
+
+test('fractional and integer weights give the same median', () => {
+  const integer = quantiles(values, [0.5], QUANTILE_INTERPOLATIONS.LINEAR, [1, 1, 1, 1, 1])[0];
+  const fractional = quantiles(values, [0.5], QUANTILE_INTERPOLATIONS.LINEAR, [0.1, 0.1, 0.1, 0.1, 0.1])[0];
+  assert.equal(integer, 3);
+  assert.equal(fractional, 3);
+});
+
+test('weighted quantiles do not change when every weight is scaled', () => {
+  const weights = [3, 1, 1, 2, 5];
+  const qs = [0.1, 0.25, 0.5, 0.75, 0.9];
+  const expected = quantiles(values, qs, QUANTILE_INTERPOLATIONS.LINEAR, weights);
+  const scaled = quantiles(values, qs, QUANTILE_INTERPOLATIONS.LINEAR, weights.map(w => w * 0.01));
+  scaled.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9));
+  assert.deepEqual(quantiles(values, qs, QUANTILE_INTERPOLATIONS.LINEAR, [1, 1, 1, 1, 1]), quantiles(values, qs));
+});
+
+test('values of zero weight are left out', () => {
+  assert.equal(quantiles([1, 2, 100], [0.5], QUANTILE_INTERPOLATIONS.LINEAR, [1, 1, 0])[0], 1.5);
+  assert.deepEqual(quantiles([1, 2], [0.5], QUANTILE_INTERPOLATIONS.LINEAR, [0, 0]), [null]);
+});
+
+test('the median aggregation is the same for fractional and integer weights', () => {
+  const processor = createDataProcessor();
+  const rows = values.map(value => ({ value }));
+  const config = { aggregations: { value: 'median' } };
+  assert.equal(processor.aggregateCellData(rows, config, [0.1, 0.1, 0.1, 0.1, 0.1]).value, 3);
+  assert.equal(processor.aggregateCellData(rows, config, [1, 1, 1, 1, 1]).value, 3);
+  assert.equal(processor.aggregateCellData(rows, config).value, 3);
+});
+
+test('a t-digest of single values matches the exact quantiles', () => {
+  const digest = createTDigest();
+  values.forEach(value => digest.add(value));
+  [0, 0.25, 0.5, 0.75, 1].forEach(q => {
+    assert.ok(Math.abs(digest.quantile(q) - quantiles(values, [q])[0]) < 1e-9);
+  });
+  assert.equal(createTDigest().quantile(0.5), null);
+});
+
+test('a t-digest agrees with the exact path for fractional weights', () => {
+  const digest = createTDigest();
+  values.forEach(value => digest.add(value, 0.1));
+  assert.ok(Math.abs(digest.quantile(0.5) - 3) < 1e-9);
+});
+
+test('merged t-digests estimate the quantiles of all their values', () => {
+  const left = createTDigest();
+  const right = createTDigest();
+  for (let i = 0; i < 5000; i++) {
+    left.add(i);
+    right.add(i + 5000);
+  }
+  left.merge(right);
+  assert.equal(left.count, 10000);
+  assert.ok(Math.abs(left.quantile(0.5) - 4999.5) < 50);
+  assert.ok(Math.abs(left.quantile(0.99) - 9899) < 20);
+  assert.ok(left.quantile(0) >= 0 && left.quantile(0) < 1);
+  assert.ok(left.quantile(1) <= 9999 && left.quantile(1) > 9998);
+});
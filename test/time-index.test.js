@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import { ColumnarStore } from '../src/modules/columnar-store.js';
+import { TimeIndex, createTimeIndex, toTimeValue } from '../src/modules/time-index.js';
+import '../src/index.js';
+
+const dates = ['2021-03-01', null, '2020-06-15', '2022-01-01', 'not a date', '2020-06-15', '2021-12-31'];
+const store = ColumnarStore.fromPoints(dates.map((Tanggal, i) => ({ lat: i, lng: i, properties: { Tanggal } })));
+const time = value => Date.parse(value);
+
+// Points inside [start, end), checked one by one
+const inside = (start, end) => dates
+  .map((value, i) => (value !== null && time(value) >= start && time(value) < end ? i : -1))
+  .filter(i => i !== -1);
+
+test('time values of dates, date strings and numbers', () => {
+  assert.equal(toTimeValue(new Date('2020-01-01T00:00:00Z')), 1577836800000);
+  assert.equal(toTimeValue('2020-01-01T00:00:00Z'), 1577836800000);
+  assert.equal(toTimeValue(2019), 2019);
+  assert.ok(isNaN(toTimeValue('')));
+  assert.ok(isNaN(toTimeValue(null)));
+  assert.ok(isNaN(toTimeValue('not a date')));
+});
+
+test('points are sorted by time and points without a time are left out', () => {
+  const index = createTimeIndex(store, 'Tanggal');
+  assert.deepEqual(Array.from(index.order), [2, 5, 0, 6, 3]);
+  assert.deepEqual(index.getExtent(), { start: time('2020-06-15'), end: time('2022-01-01'), dates: true });
+  assert.equal(new TimeIndex(new Float64Array([NaN])).getExtent(), null);
+  assert.equal(new TimeIndex(Float64Array.from([2020, 2018])).getExtent().dates, false);
+});
+
+test('windows are half-open ranges of the sorted order', () => {
+  const index = createTimeIndex(store, 'Tanggal');
+  [
+    ['2020-06-15', '2021-12-31'],
+    ['2020-01-01', '2020-06-15'],
+    ['2021-01-01', '2030-01-01'],
+    ['2023-01-01', '2024-01-01']
+  ].forEach(([start, end]) => {
+    const mask = index.createMask(index.getWindow(time(start), time(end)));
+    const expected = inside(time(start), time(end));
+    assert.deepEqual(Array.from(mask).flatMap((bit, i) => (bit ? [i] : [])), expected, `${start} - ${end}`);
+  });
+  assert.deepEqual(index.getWindow(time('2022-01-01'), time('2020-01-01')), [4, 4]);
+});
+
+test('changed indices are the points whose mask bit flips', () => {
+  const index = createTimeIndex(store, 'Tanggal');
+  const windows = [
+    ['2020-01-01', '2021-06-01'],
+    ['2021-01-01', '2022-06-01'],
+    ['2022-06-01', '2023-01-01'],
+    ['2020-01-01', '2023-01-01'],
+    ['2020-06-15', '2020-06-16']
+  ].map(([start, end]) => index.getWindow(time(start), time(end)));
+
+  for (let i = 1; i < windows.length; i++) {
+    const previous = index.createMask(windows[i - 1]);
+    const next = index.createMask(windows[i]);
+    const flipped = Array.from(next).flatMap((bit, j) => (bit !== previous[j] ? [j] : []));
+    assert.deepEqual(index.getChangedIndices(windows[i - 1], windows[i]).sort((a, b) => a - b), flipped);
+  }
+});
+
+test('moving the time window of a layer gives the cells of a full recalculation', async () => {
+  const rows = createRows(1500);
+  const map = createMap();
+  const layer = L.griddedGlyph({
+    gridSize: 30,
+    gridType: 'hexagon',
+    timeField: 'Tahun',
+    aggregationConfig: { fields: ['Usia'], aggregations: { Usia: 'mean' } }
+  });
+  map.addLayer(layer);
+  await layer.loadData(rows);
+  layer.onDrawLayer({ canvas: layer._canvas });
+  assert.deepEqual(layer.getTimeExtent(), { start: 2018, end: 2021, dates: false });
+
+  const summarise = cells => cells.map(cell => [layer._getCellKey(cell), cell.count, cell.totalCount, cell.Usia]).sort();
+
+  [[2018, 2019], [2019, 2021], [2020, 2022], [2018, 2018.5]].forEach(([start, end]) => {
+    layer.setTimeRange(start, end);
+    const moved = summarise(layer.gridData);
+
+    layer.invalidateCache();
+    layer._redraw();
+    assert.deepEqual(moved, summarise(layer.gridData), `${start} - ${end}`);
+
+    const expected = rows.filter(row => row.Tahun >= start && row.Tahun < end).length;
+    assert.equal(layer.gridData.reduce((sum, cell) => sum + cell.count, 0), expected);
+  });
+
+  layer.clearTimeRange();
+  assert.equal(layer.getTimeRange(), null);
+  assert.equal(layer.gridData.reduce((sum, cell) => sum + cell.count, 0), rows.length);
+});
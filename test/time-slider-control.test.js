@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import '../src/index.js';
+
+const addSlider = async (rows, layerOptions, sliderOptions) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, gridType: 'hexagon', ...layerOptions });
+  map.addLayer(layer);
+  await layer.loadData(rows);
+  layer.onDrawLayer({ canvas: layer._canvas });
+  const slider = L.control.griddedGlyphTimeSlider(layer, sliderOptions);
+  slider.onAdd(map);
+  return { layer, slider };
+};
+
+const count = layer => layer.gridData.reduce((sum, cell) => sum + cell.count, 0);
+
+test('numeric times step by one and label the years of the window', async () => {
+  const rows = createRows(400);
+  const { layer, slider } = await addSlider(rows, { timeField: 'Tahun' });
+  assert.equal(slider._input.max, 3);
+  assert.equal(slider._label.textContent, 'All times');
+
+  slider.setPosition(2);
+  assert.deepEqual(layer.getTimeRange(), { start: 2020, end: 2021 });
+  assert.equal(slider._label.textContent, '2020');
+  assert.equal(count(layer), rows.filter(row => row.Tahun === 2020).length);
+
+  slider._input.value = '1';
+  slider._input.dispatchEvent({ type: 'input' });
+  assert.deepEqual(layer.getTimeRange(), { start: 2019, end: 2020 });
+
+  slider.setPosition(99);
+  assert.equal(slider._position, 3);
+  assert.deepEqual(layer.getTimeRange(), { start: 2021, end: 2022 });
+});
+
+test('wide and cumulative windows', async () => {
+  const rows = createRows(400);
+  const { layer, slider } = await addSlider(rows, { timeField: 'Tahun' }, { window: 2 });
+  slider.setPosition(1);
+  assert.deepEqual(layer.getTimeRange(), { start: 2019, end: 2021 });
+  assert.equal(slider._label.textContent, '2019 – 2020');
+
+  const { layer: cumulative, slider: growing } = await addSlider(rows, { timeField: 'Tahun' }, { cumulative: true });
+  growing.setPosition(2);
+  assert.deepEqual(cumulative.getTimeRange(), { start: 2018, end: 2021 });
+  assert.equal(count(cumulative), rows.filter(row => row.Tahun < 2021).length);
+});
+
+test('date extents get a calendar step', async () => {
+  const rows = createRows(200).map((row, i) => ({ ...row, Tanggal: new Date(Date.UTC(2020, 0, 1 + i)).toISOString() }));
+  const { layer, slider } = await addSlider(rows, { timeField: 'Tanggal' });
+  assert.equal(slider._step, 'week');
+  assert.equal(slider._times.length, 29);
+
+  slider.setPosition(1);
+  assert.deepEqual(layer.getTimeRange(), { start: Date.UTC(2020, 0, 8), end: Date.UTC(2020, 0, 15) });
+  assert.equal(slider._label.textContent, '2020-01-08');
+
+  const { slider: monthly } = await addSlider(rows, { timeField: 'Tanggal' }, { step: 'month', window: 3 });
+  assert.equal(monthly._times.length, 7);
+  monthly.setPosition(1);
+  assert.equal(monthly._label.textContent, '2020-02 – 2020-04');
+});
+
+test('playing steps through time and stops at the end without loop', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const { layer, slider } = await addSlider(createRows(400), { timeField: 'Tahun' }, { interval: 500, loop: false });
+
+  slider.setPosition(0);
+  slider.play();
+  assert.ok(slider.isPlaying());
+  assert.equal(slider._button.title, 'Pause');
+  assert.deepEqual(layer.getTimeRange(), { start: 2019, end: 2020 });
+
+  t.mock.timers.tick(500);
+  assert.deepEqual(layer.getTimeRange(), { start: 2020, end: 2021 });
+  t.mock.timers.tick(1000);
+  assert.equal(slider._position, 3);
+  assert.equal(slider.isPlaying(), false);
+  assert.equal(slider._button.title, 'Play');
+
+  // Playing again starts over from the first step
+  slider.toggle();
+  assert.deepEqual(layer.getTimeRange(), { start: 2018, end: 2019 });
+  slider.toggle();
+  assert.equal(slider.isPlaying(), false);
+});
+
+test('time ranges set on the layer are shown', async () => {
+  const { layer, slider } = await addSlider(createRows(400), { timeField: 'Tahun' }, {
+    format: (start, end) => `${start}..${end}`
+  });
+  layer.setTimeRange(2019, 2021);
+  assert.equal(slider._label.textContent, '2019..2021');
+  layer.clearTimeRange();
+  assert.equal(slider._label.textContent, 'All times');
+});
+
+test('layers without a time field disable the slider', async () => {
+  const rows = createRows(50).map(({ Tahun, ...row }) => row);
+  const { slider } = await addSlider(rows, {});
+  assert.equal(slider._input.disabled, true);
+  assert.equal(slider._button.disabled, true);
+  assert.equal(slider._label.textContent, 'No time data');
+  slider.play();
+  assert.equal(slider.isPlaying(), false);
+});
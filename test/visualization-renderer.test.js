@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvasContext } from './helpers/leaflet.js';
+import { createVisualizationRenderer } from '../src/modules/visualization-renderer.js';
+
+const renderer = createVisualizationRenderer();
+
+const calls = (ctx, name) => ctx.calls.filter(([key]) => key === name).map(([, ...args]) => args);
+const round = points => points.map(point => point.map(v => Math.round(v * 1000) / 1000));
+
+const radar = {
+  type: 'radar',
+  fields: ['a', 'b', { field: 'Jenis', category: 'Curi' }, { field: 'c', domain: [0, 8] }]
+};
+const cells = [
+  { a: 10, b: 2, c: 4, Jenis: { Curi: 3, Tipu: 1 } },
+  { a: 5, b: -2, c: 8, Jenis: { Tipu: 4 } }
+];
+
+test('radar axes get their own domain from zero', () => {
+  const scales = renderer.resolveScales(cells, radar);
+  assert.deepEqual(scales.axes, [[0, 10], [-2, 2], [0, 3], [0, 8]]);
+
+  // Global domains apply to fields, not to category counts
+  const global = renderer.resolveScales(cells, { ...radar, scale: 'global' }, field => (field === 'a' ? [0, 20] : [0, 99]));
+  assert.deepEqual(global.axes, [[0, 20], [0, 99], [0, 3], [0, 8]]);
+
+  assert.deepEqual(renderer.resolveScales(cells, { ...radar, scale: 'local' }).axes, [undefined, undefined, undefined, [0, 8]]);
+});
+
+test('radar polygons reach each axis at its scaled value', () => {
+  const ctx = createCanvasContext();
+  const config = { ...radar, scales: renderer.resolveScales(cells, radar) };
+  renderer.drawChart(ctx, cells[0], config, 100, 100, 50);
+
+  // One spoke per axis, from the centre
+  assert.equal(calls(ctx, 'moveTo').filter(([x, y]) => x === 100 && y === 100).length, 4);
+  assert.equal(calls(ctx, 'lineTo').length, 4 + 3);
+
+  // Radius 20: a at 10/10 (up), b at 2 of [-2, 2] (right), 3 Curi of 3 (down), c at 4/8 (left)
+  const polygon = [calls(ctx, 'moveTo').at(-1), ...calls(ctx, 'lineTo').slice(-3)];
+  assert.deepEqual(round(polygon), [[100, 80], [120, 100], [100, 120], [90, 100]]);
+  assert.equal(calls(ctx, 'fill').length, 1);
+  assert.equal(calls(ctx, 'stroke').length, 2);
+});
+
+test('radar glyphs without spokes, missing values and too few axes', () => {
+  const ctx = createCanvasContext();
+  const config = { ...radar, spokes: false, scales: renderer.resolveScales(cells, radar) };
+  renderer.drawChart(ctx, cells[1], config, 0, 0, 50);
+  assert.equal(calls(ctx, 'moveTo').length, 1);
+  // b is at the bottom of its domain and no Curi sits at the centre
+  const polygon = [calls(ctx, 'moveTo')[0], ...calls(ctx, 'lineTo')];
+  assert.deepEqual(round(polygon), [[0, -10], [0, 0], [0, 0], [-20, 0]]);
+
+  const empty = createCanvasContext();
+  renderer.drawChart(empty, cells[0], { type: 'radar', fields: ['a', 'b'] }, 0, 0, 50);
+  renderer.drawChart(empty, {}, radar, 0, 0, 50);
+  assert.deepEqual(empty.calls, []);
+});
+
+test('layers are drawn by zIndex in their own box of the cell', () => {
+  const ctx = createCanvasContext();
+  renderer.drawChart(ctx, {}, {
+    layers: [
+      { type: 'fill', color: 'top', zIndex: 2, size: 0.5, placement: 'top-right' },
+      { type: 'fill', color: 'background' },
+      { type: 'fill', color: 'moved', zIndex: 1, size: 0.25, offset: [0.1, 0] }
+    ]
+  }, 100, 100, 40);
+
+  assert.deepEqual(calls(ctx, 'fillRect'), [
+    [80, 80, 40, 40],
+    [99, 95, 10, 10],
+    [100, 80, 20, 20]
+  ]);
+});
+
+test('layer configs are checked like glyphs', () => {
+  assert.throws(() => renderer.validateConfig({ layers: {} }), /layers must be an array/);
+  assert.throws(() => renderer.validateConfig({ layers: [null] }), /layer 0 must be an object/);
+  assert.throws(() => renderer.validateConfig({ layers: [{ type: 'fill', placement: 'middle' }] }), /Unknown placement of visualization layer 0: middle/);
+  assert.throws(() => renderer.validateConfig({ layers: [{ type: 'fill' }, { type: 'fill', size: 0 }] }), /Size of visualization layer 1/);
+  assert.throws(() => renderer.validateConfig({ layers: [{ layers: [{ type: 'fill', placement: 'up' }] }] }), /Unknown placement/);
+  assert.doesNotThrow(() => renderer.validateConfig({ layers: [radar, { type: 'text', placement: 'bottom', size: 0.3 }] }));
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { L, createMap, createRows } from './helpers/leaflet.js';
+import { settleWorker } from './helpers/worker.js';
+import '../src/index.js';
+
+const rows = createRows(1200);
+
+// Every point weighs 2, except the 'Tipu' points, which weigh nothing
+const weightField = properties => (properties.Jenis === 'Tipu' ? 0 : 2);
+
+const aggregationConfig = { fields: ['Usia', 'Jenis'], aggregations: { Usia: 'mean', Jenis: 'frequency' } };
+
+const addLayer = async (options) => {
+  const map = createMap();
+  const layer = L.griddedGlyph({ gridSize: 30, padding: 2, aggregationConfig, ...options });
+  map.addLayer(layer);
+  await layer.loadData(rows);
+  layer.onDrawLayer({ canvas: layer._canvas });
+  await settleWorker(layer);
+  return { map, layer };
+};
+
+const byKey = layer => new Map(layer.gridData.map(cell => [layer._getCellKey(cell), cell]));
+
+// Weighted cells hold twice the points of their unweighted cell that are not 'Tipu'
+const assertWeighted = (weighted, unweighted) => {
+  const expected = [...byKey(unweighted)].filter(([, cell]) => cell.count > (cell.Jenis.Tipu || 0));
+  assert.deepEqual([...byKey(weighted).keys()].sort(), expected.map(([key]) => key).sort());
+
+  expected.forEach(([key, cell]) => {
+    const { Tipu, ...others } = cell.Jenis;
+    const actual = byKey(weighted).get(key);
+    assert.equal(actual.count, 2 * (cell.count - (Tipu || 0)), key);
+    assert.equal(actual.totalCount, actual.count, key);
+    assert.deepEqual(actual.Jenis, Object.fromEntries(Object.entries(others).map(([kind, n]) => [kind, 2 * n])), key);
+  });
+};
+
+// Weighted means of the points of each cell, from its indices
+const assertMeans = layer => {
+  layer.gridData.forEach(cell => {
+    const ages = Array.from(cell.indices).map(i => rows[i]).filter(row => row.Jenis !== 'Tipu').map(row => row.Usia);
+    const mean = ages.reduce((sum, age) => sum + age, 0) / ages.length;
+    assert.ok(Math.abs(cell.Usia - mean) < 1e-9, layer._getCellKey(cell));
+  });
+};
+
+[
+  ['static hexagons', { gridType: 'hexagon' }],
+  ['static squares', { gridType: 'square' }],
+  ['dynamic squares', { gridType: 'square', dynamicMode: true }],
+  ['dynamic hexagons', { gridType: 'hexagon', dynamicMode: true }],
+  ['worker hexagons', { gridType: 'hexagon', useWorker: true }],
+  ['worker dynamic squares', { gridType: 'square', dynamicMode: true, useWorker: true }]
+].forEach(([name, options]) => {
+  test(`weights count and aggregate ${name}`, async () => {
+    const { layer: unweighted } = await addLayer(options);
+    const { layer: weighted } = await addLayer({ ...options, weightField });
+    assert.ok(weighted.gridData.length > 10);
+    assert.equal(weighted._workerJobId > 0, !!options.useWorker);
+    assertWeighted(weighted, unweighted);
+    assertMeans(weighted);
+  });
+});
+
+test('weights count and aggregate the precomputed pyramid', async () => {
+  const options = { gridType: 'square', precompute: { minZoom: 12, maxZoom: 15 } };
+  const { layer: unweighted } = await addLayer(options);
+  const { layer: weighted } = await addLayer({ ...options, weightField });
+  assert.ok(weighted._pyramid.hasLevel(14));
+  assert.ok(weighted.gridData.length > 10);
+  // Cells were looked up in the pyramid, not binned from the points
+  assert.ok(weighted.gridData.every(cell => cell.indices === undefined));
+  assertWeighted(weighted, unweighted);
+});
+
+test('dynamicAggregationFn receives the weight of each point', async () => {
+  const { layer } = await addLayer({
+    dynamicMode: true,
+    weightField: 'Usia',
+    aggregationConfig: undefined,
+    dynamicAggregationFn: (cell, datum, weight) => {
+      cell.weights = (cell.weights || 0) + weight;
+      cell.ages = (cell.ages || 0) + datum.properties.Usia;
+    }
+  });
+  assert.ok(layer.gridData.length > 10);
+  layer.gridData.forEach(cell => {
+    assert.equal(cell.weights, cell.ages);
+    assert.equal(cell.count, cell.ages);
+  });
+});
+
+test('setWeightField switches between weights and plain counts', async () => {
+  const { layer } = await addLayer({ gridType: 'hexagon' });
+  const counts = layer.gridData.map(cell => cell.count);
+
+  layer.setWeightField('Usia');
+  layer.gridData.forEach(cell => {
+    assert.equal(cell.count, Array.from(cell.indices).reduce((sum, i) => sum + rows[i].Usia, 0));
+  });
+
+  layer.setWeightField(null);
+  assert.deepEqual(layer.gridData.map(cell => cell.count), counts);
+});